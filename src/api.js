@@ -0,0 +1,288 @@
+/**
+ * The programmatic API, and what the CLI is built on. Importing it does no
+ * work: the configuration, the Sanity client and the logger are set up on
+ * first use, from the environment and config/default.json like the CLI, or
+ * from the dependencies given to a factory.
+ *
+ * The modules behind it are singletons. An importer created with
+ * dependencies keeps its own and swaps them in for each of its calls, so
+ * calls run one at a time; `configure()` and the standalone functions change
+ * the process-wide ones.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import config, { ConfigurationError } from './utils/config.js';
+import logger from './utils/logger.js';
+import sanityClient, { SanityClientError } from './utils/sanityClient.js';
+import importManager from './utils/importManager.js';
+import importPlanner, { PlanError } from './utils/importPlanner.js';
+import runHistory, { RunError } from './utils/runHistory.js';
+import assetCache from './utils/assetCache.js';
+import recoverySystem, { CheckpointError } from './utils/recoverySystem.js';
+import mappingProfiles, { MappingError } from './utils/mappingProfiles.js';
+import exportImporter from './importers/exportImporter.js';
+import datasetCopier, { CopyError } from './importers/datasetCopier.js';
+import { typeRegistry } from './importers/index.js';
+import { TypeDefinitionError } from './importers/typeRegistry.js';
+import { ImportStoppedError } from './importers/documentImporter.js';
+import { transformer } from './scripts/transform.js';
+import { backupTool } from './scripts/backup.js';
+
+export { IMPORT_MODES, ImportModeError } from './utils/importModes.js';
+export { UNRESOLVED_POLICIES } from './utils/referenceResolver.js';
+export { ImportReport, REPORT_FORMATS, ReportError, getReportFormat } from './utils/importReport.js';
+export { ProgressDisplay } from './utils/progress.js';
+export { OUTPUT_FORMATS, OutputError } from './utils/outputBundle.js';
+export { MemoryClient, createMemoryClient, createResponseError } from './utils/memoryClient.js';
+export { QueryError } from './utils/groqSubset.js';
+export { ValidationError } from './utils/validation.js';
+export { DeadLetterError } from './utils/deadLetter.js';
+export { ProtectedProfileError, confirmProtectedWrite } from './utils/confirmation.js';
+export {
+  CheckpointError,
+  ConfigurationError,
+  CopyError,
+  ImportStoppedError,
+  MappingError,
+  PlanError,
+  RunError,
+  SanityClientError,
+  TypeDefinitionError
+};
+
+/**
+ * Sets the dependencies used by every later call:
+ * - `client`: a `@sanity/client` instance; requests still go through the
+ *   tool's throttling and retries, so create it with `maxRetries: 0`
+ * - `config`: settings shaped like `getConfig()`; `sanity` defaults to the
+ *   client's project, dataset, API version and token, the other sections are
+ *   merged into config/default.json. `.env` is not read
+ * - `logger`: anything with `error`, `warn`, `info` and `debug(message, metadata)`
+ * - `profile` and `configFile`: the profile and config file to read, like
+ *   `--profile` and `--config`; `null` unsets them
+ *
+ * Without any, the environment is used like the CLI does.
+ */
+export function configure({ client, config: settings, logger: target, profile, configFile } = {}) {
+  if (profile !== undefined || configFile !== undefined) {
+    config.select({ file: configFile, profile });
+    // A client made for the previous profile is made again on the next request
+    if (!client) {
+      sanityClient.setClient(null);
+    }
+  }
+
+  if (client || settings) {
+    const { projectId, dataset, apiVersion, token } = client?.config() || {};
+
+    config.configure({
+      ...settings,
+      sanity: { projectId, dataset, apiVersion, token, ...settings?.sanity }
+    });
+  }
+
+  if (client) {
+    sanityClient.setClient(client);
+  }
+
+  // A default logger is set up again from new settings
+  if (target || settings) {
+    logger.setLogger(target);
+  }
+
+  // As are type definitions, which may come from the new settings
+  if (settings || profile !== undefined || configFile !== undefined) {
+    typeRegistry.reset();
+  }
+}
+
+// Standalone functions take the dependencies with their options
+function withDependencies({ client, config: settings, logger: target, profile, configFile, ...options } = {}) {
+  configure({ client, config: settings, logger: target, profile, configFile });
+  return options;
+}
+
+function hasDependencies(dependencies = {}) {
+  return ['client', 'config', 'logger', 'profile', 'configFile']
+    .some(name => dependencies[name] !== undefined);
+}
+
+function captureState() {
+  return {
+    config: config.getState(),
+    client: sanityClient.getState(),
+    logger: logger.getState(),
+    types: typeRegistry.definitions
+  };
+}
+
+function applyState(state) {
+  config.setState(state.config);
+  sanityClient.setState(state.client);
+  logger.setState(state.logger);
+  typeRegistry.definitions = state.types;
+}
+
+const running = new AsyncLocalStorage();
+let queue = Promise.resolve();
+
+/**
+ * Runs API calls one at a time, so no call changes the dependencies another
+ * one is still using. Calls made from within a running one, e.g. from a
+ * report or progress callback, run right away.
+ */
+function runExclusive(task) {
+  if (running.getStore()) {
+    return task();
+  }
+
+  const result = queue.then(() => running.run(true, task));
+  queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Applies `dependencies` to a copy of the current state and returns a runner
+ * that swaps that copy in for a call and restores the process-wide state
+ * after it. What a call sets up on first use, like the client, is kept.
+ */
+function bindDependencies(dependencies) {
+  const previous = captureState();
+  let state;
+  try {
+    configure(dependencies);
+    state = captureState();
+  } finally {
+    applyState(previous);
+  }
+
+  const swap = task => {
+    const outer = captureState();
+    applyState(state);
+
+    const restore = () => {
+      state = captureState();
+      applyState(outer);
+    };
+
+    let result;
+    try {
+      result = task();
+    } catch (error) {
+      restore();
+      throw error;
+    }
+    if (!(result instanceof Promise)) {
+      restore();
+      return result;
+    }
+    return result.finally(restore);
+  };
+
+  return {
+    run: task => runExclusive(() => swap(task)),
+    // Synchronous calls cannot interleave with others, they need no queue
+    runSync: swap
+  };
+}
+
+export function getConfig() {
+  return config.get();
+}
+
+/**
+ * Lists the profiles of the config file, with whether the variable holding
+ * each one's token is set.
+ */
+export function listProfiles(dependencies) {
+  configure(dependencies);
+  return config.listProfiles();
+}
+
+/**
+ * Returns the import engine. Its methods take the options of the matching
+ * CLI flags in camelCase, plus `report` (an `ImportReport`) and `progress`
+ * (a `ProgressDisplay`) where the CLI has `--report` and shows progress.
+ *
+ * Given dependencies, the importer keeps them: two importers for different
+ * datasets each write to their own. Without any it uses the process-wide
+ * ones, set by `configure()` or read from the environment.
+ */
+export function createImporter(dependencies) {
+  const { run, runSync } = hasDependencies(dependencies)
+    ? bindDependencies(dependencies)
+    : { run: runExclusive, runSync: task => task() };
+
+  return {
+    import: (inputPath, type, options) => run(() => importManager.import(inputPath, type, options)),
+    retryFailed: (deadLetterPath, options) => run(() => importManager.retryFailed(deadLetterPath, options)),
+    validate: (inputPath, type, options) => run(() => importManager.validate(inputPath, type, options)),
+    plan: (inputPath, type, options) => run(() => importPlanner.plan(inputPath, type, options)),
+    savePlan: (plan, filename) => run(() => importPlanner.save(plan, filename)),
+    applyPlan: (filename, options) => run(() => importPlanner.apply(filename, options)),
+    importExport: (file, options) => run(() => exportImporter.import(file, options)),
+    copy: options => run(() => datasetCopier.copy(options)),
+    rollback: (runId, options) => run(() => runHistory.rollback(runId, options)),
+    listRuns: () => run(() => runHistory.list()),
+    getRun: runId => run(() => runHistory.load(runId)),
+    getTypes: () => runSync(() => typeRegistry.getTypes().map(type => ({
+      ...typeRegistry.getDefinition(type),
+      idKey: typeRegistry.getIdKey(type)
+    }))),
+    checkConnection: () => run(() => sanityClient.validateConnection())
+  };
+}
+
+/**
+ * Reads and maps an input file into records of `type`, without validating.
+ */
+export async function transform(inputPath, type, options) {
+  return runExclusive(() => transformer.transform(inputPath, type, withDependencies(options)));
+}
+
+export async function backup(dependencies) {
+  return runExclusive(() => {
+    configure(dependencies);
+    return backupTool.backup();
+  });
+}
+
+export async function restore(file, options) {
+  return runExclusive(() => backupTool.restore(file, withDependencies(options)));
+}
+
+export async function loadMapping(file, profileName) {
+  return mappingProfiles.load(file, profileName);
+}
+
+/**
+ * Proposes a mapping profile from the headers and first records of an input
+ * file, with the columns it could not place and the required fields left
+ * without one.
+ */
+export async function suggestMapping(type, inputPath, options = {}) {
+  return runExclusive(async () => {
+    const { name = 'default' } = withDependencies(options);
+    const definition = typeRegistry.getDefinition(type);
+    const records = await transformer.readSample(inputPath);
+
+    return mappingProfiles.suggest(transformer.getHeaders(records), records, definition, name);
+  });
+}
+
+export async function inspectAssetCache(dependencies) {
+  return runExclusive(() => {
+    configure(dependencies);
+    return assetCache.inspect();
+  });
+}
+
+/**
+ * Removes cached assets, only those cached longer than `olderThan` (e.g.
+ * `7d` or `2w`) when given.
+ */
+export async function purgeAssetCache(options) {
+  return runExclusive(() => {
+    const { olderThan } = withDependencies(options);
+    return assetCache.purge(olderThan && recoverySystem.parseMaxAge(olderThan));
+  });
+}
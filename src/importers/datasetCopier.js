@@ -0,0 +1,498 @@
+import logger from '../utils/logger.js';
+import config from '../utils/config.js';
+import sanityClient from '../utils/sanityClient.js';
+import imageHandler from '../utils/imageHandler.js';
+import assetCache from '../utils/assetCache.js';
+import uploadQueue from '../utils/uploadQueue.js';
+import runHistory from '../utils/runHistory.js';
+import recoverySystem, { CheckpointError } from '../utils/recoverySystem.js';
+import { validateMode, commitDocuments } from '../utils/importModes.js';
+import { batchRecords } from '../utils/batching.js';
+import { getStatusCode } from '../utils/errorClassifier.js';
+import { backupTool } from '../scripts/backup.js';
+
+export class CopyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CopyError';
+  }
+}
+
+// Asset documents are carried over through the references to them
+const ASSET_TYPES = ['sanity.imageAsset', 'sanity.fileAsset'];
+const ASSET_ID = /^(image|file)-[0-9a-f]{40}(-\d+x\d+)?-[a-z0-9]+$/;
+
+// Options that change what gets written, a resume must use the same ones
+const RESUME_OPTIONS = ['source', 'target', 'types', 'filter', 'idPrefix', 'mode'];
+
+/**
+ * Copies documents from one dataset to another, possibly in another project:
+ * pages through the source like a backup, carries over the assets the
+ * documents reference and only writes documents that differ from the
+ * target. The position in the source is checkpointed after every page so
+ * `resume` can continue an interrupted copy.
+ */
+class DatasetCopier {
+  /**
+   * The source is a client, or the name of the profile to create one from.
+   */
+  resolveSource(options) {
+    if (options.source) {
+      return options.source;
+    }
+    if (!options.from) {
+      throw new CopyError('A profile to copy from is required (--from)');
+    }
+    return sanityClient.createClientFor(config.getProfileSanity(options.from));
+  }
+
+  resolveOptions(source, options) {
+    const { sanity } = config.get();
+    const { projectId, dataset } = source.config();
+
+    const resolved = {
+      source: `${projectId}/${dataset}`,
+      target: `${sanity.projectId}/${sanity.dataset}`,
+      types: options.types?.length ? [...options.types].sort() : null,
+      filter: options.filter || null,
+      idPrefix: options.idPrefix || null,
+      // Copies exist to bring the target up to date, so changed documents are replaced
+      mode: validateMode(options.mode || 'replace')
+    };
+
+    if (resolved.idPrefix && !/^[\w.-]+$/.test(resolved.idPrefix)) {
+      throw new CopyError(`Invalid ID prefix: ${resolved.idPrefix}. Use letters, digits, _, - and .`);
+    }
+    if (resolved.source === resolved.target && !resolved.idPrefix) {
+      throw new CopyError(`Source and target are both ${resolved.target}; give an ID prefix to copy within a dataset`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Published documents of the chosen types that match the filter. Copies
+   * already carrying the ID prefix are left out, or a copy within a dataset
+   * would copy its own output.
+   */
+  buildQuery({ types, filter, idPrefix }) {
+    const conditions = ['!(_id in path("drafts.**"))', '!(_type in $assetTypes)'];
+    const params = { assetTypes: ASSET_TYPES };
+
+    if (idPrefix) {
+      conditions.push('!string::startsWith(_id, $idPrefix)');
+      params.idPrefix = idPrefix;
+    }
+    if (types) {
+      conditions.push('_type in $types');
+      params.types = types;
+    }
+    if (filter) {
+      conditions.push(`(${filter})`);
+    }
+
+    return { filter: conditions.join(' && '), params };
+  }
+
+  /**
+   * Loads the checkpoint to resume from, refusing one that was written for
+   * another source, target or selection.
+   */
+  async loadResumeCheckpoint(resolved) {
+    const checkpoint = await recoverySystem.loadLatestCheckpoint('copy');
+    if (!checkpoint) {
+      logger.info('No checkpoint found, starting from the beginning', { type: 'copy' });
+      return null;
+    }
+
+    const changed = RESUME_OPTIONS.filter(key =>
+      JSON.stringify(checkpoint.options?.[key] ?? null) !== JSON.stringify(resolved[key] ?? null)
+    );
+    if (changed.length > 0) {
+      throw new CheckpointError(
+        `Cannot resume with different options than the interrupted copy: ${changed.join(', ')}`,
+        checkpoint
+      );
+    }
+
+    if (checkpoint.completed) {
+      throw new CheckpointError(
+        `The copy from ${checkpoint.options.source} already completed. Run without --resume to copy again.`,
+        checkpoint
+      );
+    }
+
+    logger.info('Resuming from checkpoint', { progress: checkpoint.progress });
+    return checkpoint;
+  }
+
+  /**
+   * Prefixes document IDs and the references between documents. Asset
+   * references are left alone, assets keep their IDs.
+   */
+  rewriteIds(value, prefix) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.rewriteIds(item, prefix));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+      if ((key === '_id' || key === '_ref') && typeof item === 'string' && !ASSET_ID.test(item)) {
+        return [key, `${prefix}${item}`];
+      }
+      return [key, this.rewriteIds(item, prefix)];
+    }));
+  }
+
+  collectAssetIds(value, ids = new Set()) {
+    if (Array.isArray(value)) {
+      value.forEach(item => this.collectAssetIds(item, ids));
+    } else if (value && typeof value === 'object') {
+      if (typeof value._ref === 'string' && ASSET_ID.test(value._ref)) {
+        ids.add(value._ref);
+      }
+      Object.values(value).forEach(item => this.collectAssetIds(item, ids));
+    }
+    return ids;
+  }
+
+  relinkAssets(value, assetIds) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.relinkAssets(item, assetIds));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      key === '_ref' && assetIds.has(item) ? assetIds.get(item) : this.relinkAssets(item, assetIds)
+    ]));
+  }
+
+  /**
+   * Starts carrying over the assets behind `ids`, once per run. Each one
+   * resolves to the ID of the asset in the target.
+   */
+  requestAssets(source, ids, state) {
+    const pending = ids.filter(id => !state.assets.has(id));
+    if (pending.length === 0) return;
+
+    const lookup = Promise.all([
+      sanityClient.fetch('*[_id in $ids]._id', { ids: pending }),
+      sanityClient.request(
+        () => source.fetch('*[_id in $ids]{_id, _type, url, sha1hash, originalFilename, mimeType}', { ids: pending }),
+        { operation: 'copy-assets' }
+      )
+    ]).then(([present, assets]) => ({
+      present: new Set(present),
+      assets: new Map(assets.map(asset => [asset._id, asset]))
+    }));
+
+    for (const id of pending) {
+      const asset = lookup.then(found => this.copyAsset(id, found, state));
+      // Awaited by the documents that use it, failing only those
+      asset.catch(() => {});
+      state.assets.set(id, asset);
+    }
+  }
+
+  /**
+   * Reuses an asset the target has under the same ID or with the same
+   * content, and otherwise downloads it from the source and uploads it.
+   */
+  async copyAsset(id, { present, assets }, state) {
+    if (present.has(id)) {
+      state.reused++;
+      return id;
+    }
+
+    const asset = assets.get(id);
+    if (!asset) {
+      throw new Error(`Asset ${id} not found in the source dataset`);
+    }
+
+    const assetType = asset._type === 'sanity.fileAsset' ? 'file' : 'image';
+    const existing = asset.sha1hash && await assetCache.getByHash(asset.sha1hash, assetType);
+    if (existing) {
+      state.reused++;
+      return existing.assetId;
+    }
+
+    if (state.dryRun) {
+      state.copied++;
+      return id;
+    }
+
+    const uploaded = await imageHandler.uploadAssetFromUrl(asset.url, assetType, {
+      filename: asset.originalFilename,
+      contentType: asset.mimeType
+    });
+    state.copied++;
+    return uploaded._id;
+  }
+
+  /**
+   * Turns source documents into the documents to write: IDs rewritten when
+   * asked to, `_rev` dropped and asset references pointed at the target's.
+   */
+  async prepare(documents, source, resolved, state, summary) {
+    const rewritten = documents.map(raw => {
+      const { _rev, ...doc } = resolved.idPrefix ? this.rewriteIds(raw, resolved.idPrefix) : raw;
+      return { doc, sourceId: raw._id };
+    });
+
+    this.requestAssets(source, [...this.collectAssetIds(documents)], state);
+
+    const prepared = await Promise.all(rewritten.map(async item => {
+      try {
+        const ids = [...this.collectAssetIds(item.doc)];
+        const assetIds = new Map(await Promise.all(ids.map(async id => [id, await state.assets.get(id)])));
+        return { ...item, doc: this.relinkAssets(item.doc, assetIds) };
+      } catch (error) {
+        summary.failed++;
+        summary.errors.push({ _id: item.sourceId, error: error.message });
+        logger.error('Failed to copy assets', { _id: item.sourceId, error: error.message });
+        return null;
+      }
+    }));
+
+    return prepared.filter(Boolean);
+  }
+
+  /**
+   * Writes items in batches. Returns the ones rejected for a conflict, most
+   * likely a reference to a document that is not in the target yet; other
+   * rejections are recorded as failures.
+   */
+  async commit(items, resolved, manifest, summary) {
+    const { import: importConfig } = config.get();
+    const conflicts = [];
+
+    for await (const batch of batchRecords(items, importConfig.batchSize)) {
+      const { committed, failed } = await commitDocuments(batch, resolved.mode, manifest);
+      summary.success += committed.length;
+
+      for (const item of failed) {
+        if (getStatusCode(item.error) === 409) {
+          conflicts.push(item);
+        } else {
+          summary.failed++;
+          summary.errors.push({ _id: item.sourceId, error: item.error.message });
+        }
+      }
+    }
+
+    await manifest.save();
+    return conflicts;
+  }
+
+  /**
+   * Writes the documents that conflicted again, for as long as each round
+   * gets some of them in.
+   */
+  async commitDeferred(state, resolved, manifest, summary) {
+    let pending = state.deferred.splice(0);
+
+    while (pending.length > 0) {
+      logger.info('Copying documents that referenced ones not copied yet', { documents: pending.length });
+      const conflicts = await this.commit(pending, resolved, manifest, summary);
+
+      if (conflicts.length === pending.length) {
+        summary.failed += conflicts.length;
+        summary.errors.push(...conflicts.map(({ sourceId, error }) => ({ _id: sourceId, error: error.message })));
+        break;
+      }
+      pending = conflicts;
+    }
+  }
+
+  /**
+   * Copies the documents of `types` matching the GROQ `filter` from the
+   * source (`source` client or `from` profile) into the configured dataset.
+   * With `idPrefix`, IDs and references between documents are prefixed.
+   * With `dryRun`, only reports what would be created, replaced or left
+   * unchanged.
+   */
+  async copy(options = {}) {
+    const dryRun = Boolean(options.dryRun);
+    let manifest;
+    let summary;
+    const state = { assets: new Map(), copied: 0, reused: 0, deferred: [], dryRun };
+
+    try {
+      const source = this.resolveSource(options);
+      const resolved = this.resolveOptions(source, options);
+      // Missing credentials fail before anything is read
+      sanityClient.ensureClient();
+
+      await recoverySystem.initialize();
+      const checkpoint = options.resume && !dryRun
+        ? await this.loadResumeCheckpoint(resolved)
+        : null;
+
+      if (options.backup && !dryRun) {
+        logger.info('Creating backup before copy');
+        await backupTool.backup();
+      }
+
+      const { filter, params } = this.buildQuery(resolved);
+      // Pages follow `_id`, so a resumed copy continues after the last one read
+      const after = checkpoint?.position?.lastId || '';
+      const start = checkpoint?.processedCount || 0;
+      const total = await backupTool.fetchDocumentCount({
+        client: source,
+        filter: `${filter} && _id > $after`,
+        params: { ...params, after }
+      });
+      const previous = checkpoint?.results || { success: 0, failed: 0 };
+
+      summary = {
+        source: resolved.source,
+        target: resolved.target,
+        dryRun,
+        total,
+        resumedFrom: checkpoint ? start : undefined,
+        create: 0,
+        replace: 0,
+        unchanged: 0,
+        success: 0,
+        failed: 0,
+        assets: 0,
+        assetsReused: 0,
+        errors: []
+      };
+      uploadQueue.resetStats();
+
+      if (!dryRun) {
+        manifest = await runHistory.begin('copy', { source: resolved.source, options: resolved });
+      }
+
+      logger.info(dryRun ? 'Planning copy' : 'Starting copy', {
+        source: resolved.source,
+        target: resolved.target,
+        types: resolved.types || 'all',
+        filter: resolved.filter,
+        documents: summary.total,
+        runId: manifest?.runId
+      });
+
+      const checkpoints = [];
+      let processed = start;
+      let lastId = after;
+      const saveCheckpoint = async (completed = false) => {
+        checkpoints.push(await recoverySystem.saveCheckpoint('copy', {
+          options: resolved,
+          processedCount: processed,
+          // Documents still waiting for their references are fetched again on resume
+          position: { lastId, deferred: state.deferred.map(({ sourceId }) => sourceId) },
+          completed,
+          results: {
+            success: previous.success + summary.success,
+            failed: previous.failed + summary.failed
+          }
+        }));
+      };
+
+      options.progress?.start({ label: `Copying from ${resolved.source}`, total: summary.total });
+
+      // Documents deferred by the interrupted run come first, they are before the last ID
+      const pages = async function* () {
+        const deferred = checkpoint?.position?.deferred || [];
+        if (deferred.length > 0) {
+          const documents = await sanityClient.request(
+            () => source.fetch('*[_id in $ids]', { ids: deferred }),
+            { operation: 'copy-deferred' }
+          );
+          yield { documents, read: 0 };
+        }
+        for await (const documents of backupTool.fetchDocumentsAfter({ client: source, filter, params, after })) {
+          yield { documents, read: documents.length };
+        }
+      };
+
+      try {
+        for await (const { documents, read } of pages()) {
+          const items = await this.prepare(documents, source, resolved, state, summary);
+          await assetCache.save();
+
+          const plan = items.length > 0
+            ? await backupTool.planRestoreBatch(sanityClient.client, items.map(({ doc }) => doc))
+            : [];
+          const changed = items.filter((item, index) => {
+            summary[plan[index].action]++;
+            return plan[index].action !== 'unchanged';
+          });
+
+          if (!dryRun && changed.length > 0) {
+            state.deferred.push(...await this.commit(changed, resolved, manifest, summary));
+          }
+
+          processed += read;
+          if (read > 0) {
+            lastId = documents[documents.length - 1]._id;
+          }
+          if (!dryRun) {
+            await saveCheckpoint();
+          }
+
+          options.progress?.update({
+            processed: processed - start,
+            success: summary.success + summary.unchanged,
+            failed: summary.failed
+          });
+        }
+
+        if (!dryRun) {
+          await this.commitDeferred(state, resolved, manifest, summary);
+        }
+      } finally {
+        options.progress?.stop();
+        summary.assets = state.copied;
+        summary.assetsReused = state.reused;
+        summary.uploads = uploadQueue.getStats();
+        await assetCache.save();
+        if (checkpoints.length > 0) {
+          summary.checkpoints = checkpoints;
+        }
+      }
+
+      if (!dryRun) {
+        await saveCheckpoint(true);
+        await recoverySystem.cleanOldCheckpoints('copy');
+        await manifest.finish('completed', summary);
+        summary.runId = manifest.runId;
+      }
+
+      logger.info(dryRun ? 'Copy plan completed' : 'Copy completed', {
+        source: resolved.source,
+        target: resolved.target,
+        create: summary.create,
+        replace: summary.replace,
+        unchanged: summary.unchanged,
+        success: summary.success,
+        failed: summary.failed,
+        assets: summary.assets
+      });
+
+      return summary;
+    } catch (error) {
+      logger.error('Copy failed', { from: options.from, error: error.message });
+      if (summary) {
+        error.results = summary;
+        error.checkpoints = summary.checkpoints;
+      }
+      if (manifest) {
+        await manifest.finish('failed', summary);
+        error.runId = manifest.runId;
+      }
+      throw error;
+    }
+  }
+}
+
+export default new DatasetCopier();
@@ -0,0 +1,43 @@
+/**
+ * Built-in document type definitions. Additional types can be declared under
+ * `types` in config/default.json using the same shape; a configured type with
+ * the same name replaces the built-in one.
+ *
+ * Field options:
+ *   type       string | text | email | url | color | number | boolean | slug |
+ *              array | reference | image
+ *   source     Input column to read (defaults to the field name)
+ *   required   Reject records without a value
+ *   validator  Extra validator name(s) from utils/validation.js
+ *   lowercase  Lowercase string values
+ *   array      Accept several values (reference and image fields)
+ *   to         Referenced document type (reference fields)
+ *   from       Field to generate the slug from (slug fields)
+ */
+export const builtInTypes = {
+  category: {
+    idKey: 'slug',
+    fields: {
+      title: { type: 'string', required: true },
+      slug: { type: 'slug', from: 'title' },
+      description: { type: 'text' },
+      color: { type: 'color' },
+      featuredListing: { type: 'reference', to: 'listing', source: 'featured_listing_id' }
+    }
+  },
+
+  listing: {
+    idKey: 'email',
+    fields: {
+      title: { type: 'string', required: true },
+      slug: { type: 'slug', from: 'title' },
+      description: { type: 'text' },
+      email: { type: 'email', required: true },
+      websiteUrl: { type: 'url', source: 'website_url' },
+      instagramUrl: { type: 'url', source: 'instagram_url' },
+      galleryImages: { type: 'image', array: true, source: 'gallery_images' },
+      categories: { type: 'reference', to: 'category', array: true },
+      tags: { type: 'array', lowercase: true }
+    }
+  }
+};
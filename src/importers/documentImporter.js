@@ -0,0 +1,396 @@
+import { validators } from '../utils/validation.js';
+import logger from '../utils/logger.js';
+import config from '../utils/config.js';
+import referenceResolver from '../utils/referenceResolver.js';
+import imageHandler from '../utils/imageHandler.js';
+import assetCache from '../utils/assetCache.js';
+import uploadQueue from '../utils/uploadQueue.js';
+import {
+  validateMode,
+  getKeyValue,
+  generateDocumentId,
+  commitDocuments
+} from '../utils/importModes.js';
+import { batchRecords } from '../utils/batching.js';
+import typeRegistry from './typeRegistry.js';
+
+export class ImportStoppedError extends Error {
+  constructor(message, results) {
+    super(message);
+    this.name = 'ImportStoppedError';
+    this.results = results;
+  }
+}
+
+/**
+ * Validates and imports documents of any type declared in the type registry.
+ */
+class DocumentImporter {
+  constructor(definition) {
+    this.definition = definition;
+    this.type = definition.name;
+    this.requiredFields = definition.fields
+      .filter(field => field.required)
+      .map(field => field.name);
+  }
+
+  /**
+   * Looks up the reference values of many records at once, so validating
+   * them afterwards needs no further queries.
+   */
+  async prefetchReferences(records) {
+    const references = [];
+
+    for (const field of this.definition.fields) {
+      if (field.type !== 'reference') continue;
+
+      for (const record of records) {
+        for (const value of [].concat(record[field.name] ?? [])) {
+          references.push({ type: field.to, value });
+        }
+      }
+    }
+
+    await referenceResolver.prefetch(references);
+  }
+
+  getIdKey(options = {}) {
+    return typeRegistry.getIdKey(this.type, options.idKey);
+  }
+
+  isEmpty(value) {
+    return value === undefined || value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0);
+  }
+
+  async uploadImages(field, data, options = {}) {
+    const sources = [].concat(data[field.name] || []);
+    if (sources.length === 0) {
+      return field.array ? [] : undefined;
+    }
+
+    // A plan must not upload, it references known assets or leaves placeholders.
+    // Output bundles go to another dataset, so they only get placeholders
+    const { successful, failed } = options.plan || options.output
+      ? await imageHandler.planMultipleImages(sources, {
+        assetsDir: options.assetsDir,
+        lookup: !options.output
+      })
+      : await imageHandler.uploadMultipleImages(sources, { assetsDir: options.assetsDir });
+
+    if (failed.length > 0) {
+      logger.warn('Some images failed to upload', {
+        type: this.type,
+        field: field.name,
+        title: data.title,
+        failedImages: failed
+      });
+
+      // The record is still imported, without these images
+      options.failedImages?.push(...failed.map(({ url, error }) => ({
+        type: this.type,
+        row: data.sourceRow,
+        field: field.name,
+        url,
+        error
+      })));
+    }
+
+    return field.array ? successful : successful[0];
+  }
+
+  async validateField(field, data, options) {
+    let value = data[field.name];
+
+    if (field.required) {
+      validators.required(this.isEmpty(value) ? undefined : value, field.name);
+    }
+
+    switch (field.type) {
+      case 'email':
+        value = validators.email(value, field.name);
+        break;
+      case 'url':
+        value = validators.url(value, field.name);
+        break;
+      case 'color':
+        value = validators.hexColor(value, field.name);
+        break;
+      case 'number':
+        value = validators.number(value, field.name);
+        break;
+      case 'boolean':
+        value = validators.boolean(value, field.name);
+        break;
+      case 'slug':
+        value = value
+          ? validators.generateSlug(value, field.name)
+          : validators.generateSlug(data[field.from], field.from);
+        break;
+      case 'array':
+        value = validators.array(value, field.name);
+        break;
+      case 'reference':
+        value = field.array
+          ? await referenceResolver.resolveMany(field.to, value, field.name, options)
+          : (await referenceResolver.resolve(field.to, value, field.name, options)) || undefined;
+        break;
+      case 'image':
+        value = await this.uploadImages(field, data, options);
+        break;
+      default:
+        break;
+    }
+
+    for (const validator of field.validator) {
+      value = validators[validator](value, field.name);
+    }
+
+    return value;
+  }
+
+  async validate(data, options = {}) {
+    try {
+      const doc = { _type: this.type };
+
+      for (const field of this.definition.fields) {
+        doc[field.name] = await this.validateField(field, data, options);
+      }
+
+      // Derive a stable ID so re-running the same input targets the same documents
+      const idKey = this.getIdKey(options);
+      return {
+        _id: generateDocumentId(this.type, idKey, getKeyValue(idKey, doc, data)),
+        ...doc
+      };
+    } catch (error) {
+      const { sourceRecord, ...record } = data;
+      logger.error('Document validation failed', {
+        type: this.type,
+        data: record,
+        error: error.message,
+        field: error.field
+      });
+      throw error;
+    }
+  }
+
+  describeFailure(record, error, doc) {
+    return {
+      row: record.sourceRow,
+      _id: doc?._id,
+      field: error.field,
+      value: error.field ? error.value : undefined,
+      error: error.message,
+      errorType: error.name
+    };
+  }
+
+  /**
+   * Validates every record on its own and commits the valid ones, returning
+   * the committed documents and `{ record, failure }` for each rejected record.
+   */
+  async importBatch(batch, mode, options) {
+    if (!options.offline) {
+      await this.prefetchReferences(batch);
+    }
+
+    const validations = await Promise.allSettled(
+      batch.map(record => this.validate(record, options))
+    );
+
+    const valid = [];
+    const failures = [];
+    validations.forEach((validation, index) => {
+      if (validation.status === 'fulfilled') {
+        valid.push({ record: batch[index], doc: validation.value });
+      } else {
+        failures.push({
+          record: batch[index],
+          failure: this.describeFailure(batch[index], validation.reason)
+        });
+      }
+    });
+
+    if (valid.length === 0) {
+      return { committed: [], failures };
+    }
+
+    let outcome;
+    try {
+      outcome = options.output
+        ? await options.output.write(valid)
+        : await commitDocuments(valid, mode, options.manifest);
+    } catch (error) {
+      // Nothing was written, but the invalid records are still known
+      error.failures = failures;
+      error.rows = valid.map(({ record }) => record.sourceRow);
+      throw error;
+    }
+
+    const { committed, failed } = outcome;
+    failed.forEach(({ record, doc, error }) => {
+      failures.push({ record, failure: this.describeFailure(record, error, doc) });
+    });
+
+    return { committed, failures };
+  }
+
+  /**
+   * Imports records from an array or a stream such as `transformer.stream()`.
+   * `options.onBatch` is awaited after every batch with the running totals,
+   * the last record of the batch, which is where checkpoints hook in, and the
+   * batch's rejected records with their error messages.
+   * Invalid records are reported one by one and the rest of their batch is
+   * still written. Unless `continueOnError` is set the import stops after the
+   * first batch that had failures. `options.report` receives every record's
+   * outcome and the batch timings. With `options.output` (an `OutputBundle`)
+   * documents are written to it instead of the dataset, without any API call.
+   */
+  async import(records, options = {}) {
+    const { import: importConfig } = config.get();
+    const mode = validateMode(options.mode || importConfig.mode);
+    const total = Array.isArray(records) ? records.length : undefined;
+    const results = {
+      success: 0,
+      failed: 0,
+      errors: [],
+      failedImages: []
+    };
+
+    logger.info('Starting document import', { type: this.type, count: total, mode });
+
+    // References are cached per run, including documents the run writes
+    referenceResolver.reset();
+    // A bundle can also reference what earlier bundles beside it hold
+    options.output?.earlier.forEach(doc => referenceResolver.remember(doc));
+    uploadQueue.resetStats();
+
+    let batchIndex = 0;
+    let processed = 0;
+
+    // Images that could not be uploaded are collected while validating
+    const batchOptions = {
+      ...options,
+      failedImages: results.failedImages,
+      // References resolve within the bundles, see ReferenceResolver
+      offline: Boolean(options.output)
+    };
+    const { report } = options;
+
+    for await (const batch of batchRecords(records, importConfig.batchSize)) {
+      processed += batch.length;
+
+      let recordFailures = 0;
+      const failedRecords = [];
+      const batchStarted = Date.now();
+
+      try {
+        const { committed, failures } = await this.importBatch(batch, mode, batchOptions);
+
+        // Later batches can reference what this one created
+        committed.forEach(({ doc }) => referenceResolver.remember(doc));
+
+        committed.forEach(({ record, doc }) => report?.recordOutcome({
+          row: record.sourceRow,
+          _id: doc._id,
+          status: 'success'
+        }));
+        failures.forEach(({ failure }) => report?.recordOutcome({ ...failure, status: 'failed' }));
+
+        results.success += committed.length;
+        results.failed += failures.length;
+        results.errors.push(...failures.map(({ failure }) => ({ batch: batchIndex, ...failure })));
+        failedRecords.push(...failures.map(({ record, failure }) => ({ record, error: failure.error })));
+        recordFailures = failures.length;
+
+        if (failures.length > 0) {
+          logger.warn('Batch imported with failed records', {
+            type: this.type,
+            batchIndex,
+            committed: committed.length,
+            failed: failures.length,
+            rows: failures.map(({ failure }) => failure.row)
+          });
+        } else {
+          logger.info('Batch import successful', {
+            type: this.type,
+            processed,
+            total
+          });
+        }
+      } catch (error) {
+        const failures = error.failures || [];
+        results.failed += batch.length;
+        results.errors.push(
+          ...failures.map(({ failure }) => ({ batch: batchIndex, ...failure })),
+          {
+            batch: batchIndex,
+            error: error.message,
+            rows: (error.rows || batch.map(record => record.sourceRow))
+              .filter(row => row !== undefined)
+          }
+        );
+
+        logger.error('Batch import failed', {
+          type: this.type,
+          batchIndex,
+          error: error.message
+        });
+
+        // Invalid records keep their own error, the rest share the batch's
+        const invalid = new Map(failures.map(({ record, failure }) => [record, failure]));
+        batch.forEach(record => report?.recordOutcome({
+          row: record.sourceRow,
+          error: error.message,
+          ...invalid.get(record),
+          status: 'failed'
+        }));
+
+        if (!options.continueOnError) {
+          await assetCache.save();
+          // Callers that stop here still need to know how far the run got
+          error.results = results;
+          throw error;
+        }
+
+        failedRecords.push(...batch.map(record => ({
+          record,
+          error: invalid.get(record)?.error || error.message
+        })));
+      } finally {
+        report?.recordBatch(batchIndex, batch.length, Date.now() - batchStarted);
+      }
+
+      // Persist newly uploaded assets so an interrupted run does not upload them again
+      await assetCache.save();
+
+      if (options.onBatch) {
+        await options.onBatch({
+          batchIndex,
+          processed,
+          results,
+          lastRecord: batch[batch.length - 1],
+          failedRecords
+        });
+      }
+
+      // The valid records are committed, so stopping here moves past this batch
+      if (recordFailures > 0 && !options.continueOnError) {
+        throw new ImportStoppedError(
+          `Stopped after ${recordFailures} record(s) failed in batch ${batchIndex}`,
+          results
+        );
+      }
+
+      batchIndex++;
+    }
+
+    results.uploads = uploadQueue.getStats();
+
+    logger.info('Document import completed', { type: this.type, ...results });
+    return results;
+  }
+}
+
+export default DocumentImporter;
@@ -0,0 +1,301 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { extract } from 'tar';
+import logger from '../utils/logger.js';
+import config from '../utils/config.js';
+import imageHandler from '../utils/imageHandler.js';
+import assetCache from '../utils/assetCache.js';
+import uploadQueue from '../utils/uploadQueue.js';
+import runHistory from '../utils/runHistory.js';
+import { validateMode, commitDocuments } from '../utils/importModes.js';
+import { batchRecords } from '../utils/batching.js';
+import { getStatusCode } from '../utils/errorClassifier.js';
+import { transformer } from '../scripts/transform.js';
+
+// Asset documents are recreated by uploading, system documents are not ours to write
+const SKIPPED_TYPES = /^(system\.|sanity\.(imageAsset|fileAsset)$)/;
+const ASSET_REFERENCE = /^(image|file)@(.+)$/;
+
+/**
+ * Imports the output of `sanity dataset export`: either a bare data.ndjson
+ * file or the .tar.gz archive that bundles it with its image and file assets.
+ */
+class SanityExportImporter {
+  isArchive(file) {
+    return /\.(tar\.gz|tgz)$/i.test(file);
+  }
+
+  async findDataFile(dir, depth = 0) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+
+    const dataFile = entries.find(entry => entry.isFile() && entry.name === 'data.ndjson');
+    if (dataFile) {
+      return path.join(dir, dataFile.name);
+    }
+
+    if (depth < 2) {
+      for (const entry of entries.filter(item => item.isDirectory())) {
+        const found = await this.findDataFile(path.join(dir, entry.name), depth + 1);
+        if (found) return found;
+      }
+    }
+
+    return null;
+  }
+
+  async openSource(file) {
+    if (!this.isArchive(file)) {
+      return { dataFile: file, baseDir: path.dirname(path.resolve(file)) };
+    }
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sanity-export-'));
+    logger.info('Extracting export archive', { file: path.basename(file) });
+    await extract({ file, cwd: tempDir });
+
+    const dataFile = await this.findDataFile(tempDir);
+    if (!dataFile) {
+      await fs.rm(tempDir, { recursive: true, force: true });
+      throw new Error(`No data.ndjson found in ${path.basename(file)}`);
+    }
+
+    return { dataFile, baseDir: path.dirname(dataFile), tempDir };
+  }
+
+  async* readDocuments(dataFile, types, summary) {
+    for await (const { raw, row } of transformer.streamNDJSON(dataFile)) {
+      summary.total++;
+
+      if (!raw._id || !raw._type) {
+        summary.failed++;
+        summary.errors.push({ row, error: 'Document is missing _id or _type' });
+        continue;
+      }
+
+      if (SKIPPED_TYPES.test(raw._type) || (types?.length && !types.includes(raw._type))) {
+        summary.skipped++;
+        continue;
+      }
+
+      // _rev is assigned by Sanity and cannot be written back
+      const { _rev, ...doc } = raw;
+      yield { doc, row };
+    }
+  }
+
+  async uploadAsset(reference, baseDir, state) {
+    if (!state.assets.has(reference)) {
+      const [, assetType, location] = reference.match(ASSET_REFERENCE) || [];
+      if (!assetType) {
+        throw new Error(`Unsupported asset reference: ${reference}`);
+      }
+
+      // Share one upload between every document that uses the same asset
+      state.assets.set(reference, (async () => {
+        let asset;
+        if (location.startsWith('file://')) {
+          const filePath = path.resolve(baseDir, location.slice('file://'.length));
+          if (!filePath.startsWith(baseDir + path.sep)) {
+            throw new Error(`Asset path escapes the export directory: ${location}`);
+          }
+          asset = await imageHandler.uploadAssetFromFile(filePath, assetType);
+        } else {
+          asset = await imageHandler.uploadAssetFromUrl(location, assetType);
+        }
+        state.uploaded++;
+        return asset;
+      })());
+    }
+
+    const asset = await state.assets.get(reference);
+    return asset._id;
+  }
+
+  /**
+   * Replaces every `_sanityAsset` placeholder written by the export with a
+   * reference to the uploaded asset.
+   */
+  async relinkAssets(value, baseDir, state) {
+    if (Array.isArray(value)) {
+      return Promise.all(value.map(item => this.relinkAssets(item, baseDir, state)));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    if (typeof value._sanityAsset === 'string') {
+      const { _sanityAsset, ...rest } = value;
+      const assetId = await this.uploadAsset(_sanityAsset, baseDir, state);
+      return {
+        ...rest,
+        asset: {
+          _type: 'reference',
+          _ref: assetId
+        }
+      };
+    }
+
+    const entries = await Promise.all(
+      Object.entries(value).map(async ([key, item]) => [
+        key,
+        await this.relinkAssets(item, baseDir, state)
+      ])
+    );
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Writes documents in batches, isolating rejected ones. Documents whose
+   * references point at ones not written yet are returned to retry later.
+   */
+  async commit(items, mode, manifest, summary) {
+    const { import: importConfig } = config.get();
+    const conflicts = [];
+
+    for await (const batch of batchRecords(items, importConfig.batchSize)) {
+      const { committed, failed } = await commitDocuments(batch, mode, manifest);
+      summary.success += committed.length;
+
+      for (const item of failed) {
+        if (getStatusCode(item.error) === 409) {
+          conflicts.push(item);
+        } else {
+          summary.failed++;
+          summary.errors.push({ row: item.row, _id: item.doc._id, error: item.error.message });
+        }
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Writes the documents that conflicted again once the whole export was
+   * read, for as long as each round gets some of them in. Exports are not
+   * ordered by references, so a document often comes before its target.
+   */
+  async commitDeferred(deferred, mode, manifest, summary) {
+    let pending = deferred;
+
+    while (pending.length > 0) {
+      logger.info('Importing documents that referenced ones not imported yet', { documents: pending.length });
+      const conflicts = await this.commit(pending, mode, manifest, summary);
+
+      if (conflicts.length === pending.length) {
+        summary.failed += conflicts.length;
+        summary.errors.push(...conflicts.map(({ doc, row, error }) => ({ row, _id: doc._id, error: error.message })));
+        break;
+      }
+      pending = conflicts;
+    }
+
+    await manifest.save();
+  }
+
+  async import(file, options = {}) {
+    const { import: importConfig } = config.get();
+    const mode = validateMode(options.mode || importConfig.mode);
+    const { types } = options;
+
+    const summary = {
+      file,
+      total: 0,
+      skipped: 0,
+      success: 0,
+      failed: 0,
+      assets: 0,
+      errors: []
+    };
+    const state = { assets: new Map(), uploaded: 0 };
+    const deferred = [];
+    uploadQueue.resetStats();
+
+    const source = await this.openSource(file);
+    let manifest;
+
+    try {
+      manifest = await runHistory.begin('import-export', {
+        inputPath: path.resolve(file),
+        options: { mode, types: types || null }
+      });
+
+      logger.info('Starting export import', {
+        file: path.basename(file),
+        mode,
+        types: types || 'all'
+      });
+
+      const documents = this.readDocuments(source.dataFile, types, summary);
+
+      for await (const batch of batchRecords(documents, importConfig.batchSize)) {
+        const prepared = await Promise.all(batch.map(async ({ doc, row }) => {
+          try {
+            return { doc: await this.relinkAssets(doc, source.baseDir, state), row };
+          } catch (error) {
+            summary.failed++;
+            summary.errors.push({ row, _id: doc._id, error: error.message });
+            logger.error('Failed to relink assets', { _id: doc._id, row, error: error.message });
+            return null;
+          }
+        }));
+
+        await assetCache.save();
+
+        const ready = prepared.filter(Boolean);
+        if (ready.length === 0) continue;
+
+        try {
+          // Rejected documents are isolated so the rest of the batch is written
+          const conflicts = await this.commit(ready, mode, manifest, summary);
+          deferred.push(...conflicts);
+
+          logger.info('Batch import finished', {
+            processed: summary.total,
+            imported: summary.success,
+            deferred: conflicts.length
+          });
+        } catch (error) {
+          summary.failed += ready.length;
+          summary.errors.push({
+            rows: ready.map(({ row }) => row),
+            error: error.message
+          });
+          logger.error('Batch import failed', { error: error.message });
+        }
+
+        await manifest.save();
+      }
+
+      await this.commitDeferred(deferred, mode, manifest, summary);
+
+      summary.assets = state.uploaded;
+      summary.uploads = uploadQueue.getStats();
+      await manifest.finish('completed', summary);
+      summary.runId = manifest.runId;
+
+      logger.info('Export import completed', {
+        total: summary.total,
+        skipped: summary.skipped,
+        success: summary.success,
+        failed: summary.failed,
+        assets: summary.assets
+      });
+
+      return summary;
+    } catch (error) {
+      logger.error('Export import failed', { file, error: error.message });
+      if (manifest) {
+        await manifest.finish('failed', summary);
+        error.runId = manifest.runId;
+      }
+      throw error;
+    } finally {
+      if (source.tempDir) {
+        await fs.rm(source.tempDir, { recursive: true, force: true });
+      }
+    }
+  }
+}
+
+export default new SanityExportImporter();
@@ -0,0 +1,15 @@
+import DocumentImporter from './documentImporter.js';
+import typeRegistry from './typeRegistry.js';
+
+// Keyed by definition, so types configured again get importers of their own
+const importers = new WeakMap();
+
+export function getImporter(type) {
+  const definition = typeRegistry.getDefinition(type);
+  if (!importers.has(definition)) {
+    importers.set(definition, new DocumentImporter(definition));
+  }
+  return importers.get(definition);
+}
+
+export { typeRegistry };
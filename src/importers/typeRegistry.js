@@ -0,0 +1,143 @@
+import config from '../utils/config.js';
+import { validators } from '../utils/validation.js';
+import { builtInTypes } from './definitions.js';
+
+export const FIELD_TYPES = [
+  'string',
+  'text',
+  'email',
+  'url',
+  'color',
+  'number',
+  'boolean',
+  'slug',
+  'array',
+  'reference',
+  'image'
+];
+
+export class TypeDefinitionError extends Error {
+  constructor(message, type) {
+    super(message);
+    this.name = 'TypeDefinitionError';
+    this.type = type;
+  }
+}
+
+class TypeRegistry {
+  constructor() {
+    this.definitions = null;
+  }
+
+  load() {
+    const { types = {} } = config.get();
+    const definitions = new Map();
+
+    for (const [name, definition] of Object.entries({ ...builtInTypes, ...types })) {
+      definitions.set(name, this.normalizeDefinition(name, definition));
+    }
+
+    for (const definition of definitions.values()) {
+      this.validateReferences(definition, definitions);
+    }
+
+    this.definitions = definitions;
+    return definitions;
+  }
+
+  normalizeDefinition(name, definition) {
+    if (!definition?.fields || Object.keys(definition.fields).length === 0) {
+      throw new TypeDefinitionError(`Type ${name} must declare at least one field`, name);
+    }
+
+    const fields = Object.entries(definition.fields).map(([fieldName, field]) => {
+      const normalized = {
+        name: fieldName,
+        type: 'string',
+        source: fieldName,
+        required: false,
+        array: field.type === 'array',
+        ...field,
+        validator: [].concat(field.validator || [])
+      };
+
+      if (!FIELD_TYPES.includes(normalized.type)) {
+        throw new TypeDefinitionError(
+          `Field ${name}.${fieldName} has unsupported type: ${normalized.type}. Supported types: ${FIELD_TYPES.join(', ')}`,
+          name
+        );
+      }
+
+      for (const validator of normalized.validator) {
+        if (typeof validators[validator] !== 'function') {
+          throw new TypeDefinitionError(
+            `Field ${name}.${fieldName} uses unknown validator: ${validator}`,
+            name
+          );
+        }
+      }
+
+      if (normalized.type === 'reference' && !normalized.to) {
+        throw new TypeDefinitionError(`Reference field ${name}.${fieldName} must declare "to"`, name);
+      }
+
+      if (normalized.type === 'slug' && !normalized.from && !field.source) {
+        throw new TypeDefinitionError(`Slug field ${name}.${fieldName} must declare "from" or "source"`, name);
+      }
+
+      return normalized;
+    });
+
+    return {
+      name,
+      idKey: definition.idKey || 'slug',
+      fields
+    };
+  }
+
+  validateReferences(definition, definitions) {
+    for (const field of definition.fields) {
+      if (field.type === 'reference' && !definitions.has(field.to)) {
+        throw new TypeDefinitionError(
+          `Reference field ${definition.name}.${field.name} targets undeclared type: ${field.to}`,
+          definition.name
+        );
+      }
+    }
+  }
+
+  // Loaded again from the next settings, e.g. after `configure` changed them
+  reset() {
+    this.definitions = null;
+  }
+
+  getDefinitions() {
+    return this.definitions || this.load();
+  }
+
+  getTypes() {
+    return [...this.getDefinitions().keys()];
+  }
+
+  hasType(type) {
+    return this.getDefinitions().has(type);
+  }
+
+  getDefinition(type) {
+    const definition = this.getDefinitions().get(type);
+    if (!definition) {
+      throw new TypeDefinitionError(
+        `Unsupported import type: ${type}. Supported types: ${this.getTypes().join(', ')}`,
+        type
+      );
+    }
+    return definition;
+  }
+
+  getIdKey(type, override) {
+    const { import: importConfig } = config.get();
+    return override || importConfig.idKeys?.[type] || this.getDefinition(type).idKey;
+  }
+}
+
+export default new TypeRegistry();
@@ -1,147 +1,540 @@
 import { program } from 'commander';
+import fs from 'fs/promises';
 import path from 'path';
 import logger from './utils/logger.js';
-import config from './utils/config.js';
-import { transformer } from './scripts/transform.js';
-import { backupTool } from './scripts/backup.js';
-import categoryImporter from './importers/categoryImporter.js';
-import listingImporter from './importers/listingImporter.js';
-
-class ImportManager {
-  constructor() {
-    this.supportedTypes = ['category', 'listing'];
+import {
+  EXIT_CODES,
+  UsageError,
+  jsonOutput,
+  printResult,
+  printFailure
+} from './utils/cliOutput.js';
+import {
+  IMPORT_MODES,
+  UNRESOLVED_POLICIES,
+  ImportReport,
+  ProgressDisplay,
+  backup,
+  configure,
+  confirmProtectedWrite,
+  createImporter,
+  getConfig,
+  getReportFormat,
+  inspectAssetCache,
+  listProfiles,
+  loadMapping as loadMappingFile,
+  purgeAssetCache,
+  restore,
+  suggestMapping
+} from './api.js';
+
+// Set up from the environment and the config file on first use
+const importer = createImporter();
+
+// Asks before writing to the dataset of a protected profile, unless --confirm names it
+function confirmWrite(command, dataset) {
+  return confirmProtectedWrite(command, { dataset, confirm: program.opts().confirm });
+}
+
+async function loadMapping(options) {
+  if (!options.mapping) return undefined;
+  return loadMappingFile(options.mapping, options.mappingProfile);
+}
+
+function printImportErrors(errors) {
+  if (!errors || errors.length === 0) return;
+
+  console.log('\nErrors encountered:');
+  console.table(errors.map(({ batch, row, rows, field, error }) => ({
+    Batch: batch,
+    Row: row ?? rows?.join(', '),
+    Field: field,
+    Error: error
+  })));
+}
+
+function printDeadLetter(file) {
+  if (!file) return;
+
+  console.log(`\nFailed records written to ${path.relative(process.cwd(), file)}`);
+  console.log(`Fix them and run: import --retry-failed ${path.relative(process.cwd(), file)}`);
+}
+
+// Options a retry or a plan takes from its file instead of the command line
+const FIXED_OPTIONS = {
+  dryRun: '--dry-run',
+  savePlan: '--save-plan',
+  mode: '--mode',
+  idKey: '--id-key',
+  onMissingReference: '--on-missing-reference',
+  mapping: '--mapping',
+  mappingProfile: '--mapping-profile',
+  assetsDir: '--assets-dir'
+};
+
+function checkImportArguments(type, input, options) {
+  if (options.output) {
+    // A bundle is written instead of the dataset, there is nothing to preview or back up
+    const conflicting = {
+      dryRun: '--dry-run',
+      savePlan: '--save-plan',
+      plan: '--plan',
+      resume: '--resume',
+      backup: '--backup'
+    };
+    const given = Object.keys(conflicting).filter(key => options[key]);
+    if (given.length > 0) {
+      throw new UsageError(`--output cannot be combined with ${given.map(key => conflicting[key]).join(', ')}`);
+    }
+  } else if (options.deriveReferences) {
+    throw new UsageError('--derive-references only applies to bundles written with --output');
   }
 
-  validateType(type) {
-    if (!this.supportedTypes.includes(type)) {
-      throw new Error(`Unsupported import type: ${type}. Supported types: ${this.supportedTypes.join(', ')}`);
+  if (!options.retryFailed && !options.plan) {
+    if (!type || !input) {
+      throw new UsageError('A type and an input file are required unless --retry-failed or --plan is given');
     }
+    return;
   }
 
-  getImporter(type) {
-    switch (type) {
-      case 'category':
-        return categoryImporter;
-      case 'listing':
-        return listingImporter;
-      default:
-        throw new Error(`No importer found for type: ${type}`);
+  const fixed = Object.keys(FIXED_OPTIONS).filter(key => options[key]);
+  if (options.plan) {
+    // A plan is applied as a whole, there is nothing to resume or retry
+    ['resume', 'retryFailed'].filter(key => options[key]).forEach(key => fixed.push(key));
+  }
+
+  if (type || input || fixed.length > 0) {
+    const reason = options.plan
+      ? '--plan applies the saved plan as it is'
+      : '--retry-failed reuses the type, options and mapping of the original import';
+    const names = { ...FIXED_OPTIONS, resume: '--resume', retryFailed: '--retry-failed' };
+    throw new UsageError(
+      `${reason}; remove ` +
+      [type, input].filter(Boolean).concat(fixed.map(key => names[key])).join(', ')
+    );
+  }
+}
+
+function printPlan(plan, limit = 50) {
+  console.log('\nImport Plan:');
+  console.table({
+    'Total Records': plan.summary.total,
+    'Create': plan.summary.create,
+    'Update': plan.summary.update,
+    'Unchanged': plan.summary.unchanged,
+    'Conflict': plan.summary.conflict,
+    'Invalid': plan.summary.invalid
+  });
+
+  const preview = value => {
+    const text = value === undefined ? '(unset)' : JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  };
+  const changes = plan.actions
+    .filter(action => action.action === 'update')
+    .flatMap(({ row, _id, changes: fields }) => fields.map(({ field, before, after }) => ({
+      Row: row,
+      _id,
+      Field: field,
+      Before: preview(before),
+      After: preview(after)
+    })));
+
+  if (changes.length > 0) {
+    console.log('\nChanged fields:');
+    console.table(changes.slice(0, limit));
+    if (changes.length > limit) {
+      console.log(`...and ${changes.length - limit} more, save the plan with --save-plan to see all`);
     }
   }
 
-  async import(inputPath, type, options = {}) {
-    try {
-      // Validate import type
-      this.validateType(type);
-      
-      // Create backup if requested
-      if (options.backup) {
-        logger.info('Creating backup before import');
-        await backupTool.backup();
-      }
+  printImportErrors(plan.errors);
+}
 
-      // Transform input data
-      logger.info('Transforming input data', { inputPath, type });
-      const transformedData = await transformer.transform(inputPath, type);
+function runImport(type, input, options, mapping, report) {
+  // --no-progress turns the live view off
+  const progress = options.progress ? new ProgressDisplay() : undefined;
 
-      // Get appropriate importer
-      const importer = this.getImporter(type);
+  if (options.plan) {
+    return importer.applyPlan(options.plan, { backup: options.backup, report, progress });
+  }
 
-      // Perform import
-      logger.info('Starting import process', { 
-        type,
-        recordCount: transformedData.length 
-      });
+  if (!options.retryFailed) {
+    return importer.import(input, type, { ...options, mapping, report, progress });
+  }
 
-      const results = await importer.import(transformedData);
+  return importer.retryFailed(options.retryFailed, {
+    // Without the flag the original run's setting applies
+    continueOnError: options.continueOnError || undefined,
+    backup: options.backup,
+    resume: options.resume,
+    report,
+    progress,
+    output: options.output,
+    deriveReferences: options.deriveReferences
+  });
+}
 
-      // Log results
-      logger.info('Import completed', { 
-        type,
-        success: results.success,
-        failed: results.failed,
-        total: transformedData.length
-      });
+function getImportCommand(options) {
+  if (options.dryRun || options.savePlan) return 'import --dry-run';
+  if (options.plan) return 'import --plan';
+  if (options.retryFailed) return 'import --retry-failed';
+  return 'import';
+}
 
-      return results;
-    } catch (error) {
-      logger.error('Import failed', {
-        error: error.message,
-        type,
-        inputPath
-      });
-      throw error;
-    }
+function printFailedImages(failedImages) {
+  if (!failedImages || failedImages.length === 0) return;
+
+  console.log('\nImages not imported:');
+  console.table(failedImages.map(({ row, field, url, error }) => ({
+    Row: row,
+    Field: field,
+    Source: url,
+    Error: error
+  })));
+}
+
+function createReport(options, command, details) {
+  if (!options.report) return undefined;
+
+  // Refuse an unknown format before doing any work
+  getReportFormat(options.report);
+  return new ImportReport(command, details);
+}
+
+async function writeReport(report, filename, status, results) {
+  if (!report) return;
+
+  report.finish(status, results);
+  await report.write(filename);
+}
+
+function printReportFile(filename) {
+  if (!filename) return;
+  console.log(`\nReport written to ${filename}`);
+}
+
+function reportPlan(report, plan) {
+  const planned = new Set(plan.actions.map(action => action.row));
+
+  plan.actions.forEach(({ row, _id, action, error }) => report.recordOutcome({ row, _id, status: action, error }));
+  plan.errors
+    .filter(failure => !planned.has(failure.row))
+    .forEach(failure => report.recordOutcome({ ...failure, status: 'failed' }));
+}
+
+function printOutput(output) {
+  if (!output) return;
+
+  console.log(`\nBundle written to ${path.relative(process.cwd(), output.file)} (${output.documents} documents, ${output.assets} assets)`);
+  if (output.manifest) {
+    console.log(`Assets manifest: ${path.relative(process.cwd(), output.manifest)}`);
   }
+  console.log(`Import it with: ${output.importCommand}`);
+}
+
+function printRunId(runId) {
+  if (!runId) return;
+  console.log(`\nRun ID: ${runId} (undo with: rollback ${runId})`);
+}
+
+function printUploadStats(uploads) {
+  if (!uploads || uploads.completed + uploads.failed === 0) return;
+
+  console.log('\nAsset Uploads:');
+  console.table({
+    'Completed': uploads.completed,
+    'Failed': uploads.failed,
+    'Peak Concurrent': uploads.peakActive,
+    'Peak Queued': uploads.peakQueued,
+    'Average Wait': `${uploads.averageWaitMs}ms`
+  });
+}
+
+// Keep stdout for the result document
+if (jsonOutput) {
+  logger.useStderr();
 }
 
 // Set up command line interface
 program
   .name('sanity-bulk-import')
   .description('Bulk import tool for Sanity.io')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--json', 'Print one JSON result document on stdout and send logs to stderr')
+  .option('--profile <name>', 'Use a profile from the config file (default: SANITY_PROFILE)')
+  .option('--config <file>', 'Read settings and profiles from this file instead of config/default.json')
+  .option('--confirm <dataset>', 'Confirm writing to a protected profile without being asked')
+  .hook('preAction', () => {
+    // Chosen before any command reads the configuration
+    const { profile, config: configFile } = program.opts();
+    configure({ profile, configFile });
+  })
+  .exitOverride();
 
 program
-  .command('import <type> <input>')
-  .description('Import data into Sanity')
+  .command('import [type] [input]')
+  .description('Import data into Sanity, or retry the failed records of a dead-letter file')
   .option('-b, --backup', 'Create backup before import', false)
-  .option('-d, --dry-run', 'Validate without importing', false)
+  .option('-d, --dry-run', 'Preview creates, updates and unchanged documents without writing', false)
+  .option('--save-plan <file>', 'Write the dry-run plan to a file for --plan (implies --dry-run)')
+  .option('--plan <file>', 'Apply a plan saved with --save-plan')
   .option('-r, --resume', 'Resume from last checkpoint', false)
   .option('-c, --continue-on-error', 'Continue processing on batch failure', false)
+  .option('-m, --mode <mode>', `Write mode: ${IMPORT_MODES.join(', ')} (default from config)`)
+  .option('-k, --id-key <key>', 'Field used to derive document IDs (e.g. slug, email, id)')
+  .option('--on-missing-reference <policy>', `Unresolved reference policy: ${UNRESOLVED_POLICIES.join(', ')}`)
+  .option('--mapping <file>', 'Column mapping file for the input')
+  .option('--mapping-profile <name>', 'Profile to use from the mapping file')
+  .option('--assets-dir <dir>', 'Directory that local image paths and patterns are relative to')
+  .option('--retry-failed <file>', 'Import the records of a dead-letter file with the original options')
+  .option('--report <file>', 'Write a report of every record: .json, .xml (JUnit) or .html')
+  .option('--no-progress', 'Do not show live progress while importing')
+  .option('--output <target>', 'Write ndjson:<file> (.ndjson or .tar.gz) for `sanity dataset import` instead of the dataset')
+  .option('--derive-references', 'With --output, reference documents no bundle holds by the ID this tool derives for them')
   .action(async (type, input, options) => {
+    const command = getImportCommand(options);
+    let report;
+
     try {
-      const manager = new ImportManager();
+      checkImportArguments(type, input, options);
+      report = createReport(options, command, {
+        type,
+        inputPath: input && path.resolve(input)
+      });
+
+      const mapping = await loadMapping(options);
       
       // Log startup information
       logger.info('Starting import process', {
         type,
-        input: path.basename(input),
+        input: path.basename(input || options.retryFailed || options.plan),
         options
       });
 
       // Load and log configuration
-      const configuration = config.get();
+      const configuration = getConfig();
       logger.info('Configuration loaded', {
+        profile: configuration.profile?.name,
         dataset: configuration.sanity.dataset,
         batchSize: configuration.import.batchSize
       });
 
-      if (options.dryRun) {
-        // Only transform and validate data
+      if (options.dryRun || options.savePlan) {
+        // Validate and diff against the dataset without writing or uploading
         logger.info('Performing dry run');
-        const transformedData = await transformer.transform(input, type);
-        const importer = manager.getImporter(type);
-        
-        // Validate each record
-        for (const record of transformedData) {
-          await importer.validate(record);
-        }
-        
-        logger.info('Dry run completed successfully', {
-          validRecords: transformedData.length
+        const plan = await importer.plan(input, type, { ...options, mapping });
+
+        if (report) {
+          report.describe({ options: plan.options });
+          reportPlan(report, plan);
+          await writeReport(report, options.report, 'planned', plan);
+        }
+        if (options.savePlan) {
+          await importer.savePlan(plan, options.savePlan);
+        }
+
+        // Records that would fail still fail the dry run
+        const exitCode = plan.summary.invalid + plan.summary.conflict > 0
+          ? EXIT_CODES.validation
+          : EXIT_CODES.success;
+
+        printResult(command, {
+          ...plan,
+          // Full documents are only kept in a saved plan
+          actions: plan.actions.map(({ document, ...action }) => action),
+          planFile: options.savePlan,
+          reportFile: options.report
+        }, exitCode, () => {
+          printPlan(plan);
+          printFailedImages(plan.failedImages);
+          printReportFile(options.report);
+          if (options.savePlan) {
+            console.log(`\nPlan written to ${options.savePlan}, apply it with: import --plan ${options.savePlan}`);
+          }
         });
       } else {
+        // A bundle is written instead of the dataset
+        if (!options.output) {
+          await confirmWrite(command);
+        }
+
         // Perform actual import
-        const results = await manager.import(input, type, options);
-        
-        // Display results summary
-        console.log('\nImport Summary:');
+        const results = await runImport(type, input, options, mapping, report);
+        await writeReport(report, options.report, 'completed', results);
+
+        printResult(command, {
+          total: results.success + results.failed,
+          ...results,
+          reportFile: options.report
+        }, results.failed > 0 ? EXIT_CODES.partial : EXIT_CODES.success, () => {
+          // Display results summary
+          console.log('\nImport Summary:');
+          console.table({
+            'Total Records': results.success + results.failed,
+            'Successful': results.success,
+            'Failed': results.failed,
+            ...(results.skipped !== undefined && { 'Skipped': results.skipped }),
+            'Success Rate': `${((results.success / (results.success + results.failed)) * 100).toFixed(1)}%`
+          });
+          printUploadStats(results.uploads);
+
+          printImportErrors(results.errors);
+          printFailedImages(results.failedImages);
+          printDeadLetter(results.deadLetter);
+          printOutput(results.output);
+          printRunId(results.runId);
+          printReportFile(options.report);
+        });
+      }
+    } catch (error) {
+      logger.error('Application error', { error: error.message });
+
+      // Still report how far a failed run got
+      let reportFile;
+      if (report && !report.run.finishedAt) {
+        reportFile = await writeReport(report, options.report, 'failed', { ...error.results, runId: error.runId })
+          .then(() => options.report)
+          .catch(reportError => logger.error('Failed to write report', { error: reportError.message }));
+      }
+
+      printFailure(command, error, (error.results || error.runId) && {
+        ...error.results,
+        deadLetter: error.deadLetter,
+        runId: error.runId,
+        checkpoints: error.checkpoints,
+        reportFile
+      }, () => {
+        // An import that stopped on failed records still reports which ones
+        printImportErrors(error.results?.errors);
+        printDeadLetter(error.deadLetter);
+        printRunId(error.runId);
+        printReportFile(reportFile);
+      });
+    }
+  });
+
+program
+  .command('import-export <file>')
+  .description('Import a Sanity dataset export (.tar.gz archive or data.ndjson)')
+  .option('-t, --types <types>', 'Comma-separated list of document types to import')
+  .option('-m, --mode <mode>', `Write mode: ${IMPORT_MODES.join(', ')} (default from config)`)
+  .action(async (file, options) => {
+    try {
+      const types = options.types
+        ?.split(',')
+        .map(type => type.trim())
+        .filter(Boolean);
+
+      await confirmWrite('import-export');
+      const summary = await importer.importExport(file, {
+        types,
+        mode: options.mode
+      });
+
+      printResult('import-export', summary, summary.failed > 0 ? EXIT_CODES.partial : EXIT_CODES.success, () => {
+        console.log('\nExport Import Summary:');
         console.table({
-          'Total Records': results.success + results.failed,
-          'Successful': results.success,
-          'Failed': results.failed,
-          'Success Rate': `${((results.success / (results.success + results.failed)) * 100).toFixed(1)}%`
+          'Documents in Export': summary.total,
+          'Skipped': summary.skipped,
+          'Successful': summary.success,
+          'Failed': summary.failed,
+          'Assets Uploaded': summary.assets
         });
+        printUploadStats(summary.uploads);
 
-        if (results.errors.length > 0) {
+        if (summary.errors.length > 0) {
           console.log('\nErrors encountered:');
-          console.table(results.errors);
+          console.table(summary.errors);
         }
+        printRunId(summary.runId);
+      });
+    } catch (error) {
+      logger.error('Export import failed', { error: error.message });
+      printFailure('import-export', error, error.runId && { runId: error.runId }, () => printRunId(error.runId));
+    }
+  });
+
+program
+  .command('copy')
+  .description('Copy documents and the assets they use from another profile\'s dataset')
+  .requiredOption('--from <profile>', 'Profile to copy from')
+  .option('--to <profile>', 'Profile to copy into (default: --profile, SANITY_PROFILE or the SANITY_* variables)')
+  .option('-t, --types <types>', 'Comma-separated list of document types to copy')
+  .option('--filter <groq>', 'GROQ filter the documents must match, e.g. \'featured == true\'')
+  .option('--id-prefix <prefix>', 'Prefix document IDs and the references between them instead of keeping them')
+  .option('-m, --mode <mode>', `Write mode for new and changed documents: ${IMPORT_MODES.join(', ')}`, 'replace')
+  .option('-b, --backup', 'Back up the target dataset first', false)
+  .option('-r, --resume', 'Resume from the last checkpoint', false)
+  .option('-d, --dry-run', 'Show what would be created, replaced and left unchanged without writing', false)
+  .option('--no-progress', 'Do not show live progress while copying')
+  .action(async (options) => {
+    try {
+      if (options.to) {
+        const { profile } = program.opts();
+        if (profile && profile !== options.to) {
+          throw new UsageError(`--to ${options.to} and --profile ${profile} name different targets, give one of them`);
+        }
+        configure({ profile: options.to });
+      }
+
+      if (!options.dryRun) {
+        await confirmWrite('copy');
       }
+
+      const summary = await importer.copy({
+        from: options.from,
+        types: options.types
+          ?.split(',')
+          .map(type => type.trim())
+          .filter(Boolean),
+        filter: options.filter,
+        idPrefix: options.idPrefix,
+        mode: options.mode,
+        backup: options.backup,
+        resume: options.resume,
+        dryRun: options.dryRun,
+        progress: options.progress ? new ProgressDisplay() : undefined
+      });
+
+      printResult('copy', summary, summary.failed > 0 ? EXIT_CODES.partial : EXIT_CODES.success, () => {
+        console.log(`\nCopy ${options.dryRun ? 'Plan' : 'Summary'} (${summary.source} -> ${summary.target}):`);
+        console.table(options.dryRun
+          ? {
+            'Matching Documents': summary.total,
+            'Would Create': summary.create,
+            'Would Replace': summary.replace,
+            'Unchanged': summary.unchanged,
+            'Assets to Copy': summary.assets
+          }
+          : {
+            'Matching Documents': summary.total,
+            'Written': summary.success,
+            'Unchanged': summary.unchanged,
+            'Failed': summary.failed,
+            'Assets Copied': summary.assets,
+            'Assets Reused': summary.assetsReused
+          });
+        printUploadStats(summary.uploads);
+
+        if (summary.errors.length > 0) {
+          console.log('\nErrors encountered:');
+          console.table(summary.errors.map(({ _id, error }) => ({ Document: _id, Error: error })));
+        }
+        printRunId(summary.runId);
+      });
     } catch (error) {
-      logger.error('Application error', { error: error.message });
-      console.error('\nError:', error.message);
-      process.exit(1);
+      logger.error('Copy failed', { error: error.message });
+      printFailure('copy', error, (error.results || error.runId) && {
+        ...error.results,
+        runId: error.runId,
+        checkpoints: error.checkpoints
+      }, () => {
+        printRunId(error.runId);
+        if (error.checkpoints?.length > 0) {
+          console.log('Continue where it stopped with: copy --resume and the same options');
+        }
+      });
     }
   });
 
@@ -150,67 +543,398 @@ program
   .description('Create a backup of the current dataset')
   .action(async () => {
     try {
-      await backupTool.backup();
+      const result = await backup();
+
+      printResult('backup', result, EXIT_CODES.success, () => {
+        console.log(`\nBackup of ${result.documentCount} documents written to ${result.filename}`);
+      });
     } catch (error) {
       logger.error('Backup failed', { error: error.message });
-      process.exit(1);
+      printFailure('backup', error);
     }
   });
 
 program
-  .command('validate <type> <input>')
-  .description('Validate input data without importing')
-  .action(async (type, input) => {
+  .command('types')
+  .description('List the document types that can be imported')
+  .action(() => {
+    try {
+      const types = importer.getTypes();
+
+      printResult('types', types, EXIT_CODES.success, () => {
+        console.table(
+          types.map(definition => ({
+            Type: definition.name,
+            'ID Key': definition.idKey,
+            Required: definition.fields.filter(field => field.required).map(field => field.name).join(', '),
+            Fields: definition.fields.map(field => `${field.name} (${field.type})`).join(', ')
+          }))
+        );
+      });
+    } catch (error) {
+      logger.error('Failed to list types', { error: error.message });
+      printFailure('types', error);
+    }
+  });
+
+const mappingCommand = program
+  .command('mapping')
+  .description('Work with column mapping profiles');
+
+mappingCommand
+  .command('suggest <type> <input>')
+  .description('Propose a mapping profile from the headers of an input file')
+  .option('-n, --name <name>', 'Name of the suggested profile', 'default')
+  .option('-o, --output <file>', 'Write the suggested mapping file instead of printing it')
+  .action(async (type, input, options) => {
+    try {
+      const { unmapped, missingRequired, ...suggestion } = await suggestMapping(type, input, {
+        name: options.name
+      });
+      const content = JSON.stringify(suggestion, null, 2);
+
+      if (options.output) {
+        await fs.writeFile(options.output, `${content}\n`);
+      }
+
+      printResult('mapping suggest', {
+        mapping: suggestion,
+        file: options.output,
+        unmapped,
+        missingRequired
+      }, EXIT_CODES.success, () => {
+        console.log(options.output ? `\nMapping written to ${options.output}` : content);
+
+        if (unmapped.length > 0) {
+          console.log(`\nUnmapped columns: ${unmapped.join(', ')}`);
+        }
+        if (missingRequired.length > 0) {
+          console.log(`Required fields without a column: ${missingRequired.join(', ')}`);
+        }
+      });
+    } catch (error) {
+      logger.error('Mapping suggestion failed', { error: error.message });
+      printFailure('mapping suggest', error);
+    }
+  });
+
+const cacheCommand = program
+  .command('cache')
+  .description('Inspect or purge the local asset cache');
+
+cacheCommand
+  .command('inspect')
+  .description('Show which sources map to which uploaded assets')
+  .option('-l, --limit <count>', 'Number of entries to list', '20')
+  .action(async (options) => {
+    try {
+      const { file, sources, assets, entries } = await inspectAssetCache();
+      const newest = entries
+        .sort((a, b) => b.cachedAt.localeCompare(a.cachedAt))
+        .slice(0, parseInt(options.limit, 10));
+
+      printResult('cache inspect', { file, sources, assets, entries: newest }, EXIT_CODES.success, () => {
+        console.log(`\nAsset cache: ${file}`);
+        console.log(`Sources: ${sources}, assets: ${assets}`);
+
+        if (newest.length > 0) {
+          console.table(
+            newest.map(entry => ({
+              Source: entry.source,
+              Asset: entry.assetId,
+              Hash: entry.hash.slice(0, 12),
+              Cached: entry.cachedAt
+            }))
+          );
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to inspect asset cache', { error: error.message });
+      printFailure('cache inspect', error);
+    }
+  });
+
+cacheCommand
+  .command('purge')
+  .description('Remove cached assets so they are looked up or uploaded again')
+  .option('--older-than <age>', 'Only remove entries older than this, e.g. 7d or 2w')
+  .action(async (options) => {
+    try {
+      const removed = await purgeAssetCache({ olderThan: options.olderThan });
+
+      printResult('cache purge', removed, EXIT_CODES.success, () => {
+        console.log(`\nRemoved ${removed.sources} sources and ${removed.assets} assets from the cache`);
+      });
+    } catch (error) {
+      logger.error('Failed to purge asset cache', { error: error.message });
+      printFailure('cache purge', error);
+    }
+  });
+
+program
+  .command('restore <file>')
+  .description('Restore documents from a backup file')
+  .option('-t, --types <types>', 'Comma-separated list of document types to restore')
+  .option('--dataset <dataset>', 'Restore into a different dataset')
+  .option('-d, --dry-run', 'Show what would change without writing', false)
+  .action(async (file, options) => {
     try {
-      const manager = new ImportManager();
-      manager.validateType(type);
-
-      logger.info('Validating input data', { type, input });
-      const transformedData = await transformer.transform(input, type);
-      const importer = manager.getImporter(type);
-
-      const validationResults = {
-        total: transformedData.length,
-        valid: 0,
-        invalid: 0,
-        errors: []
-      };
-
-      for (const [index, record] of transformedData.entries()) {
-        try {
-          await importer.validate(record);
-          validationResults.valid++;
-        } catch (error) {
-          validationResults.invalid++;
-          validationResults.errors.push({
-            index,
-            error: error.message,
-            record
+      const types = options.types
+        ?.split(',')
+        .map(type => type.trim())
+        .filter(Boolean);
+
+      if (!options.dryRun) {
+        await confirmWrite('restore', options.dataset);
+      }
+
+      const summary = await restore(file, {
+        types,
+        dataset: options.dataset,
+        dryRun: options.dryRun
+      });
+
+      printResult('restore', summary, EXIT_CODES.success, () => {
+        console.log(`\nRestore ${options.dryRun ? 'Plan' : 'Summary'} (${summary.dataset}):`);
+        console.table(options.dryRun
+          ? {
+            'Documents in Backup': summary.total,
+            'Skipped by Type': summary.skipped,
+            'Would Create': summary.create,
+            'Would Replace': summary.replace,
+            'Unchanged': summary.unchanged
+          }
+          : {
+            'Documents in Backup': summary.total,
+            'Skipped by Type': summary.skipped,
+            'Restored': summary.restored
           });
+
+        if (Object.keys(summary.types).length > 0) {
+          console.log('\nDocuments by Type:');
+          console.table(summary.types);
         }
+      });
+    } catch (error) {
+      logger.error('Restore failed', { error: error.message });
+      printFailure('restore', error);
+    }
+  });
+
+program
+  .command('rollback <runId>')
+  .description('Undo an import run: delete what it created, restore what it replaced and remove unused assets')
+  .option('-d, --dry-run', 'Show what would be undone without writing', false)
+  .action(async (runId, options) => {
+    try {
+      if (!options.dryRun) {
+        await confirmWrite('rollback');
       }
 
-      console.log('\nValidation Results:');
-      console.table({
-        'Total Records': validationResults.total,
-        'Valid Records': validationResults.valid,
-        'Invalid Records': validationResults.invalid
+      const summary = await importer.rollback(runId, { dryRun: options.dryRun });
+
+      printResult('rollback', summary, summary.failed > 0 ? EXIT_CODES.partial : EXIT_CODES.success, () => {
+        console.log(`\nRollback ${options.dryRun ? 'Plan' : 'Summary'} (${runId}):`);
+        console.table(options.dryRun
+          ? {
+            'Would Restore': summary.restored,
+            'Would Delete': summary.deleted,
+            'Uploaded Assets (deleted if unused)': summary.assetsDeleted
+          }
+          : {
+            'Restored': summary.restored,
+            'Deleted': summary.deleted,
+            'Assets Deleted': summary.assetsDeleted,
+            'Failed': summary.failed
+          });
+
+        if (summary.errors.length > 0) {
+          console.log('\nErrors encountered:');
+          console.table(summary.errors.map(({ _id, error }) => ({ Document: _id, Error: error })));
+          console.log(`\nRun rollback ${runId} again to retry the failed ones`);
+        }
       });
+    } catch (error) {
+      logger.error('Rollback failed', { error: error.message });
+      printFailure('rollback', error);
+    }
+  });
+
+const runsCommand = program
+  .command('runs')
+  .description('Browse past import runs');
+
+runsCommand
+  .command('list')
+  .description('List recorded import runs, newest first')
+  .option('-l, --limit <count>', 'Number of runs to list', '20')
+  .action(async (options) => {
+    try {
+      const runs = (await importer.listRuns()).slice(0, parseInt(options.limit, 10));
+
+      printResult('runs list', runs, EXIT_CODES.success, () => {
+        if (runs.length === 0) {
+          console.log('\nNo import runs recorded yet');
+          return;
+        }
 
-      if (validationResults.errors.length > 0) {
-        console.log('\nValidation Errors:');
         console.table(
-          validationResults.errors.map(({ index, error }) => ({
-            Record: index + 1,
-            Error: error
+          runs.map(run => ({
+            'Run ID': run.runId,
+            Command: run.command,
+            Type: run.type,
+            Dataset: run.dataset,
+            Started: run.startedAt,
+            Status: run.status,
+            Created: run.created,
+            Replaced: run.replaced,
+            Assets: run.assets
           }))
         );
-      }
+      });
+    } catch (error) {
+      logger.error('Failed to list runs', { error: error.message });
+      printFailure('runs list', error);
+    }
+  });
+
+runsCommand
+  .command('show <runId>')
+  .description('Show what an import run created, replaced and uploaded')
+  .option('-l, --limit <count>', 'Number of documents and assets to list', '20')
+  .action(async (runId, options) => {
+    try {
+      const run = await importer.getRun(runId);
+      const limit = parseInt(options.limit, 10);
+
+      // The manifest itself, with the replaced documents' previous versions
+      printResult('runs show', run, EXIT_CODES.success, () => {
+        console.log(`\nRun ${run.runId}:`);
+        console.table({
+          'Command': run.command,
+          'Type': run.type,
+          'Input': run.inputPath,
+          'Dataset': `${run.projectId}/${run.dataset}`,
+          'Mode': run.options?.mode,
+          'Started': run.startedAt,
+          'Finished': run.finishedAt,
+          'Status': run.status,
+          'Successful': run.results?.success,
+          'Failed': run.results?.failed
+        });
+
+        const rows = [
+          ...run.created.map(_id => ({ Change: 'created', ID: _id })),
+          ...run.replaced.map(({ _id, revision }) => ({ Change: 'replaced', ID: _id, 'Previous Revision': revision })),
+          ...run.assets.map(_id => ({ Change: 'uploaded asset', ID: _id }))
+        ];
+        if (rows.length > 0) {
+          console.table(rows.slice(0, limit));
+          if (rows.length > limit) {
+            console.log(`...and ${rows.length - limit} more, see runs/${run.runId}.json`);
+          }
+        }
+
+        if (run.rollback) {
+          console.log(`\nRolled back at ${run.rollback.finishedAt}: ${run.rollback.restored} restored, ` +
+            `${run.rollback.deleted} deleted, ${run.rollback.assetsDeleted} assets deleted, ${run.rollback.failed} failed`);
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to show run', { error: error.message });
+      printFailure('runs show', error);
+    }
+  });
+
+program
+  .command('profiles')
+  .description('List the profiles of the config file')
+  .action(() => {
+    try {
+      const profiles = listProfiles();
+
+      printResult('profiles', profiles, EXIT_CODES.success, () => {
+        if (profiles.length === 0) {
+          console.log('\nNo profiles configured, the SANITY_* environment variables are used');
+          return;
+        }
+
+        console.table(
+          profiles.map(profile => ({
+            Profile: profile.active ? `${profile.name} (active)` : profile.name,
+            Project: profile.projectId,
+            Dataset: profile.dataset,
+            'Token Variable': profile.tokenEnv ? `${profile.tokenEnv}${profile.tokenSet ? '' : ' (not set)'}` : '(none)',
+            Protected: profile.protected ? 'yes' : 'no'
+          }))
+        );
+      });
+    } catch (error) {
+      logger.error('Failed to list profiles', { error: error.message });
+      printFailure('profiles', error);
+    }
+  });
+
+program
+  .command('validate <type> <input>')
+  .description('Validate input data without importing')
+  .option('--on-missing-reference <policy>', `Unresolved reference policy: ${UNRESOLVED_POLICIES.join(', ')}`)
+  .option('--mapping <file>', 'Column mapping file for the input')
+  .option('--mapping-profile <name>', 'Profile to use from the mapping file')
+  .option('--assets-dir <dir>', 'Directory that local image paths and patterns are relative to')
+  .option('--report <file>', 'Write a report of every record: .json, .xml (JUnit) or .html')
+  .action(async (type, input, options) => {
+    try {
+      const report = createReport(options, 'validate', { type, inputPath: path.resolve(input) });
+      const mapping = await loadMapping(options);
+      const validationResults = await importer.validate(input, type, {
+        mapping,
+        onMissingReference: options.onMissingReference,
+        assetsDir: options.assetsDir,
+        report
+      });
+
+      await writeReport(report, options.report, 'completed', validationResults);
+
+      printResult('validate', {
+        ...validationResults,
+        reportFile: options.report
+      }, validationResults.invalid > 0 ? EXIT_CODES.validation : EXIT_CODES.success, () => {
+        console.log('\nValidation Results:');
+        console.table({
+          'Total Records': validationResults.total,
+          'Valid Records': validationResults.valid,
+          'Invalid Records': validationResults.invalid
+        });
+
+        if (validationResults.errors.length > 0) {
+          console.log('\nValidation Errors:');
+          console.table(
+            validationResults.errors.map(({ index, error }) => ({
+              Record: index + 1,
+              Error: error
+            }))
+          );
+        }
+        printFailedImages(validationResults.failedImages);
+        printReportFile(options.report);
+      });
     } catch (error) {
       logger.error('Validation failed', { error: error.message });
-      process.exit(1);
+      printFailure('validate', error);
     }
   });
 
 // Parse command line arguments
-program.parse(); 
\ No newline at end of file
+try {
+  program.parse();
+} catch (error) {
+  // Commander already printed the help, version or what is wrong with the arguments
+  if (error.exitCode === 0) {
+    process.exit(EXIT_CODES.success);
+  } else if (jsonOutput) {
+    printFailure(null, new UsageError(error.message.replace(/^error: /, '')));
+  } else {
+    process.exit(EXIT_CODES.configuration);
+  }
+} 
\ No newline at end of file
@@ -1,19 +1,31 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { createGzip } from 'zlib';
+import { createGzip, createGunzip } from 'zlib';
 import { pipeline } from 'stream/promises';
-import { createWriteStream } from 'fs';
+import { createReadStream, createWriteStream } from 'fs';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
 import sanityClient from '../utils/sanityClient.js';
 import logger from '../utils/logger.js';
 import config from '../utils/config.js';
 
+// Fields managed by Sanity that should not influence restore comparisons
+const SYSTEM_FIELDS = ['_rev', '_createdAt', '_updatedAt'];
+
 class SanityBackup {
   constructor() {
-    this.client = sanityClient.client;
-    this.backupDir = path.join(process.cwd(), 'backups');
     this.batchSize = 100;
   }
 
+  // Resolved on use, relative to where the tool runs
+  get backupDir() {
+    return path.join(process.cwd(), 'backups');
+  }
+
+  get client() {
+    return sanityClient.client;
+  }
+
   async initialize() {
     try {
       await fs.mkdir(this.backupDir, { recursive: true });
@@ -30,10 +42,17 @@ class SanityBackup {
     );
   }
 
-  async fetchDocumentCount() {
+  // Every document but Sanity's own, narrowed down by an optional GROQ filter
+  buildFilter(filter) {
+    const system = '!(_type match "system.**")';
+    return filter ? `${system} && ${filter}` : system;
+  }
+
+  async fetchDocumentCount({ client = this.client, filter, params } = {}) {
     try {
-      const result = await this.client.fetch(
-        'count(*[!(_type match "system.**")])'
+      const result = await sanityClient.request(
+        () => client.fetch(`count(*[${this.buildFilter(filter)}])`, params),
+        { operation: 'backup-count' }
       );
       return result;
     } catch (error) {
@@ -41,14 +60,22 @@ class SanityBackup {
     }
   }
 
-  async* fetchAllDocuments() {
-    const totalDocs = await this.fetchDocumentCount();
-    logger.info(`Found ${totalDocs} documents to backup`);
+  /**
+   * Pages through the documents of `client` (the configured dataset by
+   * default) in a stable order, `batchSize` at a time.
+   */
+  async* fetchAllDocuments({ client = this.client, filter, params } = {}) {
+    const totalDocs = await this.fetchDocumentCount({ client, filter, params });
+    logger.info(`Found ${totalDocs} documents to fetch`);
 
     for (let start = 0; start < totalDocs; start += this.batchSize) {
       try {
-        const documents = await this.client.fetch(
-          `*[!(_type match "system.**")] | order(_type, _id) [${start}...${start + this.batchSize}]`
+        const documents = await sanityClient.request(
+          () => client.fetch(
+            `*[${this.buildFilter(filter)}] | order(_type, _id) [${start}...${start + this.batchSize}]`,
+            params
+          ),
+          { operation: 'backup', start }
         );
 
         yield documents;
@@ -61,6 +88,37 @@ class SanityBackup {
     }
   }
 
+  /**
+   * Pages through documents in `_id` order, `batchSize` at a time, starting
+   * after the ID `after`. Documents written meanwhile cannot shift the pages
+   * like they shift offsets, so nothing is skipped or read twice.
+   */
+  async* fetchDocumentsAfter({ client = this.client, filter, params, after = '' } = {}) {
+    let last = after;
+
+    while (true) {
+      let documents;
+      try {
+        documents = await sanityClient.request(
+          () => client.fetch(
+            `*[${this.buildFilter(filter)} && _id > $after] | order(_id) [0...${this.batchSize}]`,
+            { ...params, after: last }
+          ),
+          { operation: 'backup', after: last }
+        );
+      } catch (error) {
+        logger.error(`Failed to fetch batch after ${last || 'the start'}`, { error: error.message });
+        throw error;
+      }
+
+      if (documents.length === 0) return;
+      yield documents;
+
+      last = documents[documents.length - 1]._id;
+      if (documents.length < this.batchSize) return;
+    }
+  }
+
   async createBackupStream(filename) {
     const gzip = createGzip();
     const writeStream = createWriteStream(filename);
@@ -82,6 +140,7 @@ class SanityBackup {
       end: () => {
         gzip.write('\n]');
         gzip.end();
+        return finished;
       }
     };
 
@@ -97,7 +156,7 @@ class SanityBackup {
     });
 
     // Connect gzip to file stream
-    pipeline(gzip, writeStream);
+    const finished = pipeline(gzip, writeStream);
 
     return jsonStream;
   }
@@ -105,6 +164,8 @@ class SanityBackup {
   async backup() {
     try {
       await this.initialize();
+      // Missing credentials are reported as such, not as a failed query
+      sanityClient.ensureClient();
 
       const { sanity } = config.get();
       const filename = this.generateBackupFilename(sanity.dataset);
@@ -123,7 +184,7 @@ class SanityBackup {
         documentCount += documents.length;
       }
 
-      backupStream.end();
+      await backupStream.end();
 
       const duration = (Date.now() - startTime) / 1000;
       const fileStats = await fs.stat(filename);
@@ -208,6 +269,197 @@ class SanityBackup {
     const [, value, unit] = match;
     return parseInt(value) * units[unit];
   }
+
+  resolveBackupPath(file) {
+    // Allow bare filenames as printed by `list`
+    if (path.isAbsolute(file) || file.includes(path.sep)) {
+      return path.resolve(file);
+    }
+    return path.join(this.backupDir, file);
+  }
+
+  async* readBackupDocuments(filename) {
+    const source = createReadStream(filename);
+    const gunzip = createGunzip();
+    source.on('error', (error) => gunzip.destroy(error));
+
+    const lines = readline.createInterface({
+      input: source.pipe(gunzip),
+      crlfDelay: Infinity
+    });
+
+    // Backups are a JSON array written with one document per line
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      const entry = line.trim().replace(/,$/, '');
+      if (!entry || entry === '[' || entry === ']') continue;
+
+      try {
+        yield JSON.parse(entry);
+      } catch (error) {
+        throw new Error(`Invalid backup entry on line ${lineNumber}: ${error.message}`);
+      }
+    }
+  }
+
+  getDatasetClient(dataset) {
+    const { sanity } = config.get();
+    if (!dataset || dataset === sanity.dataset) {
+      return this.client;
+    }
+    return this.client.withConfig({ dataset });
+  }
+
+  stripSystemFields(doc) {
+    const stripped = { ...doc };
+    SYSTEM_FIELDS.forEach(field => delete stripped[field]);
+    return stripped;
+  }
+
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  async planRestoreBatch(client, documents) {
+    const existing = await sanityClient.request(
+      () => client.fetch('*[_id in $ids]', { ids: documents.map(doc => doc._id) }),
+      { operation: 'restore-plan' }
+    );
+    const existingById = new Map(existing.map(doc => [doc._id, doc]));
+
+    return documents.map(doc => {
+      const current = existingById.get(doc._id);
+      if (!current) {
+        return { _id: doc._id, _type: doc._type, action: 'create' };
+      }
+
+      const unchanged = this.stableStringify(this.stripSystemFields(current)) ===
+        this.stableStringify(this.stripSystemFields(doc));
+
+      return {
+        _id: doc._id,
+        _type: doc._type,
+        action: unchanged ? 'unchanged' : 'replace'
+      };
+    });
+  }
+
+  async restoreBatch(client, documents, batchIndex) {
+    await sanityClient.request(
+      async () => {
+        const transaction = client.transaction();
+        // _rev is assigned by Sanity and cannot be written back
+        documents.forEach(doc => {
+          const { _rev, ...restorable } = doc;
+          transaction.createOrReplace(restorable);
+        });
+        await transaction.commit();
+      },
+      { operation: 'restore', batch: batchIndex }
+    );
+  }
+
+  async restore(file, options = {}) {
+    const { types, dataset, dryRun = false } = options;
+
+    try {
+      const filename = this.resolveBackupPath(file);
+      await fs.access(filename);
+
+      const { sanity, import: importConfig } = config.get();
+      const targetDataset = dataset || sanity.dataset;
+      const client = this.getDatasetClient(targetDataset);
+
+      logger.info('Starting restore', {
+        filename: path.basename(filename),
+        dataset: targetDataset,
+        types: types || 'all',
+        dryRun
+      });
+
+      const startTime = Date.now();
+      const summary = {
+        filename,
+        dataset: targetDataset,
+        dryRun,
+        total: 0,
+        skipped: 0,
+        restored: 0,
+        create: 0,
+        replace: 0,
+        unchanged: 0,
+        types: {}
+      };
+
+      let batch = [];
+      let batchIndex = 0;
+
+      const flush = async () => {
+        if (batch.length === 0) return;
+
+        if (dryRun) {
+          const plan = await this.planRestoreBatch(client, batch);
+          plan.forEach(({ action }) => {
+            summary[action]++;
+          });
+        } else {
+          await this.restoreBatch(client, batch, batchIndex);
+          summary.restored += batch.length;
+          logger.info('Restored batch', {
+            batch: batchIndex,
+            restored: summary.restored
+          });
+        }
+
+        batch = [];
+        batchIndex++;
+      };
+
+      for await (const doc of this.readBackupDocuments(filename)) {
+        summary.total++;
+
+        if (types && types.length > 0 && !types.includes(doc._type)) {
+          summary.skipped++;
+          continue;
+        }
+
+        summary.types[doc._type] = (summary.types[doc._type] || 0) + 1;
+        batch.push(doc);
+
+        if (batch.length >= importConfig.batchSize) {
+          await flush();
+        }
+      }
+
+      await flush();
+
+      summary.duration = (Date.now() - startTime) / 1000;
+
+      logger.info(dryRun ? 'Restore dry run completed' : 'Restore completed successfully', {
+        filename: path.basename(filename),
+        dataset: targetDataset,
+        total: summary.total,
+        skipped: summary.skipped,
+        restored: summary.restored,
+        duration: `${summary.duration.toFixed(2)}s`
+      });
+
+      return summary;
+    } catch (error) {
+      logger.error('Restore failed', { file, error: error.message });
+      throw error;
+    }
+  }
 }
 
 // Create CLI interface
@@ -238,6 +490,17 @@ async function main() {
         await backup.cleanOldBackups(maxAge);
         break;
 
+      case 'restore':
+        const [file, ...flags] = args;
+        if (!file) {
+          throw new Error('Backup file is required');
+        }
+        const summary = await backup.restore(file, {
+          dryRun: flags.includes('--dry-run')
+        });
+        console.table(summary.types);
+        break;
+
       default:
         throw new Error(`Unknown command: ${command}`);
     }
@@ -1,60 +1,253 @@
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
 import path from 'path';
-import csv from 'csv-parse';
+import { fileURLToPath } from 'url';
+import { parse } from 'csv-parse';
 import logger from '../utils/logger.js';
 import { ValidationError } from '../utils/validation.js';
+import typeRegistry from '../importers/typeRegistry.js';
+import mappingProfiles from '../utils/mappingProfiles.js';
 
 class DataTransformer {
   constructor() {
-    this.supportedFormats = ['csv', 'json'];
-    this.requiredListingFields = ['title', 'email'];
-    this.requiredCategoryFields = ['title'];
+    this.supportedFormats = ['csv', 'json', 'ndjson'];
   }
 
-  async loadFile(filePath) {
-    try {
-      const fileContent = await fs.readFile(filePath, 'utf-8');
-      const extension = path.extname(filePath).toLowerCase().slice(1);
+  getFormat(filePath) {
+    const extension = path.extname(filePath).toLowerCase().slice(1);
 
-      if (!this.supportedFormats.includes(extension)) {
-        throw new Error(`Unsupported file format: ${extension}`);
-      }
+    if (!this.supportedFormats.includes(extension)) {
+      throw new Error(`Unsupported file format: ${extension}`);
+    }
 
-      return { content: fileContent, format: extension };
-    } catch (error) {
-      logger.error('Failed to load file', { filePath, error: error.message });
-      throw error;
+    return extension;
+  }
+
+  openSource(filePath, start = 0) {
+    return createReadStream(filePath, { start });
+  }
+
+  async readCSVHeader(filePath) {
+    const parser = this.openSource(filePath).pipe(parse({ to_line: 1, trim: true }));
+    for await (const header of parser) {
+      return header;
     }
+    return [];
   }
 
-  async parseCSV(content) {
-    return new Promise((resolve, reject) => {
-      csv.parse(content, {
-        columns: true,
-        skip_empty_lines: true,
-        trim: true
-      }, (error, records) => {
-        if (error) reject(error);
-        else resolve(records);
-      });
+  async* streamCSV(filePath, position = {}) {
+    const offset = position.offset || 0;
+    // Resuming mid-file skips the header line, so read it separately
+    const columns = offset > 0 ? await this.readCSVHeader(filePath) : true;
+
+    const source = this.openSource(filePath, offset);
+    const parser = parse({
+      columns,
+      skip_empty_lines: true,
+      trim: true,
+      info: true
     });
+    source.on('error', (error) => parser.destroy(error));
+
+    for await (const { record, info } of source.pipe(parser)) {
+      yield {
+        raw: record,
+        row: (position.row || 0) + info.lines,
+        offset: offset + info.bytes
+      };
+    }
   }
 
-  parseJSON(content) {
-    try {
-      return JSON.parse(content);
-    } catch (error) {
-      throw new Error(`Invalid JSON format: ${error.message}`);
+  /**
+   * Splits a top-level JSON array into its objects without loading the whole
+   * file. Structural characters are ASCII, so scanning raw bytes is safe for
+   * UTF-8 input and gives exact byte offsets for checkpoints.
+   */
+  async* streamJSON(filePath, position = {}) {
+    const offset = position.offset || 0;
+    const source = this.openSource(filePath, offset);
+
+    // A resumed read starts inside the array, after the last processed object
+    let depth = offset > 0 ? 1 : 0;
+    let inString = false;
+    let escaped = false;
+    let parts = [];
+    let elementStart = -1;
+    let row = position.row || 0;
+    let consumed = offset;
+
+    const fail = (message) => {
+      source.destroy();
+      throw new Error(`Invalid JSON format: ${message}`);
+    };
+
+    for await (const chunk of source) {
+      for (let i = 0; i < chunk.length; i++) {
+        const byte = chunk[i];
+
+        if (elementStart === -1 && depth <= 1) {
+          // Between elements: only whitespace, separators and brackets allowed
+          if (byte === 0x20 || byte === 0x0a || byte === 0x0d || byte === 0x09) continue;
+          if (depth === 0) {
+            if (byte !== 0x5b) fail(`expected an array at byte ${consumed + i}`);
+            depth = 1;
+            continue;
+          }
+          if (byte === 0x2c) continue;
+          if (byte === 0x5d) {
+            depth = 0;
+            source.destroy();
+            return;
+          }
+          if (byte !== 0x7b) fail(`expected an object at byte ${consumed + i}`);
+          elementStart = i;
+        }
+
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (byte === 0x5c) escaped = true;
+          else if (byte === 0x22) inString = false;
+          continue;
+        }
+
+        if (byte === 0x22) {
+          inString = true;
+        } else if (byte === 0x7b || byte === 0x5b) {
+          depth++;
+        } else if (byte === 0x7d || byte === 0x5d) {
+          depth--;
+
+          if (depth === 1) {
+            parts.push(chunk.subarray(elementStart, i + 1));
+            const text = Buffer.concat(parts).toString('utf8');
+            parts = [];
+            elementStart = -1;
+            row++;
+
+            let raw;
+            try {
+              raw = JSON.parse(text);
+            } catch (error) {
+              fail(`${error.message} in element ${row}`);
+            }
+
+            yield { raw, row, offset: consumed + i + 1 };
+          }
+        }
+      }
+
+      if (elementStart !== -1) {
+        parts.push(chunk.subarray(elementStart));
+        elementStart = 0;
+      }
+      consumed += chunk.length;
+    }
+
+    if (depth !== 0) {
+      fail('unexpected end of input');
     }
   }
 
+  /**
+   * Yields one object per line. Offsets are counted in bytes rather than via
+   * readline so resumed reads land exactly after the last processed line.
+   */
+  async* streamNDJSON(filePath, position = {}) {
+    const offset = position.offset || 0;
+    const source = this.openSource(filePath, offset);
+
+    let line = position.row || 0;
+    let parts = [];
+    let consumed = offset;
+
+    const parseLine = (buffer) => {
+      line++;
+      const text = buffer.toString('utf8').trim();
+      if (!text) return undefined;
+
+      try {
+        const raw = JSON.parse(text);
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+          throw new Error('expected an object');
+        }
+        return raw;
+      } catch (error) {
+        source.destroy();
+        throw new Error(`Invalid NDJSON on line ${line}: ${error.message}`);
+      }
+    };
+
+    for await (const chunk of source) {
+      let start = 0;
+      let newline = chunk.indexOf(0x0a, start);
+
+      while (newline !== -1) {
+        parts.push(chunk.subarray(start, newline));
+        const raw = parseLine(Buffer.concat(parts));
+        parts = [];
+
+        if (raw) {
+          yield { raw, row: line, offset: consumed + newline + 1 };
+        }
+
+        start = newline + 1;
+        newline = chunk.indexOf(0x0a, start);
+      }
+
+      if (start < chunk.length) {
+        parts.push(chunk.subarray(start));
+      }
+      consumed += chunk.length;
+    }
+
+    // The last line may not end with a newline
+    if (parts.length > 0) {
+      const raw = parseLine(Buffer.concat(parts));
+      if (raw) {
+        yield { raw, row: line, offset: consumed };
+      }
+    }
+  }
+
+  streamRaw(filePath, position = {}) {
+    switch (this.getFormat(filePath)) {
+      case 'csv':
+        return this.streamCSV(filePath, position);
+      case 'ndjson':
+        return this.streamNDJSON(filePath, position);
+      default:
+        return this.streamJSON(filePath, position);
+    }
+  }
+
+  async readSample(inputPath, limit = 100) {
+    const records = [];
+    for await (const { raw } of this.streamRaw(inputPath)) {
+      records.push(raw);
+      if (records.length >= limit) break;
+    }
+    return records;
+  }
+
+  getHeaders(records) {
+    const headers = new Set();
+    records.forEach(record => Object.keys(record).forEach(key => headers.add(key)));
+    return [...headers];
+  }
+
+  readField(rawItem, field) {
+    // Fall back to the field name so JSON input can use document field names
+    return rawItem[field.source] ?? rawItem[field.name];
+  }
+
   validateDataStructure(data, type) {
-    const requiredFields = type === 'listing' 
-      ? this.requiredListingFields 
-      : this.requiredCategoryFields;
+    const requiredFields = typeRegistry.getDefinition(type).fields
+      .filter(field => field.required);
 
     const missingFields = data.reduce((errors, item, index) => {
-      const missing = requiredFields.filter(field => !item[field]);
+      const missing = requiredFields
+        .filter(field => !this.readField(item, field))
+        .map(field => field.source);
       if (missing.length > 0) {
         errors.push({
           index,
@@ -74,28 +267,49 @@ class DataTransformer {
     }
   }
 
-  transformCategory(rawCategory) {
-    return {
-      title: rawCategory.title?.trim(),
-      description: rawCategory.description?.trim(),
-      color: rawCategory.color?.startsWith('#') 
-        ? rawCategory.color 
-        : `#${rawCategory.color}`,
-      featuredListing: rawCategory.featured_listing_id
-    };
+  transformField(value, field) {
+    if (value === undefined || value === null) return undefined;
+
+    switch (field.type) {
+      case 'email':
+        return String(value).trim().toLowerCase();
+      case 'url':
+        return this.normalizeUrl(String(value));
+      case 'color': {
+        const color = String(value).trim();
+        if (!color) return undefined;
+        return color.startsWith('#') ? color : `#${color}`;
+      }
+      case 'array':
+        return this.parseList(value, field);
+      case 'reference':
+      case 'image':
+        return field.array
+          ? this.parseList(value, field)
+          : String(value).trim() || undefined;
+      case 'number':
+      case 'boolean':
+        return typeof value === 'string' ? value.trim() : value;
+      default: {
+        if (typeof value !== 'string') return value;
+        const text = value.trim();
+        return field.lowercase ? text.toLowerCase() : text;
+      }
+    }
   }
 
-  transformListing(rawListing) {
-    return {
-      title: rawListing.title?.trim(),
-      description: rawListing.description?.trim(),
-      email: rawListing.email?.trim().toLowerCase(),
-      websiteUrl: this.normalizeUrl(rawListing.website_url),
-      instagramUrl: this.normalizeUrl(rawListing.instagram_url),
-      galleryImages: this.parseImageUrls(rawListing.gallery_images),
-      categories: this.parseCategories(rawListing.categories),
-      tags: this.parseTags(rawListing.tags)
-    };
+  transformRecord(rawItem, type, mapping) {
+    const record = { sourceId: rawItem.id };
+
+    for (const field of typeRegistry.getDefinition(type).fields) {
+      const delimiter = mapping?.delimiters[field.name];
+      record[field.name] = this.transformField(
+        this.readField(rawItem, field),
+        delimiter ? { ...field, delimiter } : field
+      );
+    }
+
+    return record;
   }
 
   normalizeUrl(url) {
@@ -104,60 +318,81 @@ class DataTransformer {
     return url.startsWith('http') ? url : `https://${url}`;
   }
 
-  parseImageUrls(images) {
-    if (!images) return [];
-    if (Array.isArray(images)) return images;
-    if (typeof images === 'string') {
-      return images.split(/[,;\n]/)
-        .map(url => url.trim())
-        .filter(url => url.length > 0);
+  parseList(value, field = {}) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') {
+      return value.split(field.delimiter || /[,;\n]/)
+        .map(item => field.lowercase ? item.trim().toLowerCase() : item.trim())
+        .filter(item => item.length > 0);
     }
     return [];
   }
 
-  parseCategories(categories) {
-    if (!categories) return [];
-    if (Array.isArray(categories)) return categories;
-    if (typeof categories === 'string') {
-      return categories.split(/[,;\n]/)
-        .map(id => id.trim())
-        .filter(id => id.length > 0);
+  async* streamSource(inputPath, type, options = {}) {
+    const { mapping, position } = options;
+
+    // Fail fast on undeclared types or mismatched mappings before reading the file
+    const definition = typeRegistry.getDefinition(type);
+    if (mapping) {
+      mappingProfiles.validate(mapping, definition);
+    }
+
+    for await (const entry of this.streamRaw(inputPath, position)) {
+      // Sanity exports mix document types, only keep the one being imported
+      if (entry.raw._type && entry.raw._type !== type) continue;
+
+      // Rename partner columns to the ones the type definition reads, keeping
+      // the record as read for reports in the input's own format
+      yield {
+        ...entry,
+        raw: mapping ? mappingProfiles.apply(entry.raw, mapping, definition) : entry.raw,
+        source: entry.raw
+      };
     }
-    return [];
   }
 
-  parseTags(tags) {
-    if (!tags) return [];
-    if (Array.isArray(tags)) return tags;
-    if (typeof tags === 'string') {
-      return tags.split(/[,;\n]/)
-        .map(tag => tag.trim().toLowerCase())
-        .filter(tag => tag.length > 0);
+  /**
+   * Yields transformed records one at a time, tagged with their source row and
+   * the byte offset just past them so an import can checkpoint and resume.
+   * `sourceRecord` is the untouched input record, used for dead-letter files.
+   */
+  async* stream(inputPath, type = 'listing', options = {}) {
+    for await (const { raw, source, row, offset } of this.streamSource(inputPath, type, options)) {
+      yield {
+        ...this.transformRecord(raw, type, options.mapping),
+        sourceRow: row,
+        sourceOffset: offset,
+        sourceRecord: source
+      };
     }
-    return [];
   }
 
-  async transform(inputPath, type = 'listing') {
+  async transform(inputPath, type = 'listing', options = {}) {
+    const { mapping } = options;
+
     try {
-      logger.info('Starting data transformation', { inputPath, type });
+      logger.info('Starting data transformation', {
+        inputPath,
+        type,
+        mapping: mapping?.name
+      });
 
-      const { content, format } = await this.loadFile(inputPath);
-      
-      // Parse the input file
-      const rawData = format === 'csv' 
-        ? await this.parseCSV(content)
-        : this.parseJSON(content);
+      const rawData = [];
+      const transformedData = [];
+
+      for await (const { raw, row, offset } of this.streamSource(inputPath, type, options)) {
+        rawData.push(raw);
+        transformedData.push({
+          ...this.transformRecord(raw, type, mapping),
+          sourceRow: row,
+          sourceOffset: offset
+        });
+      }
 
       // Validate basic data structure
       this.validateDataStructure(rawData, type);
 
-      // Transform the data
-      const transformedData = rawData.map(item => 
-        type === 'listing' 
-          ? this.transformListing(item)
-          : this.transformCategory(item)
-      );
-
       logger.info('Data transformation completed', {
         inputRecords: rawData.length,
         outputRecords: transformedData.length
@@ -180,13 +415,16 @@ async function main() {
   const transformer = new DataTransformer();
   
   try {
-    const [,, inputPath, type = 'listing'] = process.argv;
+    const [,, inputPath, type = 'listing', mappingFile, mappingProfile] = process.argv;
 
     if (!inputPath) {
       throw new Error('Input file path is required');
     }
 
-    const transformedData = await transformer.transform(inputPath, type);
+    const mapping = mappingFile
+      ? await mappingProfiles.load(mappingFile, mappingProfile)
+      : undefined;
+    const transformedData = await transformer.transform(inputPath, type, { mapping });
     
     // Write the transformed data to a JSON file
     const outputPath = path.join(
@@ -196,7 +434,11 @@ async function main() {
     
     await fs.writeFile(
       outputPath,
-      JSON.stringify(transformedData, null, 2)
+      JSON.stringify(
+        transformedData.map(({ sourceOffset, ...record }) => record),
+        null,
+        2
+      )
     );
 
     logger.info('Transformation successful', {
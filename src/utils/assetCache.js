@@ -0,0 +1,230 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import logger from './logger.js';
+import config from './config.js';
+import sanityClient from './sanityClient.js';
+
+const ASSET_DOCUMENT_TYPES = {
+  image: 'sanity.imageAsset',
+  file: 'sanity.fileAsset'
+};
+
+/**
+ * Remembers which Sanity asset holds which content so images shared between
+ * listings, or seen on an earlier run, are referenced instead of re-uploaded.
+ *
+ * Sources (URLs or file paths) point at a content hash, and hashes point at
+ * the asset `_id`. The cache file is scoped to one project and dataset.
+ */
+class AssetCache {
+  constructor() {
+    this.entries = null;
+    this.file = null;
+    this.loading = null;
+    this.dirty = false;
+  }
+
+  isEnabled() {
+    const { assets } = config.get();
+    return assets?.cache !== false;
+  }
+
+  getCacheFile() {
+    const { sanity, assets } = config.get();
+    return path.join(
+      process.cwd(),
+      assets?.cacheDirectory || 'cache',
+      `assets_${sanity.projectId}_${sanity.dataset}.json`
+    );
+  }
+
+  hash(buffer) {
+    return crypto.createHash('sha1').update(buffer).digest('hex');
+  }
+
+  // Another project or dataset, e.g. after configure() from the API, has its own file
+  async load() {
+    const file = this.getCacheFile();
+    if (this.file !== file) {
+      const previous = this.save();
+      this.file = file;
+      this.loading = previous.then(() => this.read(file));
+    }
+    return this.loading;
+  }
+
+  async read(file) {
+    try {
+      const content = JSON.parse(await fs.readFile(file, 'utf-8'));
+      this.entries = {
+        sources: content.sources || {},
+        assets: content.assets || {}
+      };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Ignoring unreadable asset cache', { error: error.message });
+      }
+      this.entries = { sources: {}, assets: {} };
+    }
+
+    this.dirty = false;
+    return this.entries;
+  }
+
+  async save() {
+    if (!this.entries || !this.dirty) return;
+
+    const filename = this.file;
+    const content = JSON.stringify(this.entries, null, 2);
+    try {
+      await fs.mkdir(path.dirname(filename), { recursive: true });
+
+      // Write beside the cache and rename so an interrupted run never truncates it
+      const tempFile = `${filename}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, content);
+      await fs.rename(tempFile, filename);
+
+      this.dirty = false;
+      logger.debug('Asset cache saved', { file: path.basename(filename) });
+    } catch (error) {
+      logger.error('Failed to save asset cache', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the asset for a source URL without fetching it: from the cache,
+   * else among the dataset's asset documents, which record the URL they were
+   * uploaded from. Null when the source has not been seen before.
+   */
+  async getBySource(source, assetType = 'image') {
+    if (!this.isEnabled()) return null;
+
+    const { sources, assets } = await this.load();
+    const hash = sources[source]?.hash;
+    if (hash && assets[hash]) {
+      return { hash, ...assets[hash] };
+    }
+
+    const asset = await sanityClient.fetch(
+      '*[_type == $type && source.url == $source][0]{ _id, sha1hash }',
+      { type: ASSET_DOCUMENT_TYPES[assetType] || ASSET_DOCUMENT_TYPES.image, source }
+    );
+
+    if (!asset) return null;
+
+    logger.debug('Found existing asset for source in dataset', { source, assetId: asset._id });
+    return this.set(source, asset.sha1hash, asset._id, assetType);
+  }
+
+  /**
+   * Looks a content hash up in the cache, then among the dataset's asset
+   * documents, which carry the same `sha1hash`.
+   */
+  async getByHash(hash, assetType = 'image') {
+    if (!this.isEnabled()) return null;
+
+    const { assets } = await this.load();
+    if (assets[hash]) {
+      return { hash, ...assets[hash] };
+    }
+
+    const assetId = await sanityClient.fetch(
+      '*[_type == $type && sha1hash == $hash][0]._id',
+      { type: ASSET_DOCUMENT_TYPES[assetType] || ASSET_DOCUMENT_TYPES.image, hash }
+    );
+
+    if (!assetId) return null;
+
+    logger.debug('Found existing asset in dataset', { hash, assetId });
+    return this.set(undefined, hash, assetId, assetType);
+  }
+
+  async set(source, hash, assetId, assetType = 'image') {
+    if (!this.isEnabled()) return { hash, assetId, assetType };
+
+    const { sources, assets } = await this.load();
+    const cachedAt = new Date().toISOString();
+
+    assets[hash] = { assetId, assetType, cachedAt };
+    if (source) {
+      sources[source] = { hash, cachedAt };
+    }
+
+    this.dirty = true;
+    return { hash, ...assets[hash] };
+  }
+
+  async inspect() {
+    const { sources, assets } = await this.load();
+
+    return {
+      file: this.getCacheFile(),
+      sources: Object.keys(sources).length,
+      assets: Object.keys(assets).length,
+      entries: Object.entries(sources).map(([source, entry]) => ({
+        source,
+        hash: entry.hash,
+        assetId: assets[entry.hash]?.assetId,
+        cachedAt: entry.cachedAt
+      }))
+    };
+  }
+
+  /**
+   * Drops deleted assets and the sources that pointed at them.
+   */
+  async forgetAssets(assetIds) {
+    if (assetIds.length === 0) return;
+
+    const { sources, assets } = await this.load();
+    const removed = new Set(assetIds);
+
+    for (const [hash, entry] of Object.entries(assets)) {
+      if (removed.has(entry.assetId)) {
+        delete assets[hash];
+        this.dirty = true;
+      }
+    }
+    for (const [source, entry] of Object.entries(sources)) {
+      if (!assets[entry.hash]) {
+        delete sources[source];
+      }
+    }
+  }
+
+  /**
+   * Removes entries cached more than `maxAgeMs` ago, or everything when no
+   * age is given. Returns the number of sources and assets removed.
+   */
+  async purge(maxAgeMs) {
+    const { sources, assets } = await this.load();
+    const cutoff = maxAgeMs === undefined ? Infinity : Date.now() - maxAgeMs;
+    const isExpired = entry => maxAgeMs === undefined || Date.parse(entry.cachedAt) < cutoff;
+
+    let removedAssets = 0;
+    for (const [hash, entry] of Object.entries(assets)) {
+      if (isExpired(entry)) {
+        delete assets[hash];
+        removedAssets++;
+      }
+    }
+
+    let removedSources = 0;
+    for (const [source, entry] of Object.entries(sources)) {
+      if (isExpired(entry) || !assets[entry.hash]) {
+        delete sources[source];
+        removedSources++;
+      }
+    }
+
+    this.dirty = true;
+    await this.save();
+
+    logger.info('Asset cache purged', { sources: removedSources, assets: removedAssets });
+    return { sources: removedSources, assets: removedAssets };
+  }
+}
+
+export default new AssetCache();
@@ -0,0 +1,19 @@
+/**
+ * Groups records from an array or (async) iterable into batches without
+ * holding more than one batch in memory.
+ */
+export async function* batchRecords(records, batchSize) {
+  let batch = [];
+
+  for await (const record of records) {
+    batch.push(record);
+    if (batch.length >= batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
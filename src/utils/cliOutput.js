@@ -0,0 +1,108 @@
+import { getStatusCode } from './errorClassifier.js';
+
+export const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  partial: 2,
+  validation: 3,
+  configuration: 4
+};
+
+// Errors the user has to fix in the environment, config or arguments
+const CONFIGURATION_ERRORS = new Set([
+  'ConfigurationError',
+  'UsageError',
+  'MappingError',
+  'ImportModeError',
+  'TypeDefinitionError',
+  'ReportError',
+  'OutputError',
+  'ProtectedProfileError',
+  'CopyError'
+]);
+
+// Read from the arguments, it applies before the command line is parsed
+export const jsonOutput = process.argv.slice(2).includes('--json');
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+export function getExitCode(error) {
+  // A missing token surfaces from the first request, wrapped in its error
+  if (CONFIGURATION_ERRORS.has(error.name) || CONFIGURATION_ERRORS.has(error.cause?.name)) {
+    return EXIT_CODES.configuration;
+  }
+
+  // A wrong token or project is not fixed by running again
+  const statusCode = getStatusCode(error);
+  if (statusCode === 401 || statusCode === 403) {
+    return EXIT_CODES.configuration;
+  }
+
+  // Stopped on failed records after committing the ones before them
+  if (error.name === 'ImportStoppedError') {
+    return EXIT_CODES.partial;
+  }
+  if (error.name === 'ValidationError') {
+    return EXIT_CODES.validation;
+  }
+  return EXIT_CODES.failure;
+}
+
+function getStatus(exitCode) {
+  return Object.keys(EXIT_CODES).find(status => EXIT_CODES[status] === exitCode);
+}
+
+// Set once a command wrote its document, stdout gets exactly one
+let written = false;
+
+function writeJSON(document, callback) {
+  if (written) {
+    callback?.();
+    return;
+  }
+
+  written = true;
+  process.stdout.write(`${JSON.stringify(document, null, 2)}\n`, callback);
+}
+
+/**
+ * Ends a command that ran to completion: with --json the result is the only
+ * thing written to stdout, otherwise `print` shows it for people.
+ */
+export function printResult(command, result, exitCode, print) {
+  process.exitCode = exitCode;
+
+  if (jsonOutput) {
+    writeJSON({ command, status: getStatus(exitCode), exitCode, result });
+  } else {
+    print?.();
+  }
+}
+
+/**
+ * Ends a command that failed and exits. `result` is whatever the command got
+ * done before failing, `print` shows it for people before the error message.
+ */
+export function printFailure(command, error, result, print) {
+  const exitCode = getExitCode(error);
+
+  if (jsonOutput) {
+    writeJSON({
+      command,
+      status: getStatus(exitCode),
+      exitCode,
+      error: { name: error.name, message: error.message },
+      ...(result && { result })
+    }, () => process.exit(exitCode));
+    return;
+  }
+
+  print?.();
+  console.error('\nError:', error.message);
+  process.exit(exitCode);
+}
@@ -5,18 +5,92 @@ import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-class ConfigurationError extends Error {
+export class ConfigurationError extends Error {
   constructor(message) {
     super(message);
     this.name = 'ConfigurationError';
   }
 }
 
+// Only required to create a Sanity client: an injected client brings its own
+// and output bundles are written without one
+const CREDENTIALS = ['token', 'apiVersion'];
+
+const DEFAULT_CONFIG_FILE = path.resolve(__dirname, '../../config/default.json');
+
+// Settings a profile can change for its project, merged over the file's
+const PROFILE_SECTIONS = ['import', 'assets', 'api'];
+
 class Config {
   constructor() {
+    this.loaded = false;
+    this.configFile = DEFAULT_CONFIG_FILE;
+    this.profileName = undefined;
+    this.profile = null;
+  }
+
+  /**
+   * Chooses the config file and the profile in it, as `--config` and
+   * `--profile` do. `null` goes back to config/default.json or to no
+   * profile. Applies from the next use on.
+   */
+  select({ file, profile } = {}) {
+    if (file !== undefined) {
+      this.configFile = file ? path.resolve(file) : DEFAULT_CONFIG_FILE;
+    }
+    if (profile !== undefined) {
+      this.profileName = profile || undefined;
+    }
+    this.loaded = false;
+  }
+
+  // What the settings were loaded from, for the API to swap between importers
+  getState() {
+    const { loaded, env, settings, configFile, profileName, profile } = this;
+    return { loaded, env, settings, configFile, profileName, profile };
+  }
+
+  setState(state) {
+    Object.assign(this, state);
+  }
+
+  // Reads .env and the config file on first use, not when imported
+  load() {
+    if (this.loaded) return;
+
     this.loadEnvironmentVariables();
     this.loadConfigFile();
+    // SANITY_PROFILE may come from .env, so it is read after it
+    this.applyProfile(this.profileName || process.env.SANITY_PROFILE);
+    this.validate();
+    this.loaded = true;
+  }
+
+  /**
+   * Uses the given settings instead of the environment: `sanity` and
+   * `logLevel` replace the environment variables, other sections are merged
+   * into the config file. `.env` is not read. A selected profile applies
+   * first, the given `sanity` values win over its own.
+   */
+  configure(overrides = {}) {
+    const { sanity = {}, logLevel = 'info', ...sections } = overrides;
+
+    this.env = { sanity: {}, logLevel };
+    this.loadConfigFile();
+    this.applyProfile(this.profileName);
+    for (const [name, value] of Object.entries(sanity)) {
+      if (value !== undefined) {
+        this.env.sanity[name] = value;
+      }
+    }
+    for (const [name, value] of Object.entries(sections)) {
+      this.settings[name] = value && typeof value === 'object' && !Array.isArray(value)
+        ? { ...this.settings[name], ...value }
+        : value;
+    }
+
     this.validate();
+    this.loaded = true;
   }
 
   loadEnvironmentVariables() {
@@ -34,30 +108,127 @@ class Config {
   }
 
   loadConfigFile() {
-    const configPath = path.resolve(__dirname, '../../config/default.json');
-    
     try {
-      const configFile = fs.readFileSync(configPath, 'utf8');
+      const configFile = fs.readFileSync(this.configFile, 'utf8');
       this.settings = JSON.parse(configFile);
     } catch (error) {
       throw new ConfigurationError(`Failed to load config file: ${error.message}`);
     }
   }
 
-  validate() {
-    // Validate required environment variables
-    const requiredEnvVars = [
-      ['sanity.projectId', this.env.sanity.projectId],
-      ['sanity.dataset', this.env.sanity.dataset],
-      ['sanity.token', this.env.sanity.token],
-      ['sanity.apiVersion', this.env.sanity.apiVersion]
-    ];
-
-    for (const [name, value] of requiredEnvVars) {
-      if (!value) {
-        throw new ConfigurationError(`Missing required environment variable: ${name}`);
+  /**
+   * Looks a profile up in the config file's `profiles` and returns it with
+   * its Sanity settings. Its token is only read from the variable the profile
+   * names, never from SANITY_AUTH_TOKEN, so one project's token cannot write
+   * to another.
+   */
+  readProfile(name) {
+    const profiles = this.settings.profiles || {};
+    const profile = profiles[name];
+    if (!profile) {
+      throw new ConfigurationError(
+        `Profile "${name}" not found in ${path.basename(this.configFile)}. Available profiles: ${Object.keys(profiles).join(', ') || 'none'}`
+      );
+    }
+
+    for (const field of ['projectId', 'dataset']) {
+      if (!profile[field]) {
+        throw new ConfigurationError(`Profile "${name}" has no ${field}`);
+      }
+    }
+
+    return {
+      profile,
+      sanity: {
+        projectId: profile.projectId,
+        dataset: profile.dataset,
+        apiVersion: profile.apiVersion || this.env.sanity.apiVersion,
+        token: profile.tokenEnv ? process.env[profile.tokenEnv] : undefined
+      }
+    };
+  }
+
+  missingToken(name, tokenEnv) {
+    return new ConfigurationError(tokenEnv
+      ? `Profile "${name}" reads its token from ${tokenEnv}, which is not set`
+      : `Profile "${name}" has no tokenEnv naming the variable that holds its token`);
+  }
+
+  // Points the Sanity settings at a profile, see readProfile()
+  applyProfile(name) {
+    this.profile = null;
+    if (!name) return;
+
+    const { profile, sanity } = this.readProfile(name);
+    this.env.sanity = sanity;
+
+    for (const section of PROFILE_SECTIONS) {
+      if (profile[section]) {
+        this.settings[section] = { ...this.settings[section], ...profile[section] };
+      }
+    }
+
+    this.profile = {
+      name,
+      tokenEnv: profile.tokenEnv,
+      protected: Boolean(profile.protected)
+    };
+  }
+
+  /**
+   * Returns the Sanity settings of a profile without selecting it, such as
+   * the source of a copy. Fails when its token is not set.
+   */
+  getProfileSanity(name) {
+    this.load();
+
+    const { profile, sanity } = this.readProfile(name);
+    if (!sanity.token) {
+      throw this.missingToken(name, profile.tokenEnv);
+    }
+    return sanity;
+  }
+
+  /**
+   * Lists the profiles of the config file, without reading their tokens.
+   */
+  listProfiles() {
+    this.loadEnvironmentVariables();
+    this.loadConfigFile();
+    const active = this.profileName || process.env.SANITY_PROFILE;
+
+    return Object.entries(this.settings.profiles || {}).map(([name, profile]) => ({
+      name,
+      projectId: profile.projectId,
+      dataset: profile.dataset,
+      tokenEnv: profile.tokenEnv,
+      tokenSet: Boolean(profile.tokenEnv && process.env[profile.tokenEnv]),
+      protected: Boolean(profile.protected),
+      active: name === active
+    }));
+  }
+
+  requireEnvironment(names) {
+    for (const name of names) {
+      if (!this.env.sanity[name]) {
+        throw new ConfigurationError(`Missing required environment variable: sanity.${name}`);
       }
     }
+  }
+
+  // Called before a Sanity client is created from the configuration
+  requireCredentials() {
+    this.load();
+
+    if (this.profile && !this.env.sanity.token) {
+      throw this.missingToken(this.profile.name, this.profile.tokenEnv);
+    }
+    this.requireEnvironment(CREDENTIALS);
+  }
+
+  validate() {
+    // Validate required environment variables
+    this.requireEnvironment(['projectId', 'dataset']);
 
     // Validate config file settings
     const required = {
@@ -74,12 +245,16 @@ class Config {
   }
 
   get() {
+    this.load();
     return {
       sanity: this.env.sanity,
+      profile: this.profile,
       logLevel: this.env.logLevel,
       import: this.settings.import,
       logging: this.settings.logging,
-      api: this.settings.api
+      api: this.settings.api,
+      assets: this.settings.assets || {},
+      types: this.settings.types || {}
     };
   }
 }
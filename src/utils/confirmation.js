@@ -0,0 +1,61 @@
+import readline from 'readline/promises';
+import config from './config.js';
+
+export class ProtectedProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProtectedProfileError';
+  }
+}
+
+function banner(stream, lines) {
+  const width = Math.max(...lines.map(line => line.length)) + 4;
+  const rule = '!'.repeat(width);
+  const text = [rule, ...lines.map(line => `! ${line.padEnd(width - 4)} !`), rule].join('\n');
+
+  // Bold red on a terminal, plain text in logs
+  stream.write(stream.isTTY ? `\x1b[1;31m${text}\x1b[0m\n` : `${text}\n`);
+}
+
+/**
+ * Asks before `action` writes to the dataset of a protected profile, by
+ * having the dataset name typed in. Without a terminal to ask on, the name
+ * must be given as `confirm` (`--confirm`). Does nothing for other profiles.
+ *
+ * `dataset` is the dataset written to when it is not the profile's own, as
+ * with `restore --dataset`.
+ */
+export async function confirmProtectedWrite(action, options = {}) {
+  const { sanity, profile } = config.get();
+  if (!profile?.protected) return;
+
+  const dataset = options.dataset || sanity.dataset;
+  const input = options.input || process.stdin;
+  const output = options.output || process.stderr;
+
+  banner(output, [
+    `PROTECTED PROFILE "${profile.name.toUpperCase()}"`,
+    `${action} will write to project ${sanity.projectId}, dataset ${dataset}`
+  ]);
+
+  if (options.confirm !== undefined) {
+    if (options.confirm === dataset) return;
+    throw new ProtectedProfileError(`--confirm ${options.confirm} does not match the dataset ${dataset}; nothing was written`);
+  }
+
+  if (!(options.interactive ?? input.isTTY)) {
+    throw new ProtectedProfileError(
+      `Profile "${profile.name}" is protected: pass --confirm ${dataset} to write to it without a terminal`
+    );
+  }
+
+  const prompt = readline.createInterface({ input, output });
+  try {
+    const answer = await prompt.question(`Type the dataset name (${dataset}) to continue: `);
+    if (answer.trim() !== dataset) {
+      throw new ProtectedProfileError(`Confirmation did not match the dataset ${dataset}; nothing was written`);
+    }
+  } finally {
+    prompt.close();
+  }
+}
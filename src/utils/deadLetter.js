@@ -0,0 +1,147 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+
+// Columns appended to every dead-letter record
+export const ERROR_COLUMN = '_error';
+export const ROW_COLUMN = '_source_row';
+
+const META_SUFFIX = '.meta.json';
+
+export class DeadLetterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DeadLetterError';
+  }
+}
+
+/**
+ * Collects the records an import rejected in the format of its input file,
+ * so they can be fixed in a spreadsheet and imported again with
+ * `--retry-failed`. A `.meta.json` file next to it remembers the type and
+ * options of the import that produced it.
+ */
+export class DeadLetterFile {
+  constructor(inputPath, format, meta = {}) {
+    this.format = format;
+    this.meta = meta;
+    this.filename = this.generateFilename(inputPath);
+    this.handle = null;
+    this.columns = null;
+    this.count = 0;
+  }
+
+  generateFilename(inputPath) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    // A retry of a dead-letter file gets a fresh name, not a growing one
+    const base = path
+      .basename(inputPath, path.extname(inputPath))
+      .replace(/-failed-\d{4}-\d{2}-\d{2}T[\d-]+Z$/, '');
+
+    return path.join(
+      process.cwd(),
+      'dead-letters',
+      `${base}-failed-${timestamp}.${this.format}`
+    );
+  }
+
+  async writeMeta() {
+    await fs.writeFile(
+      `${this.filename}${META_SUFFIX}`,
+      JSON.stringify({
+        ...this.meta,
+        format: this.format,
+        records: this.count,
+        createdAt: this.meta.createdAt || new Date().toISOString()
+      }, null, 2)
+    );
+  }
+
+  async open() {
+    if (this.handle) return;
+
+    await fs.mkdir(path.dirname(this.filename), { recursive: true });
+    this.handle = await fs.open(this.filename, 'w');
+    this.meta.createdAt = new Date().toISOString();
+    await this.writeMeta();
+
+    if (this.format === 'json') {
+      await this.handle.write('[\n');
+    }
+
+    logger.info('Writing failed records to dead-letter file', {
+      file: path.basename(this.filename)
+    });
+  }
+
+  escapeCSV(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  formatRecord(entry) {
+    switch (this.format) {
+      case 'csv': {
+        let header = '';
+        if (!this.columns) {
+          this.columns = Object.keys(entry);
+          header = `${this.columns.map(column => this.escapeCSV(column)).join(',')}\n`;
+        }
+        return `${header}${this.columns.map(column => this.escapeCSV(entry[column])).join(',')}\n`;
+      }
+      case 'json':
+        return `${this.count > 0 ? ',\n' : ''}${JSON.stringify(entry, null, 2)}`;
+      default:
+        return `${JSON.stringify(entry)}\n`;
+    }
+  }
+
+  /**
+   * Appends `{ record, error }` pairs. The original input record is written
+   * with the error and, unless it came from an earlier dead-letter file
+   * already, its source row.
+   */
+  async write(failures) {
+    if (failures.length === 0) return;
+    await this.open();
+
+    for (const { record, error } of failures) {
+      const source = record.sourceRecord || {};
+      const { [ERROR_COLUMN]: previousError, [ROW_COLUMN]: originalRow, ...fields } = source;
+
+      await this.handle.write(this.formatRecord({
+        ...fields,
+        [ERROR_COLUMN]: error,
+        [ROW_COLUMN]: originalRow ?? record.sourceRow
+      }));
+      this.count++;
+    }
+  }
+
+  async close() {
+    if (!this.handle) return;
+
+    if (this.format === 'json') {
+      await this.handle.write('\n]\n');
+    }
+    await this.handle.close();
+    this.handle = null;
+    await this.writeMeta();
+
+    logger.info('Dead-letter file written', {
+      file: path.basename(this.filename),
+      records: this.count
+    });
+  }
+}
+
+export async function loadDeadLetterMeta(file) {
+  try {
+    return JSON.parse(await fs.readFile(`${file}${META_SUFFIX}`, 'utf-8'));
+  } catch (error) {
+    throw new DeadLetterError(
+      `Cannot retry ${path.basename(file)}: its ${META_SUFFIX} file is missing or unreadable (${error.message})`
+    );
+  }
+}
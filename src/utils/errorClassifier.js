@@ -0,0 +1,76 @@
+export const ERROR_CATEGORIES = {
+  RATE_LIMITED: 'rate-limited',
+  RETRYABLE: 'retryable',
+  FATAL: 'fatal'
+};
+
+// Connection failures that are worth another attempt
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'UND_ERR_SOCKET'
+]);
+
+// Wrapped errors keep the original on `cause`, look through the whole chain
+function* errorChain(error) {
+  for (let current = error; current; current = current.cause) {
+    yield current;
+  }
+}
+
+export function getStatusCode(error) {
+  for (const current of errorChain(error)) {
+    const statusCode = current.statusCode ?? current.response?.statusCode;
+    if (statusCode !== undefined) return statusCode;
+  }
+  return undefined;
+}
+
+/**
+ * Returns the delay in ms requested by a `Retry-After` header, which may be
+ * given in seconds or as an HTTP date.
+ */
+export function getRetryAfter(error) {
+  for (const current of errorChain(error)) {
+    if (current.retryAfter !== undefined) return current.retryAfter;
+
+    const header = current.response?.headers?.['retry-after'];
+    if (header === undefined || header === null || header === '') continue;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Sorts an error into rate-limited (429), retryable (5xx, timeouts and
+ * dropped connections) or fatal (other 4xx and everything else).
+ */
+export function classifyError(error) {
+  const chain = [...errorChain(error)];
+
+  const classified = chain.find(current => current.category);
+  if (classified) return classified.category;
+
+  const statusCode = getStatusCode(error);
+  if (statusCode === 429) return ERROR_CATEGORIES.RATE_LIMITED;
+  if (statusCode >= 500) return ERROR_CATEGORIES.RETRYABLE;
+  if (statusCode >= 400) return ERROR_CATEGORIES.FATAL;
+
+  const transient = chain.some(current =>
+    TRANSIENT_CODES.has(current.code) || current.name === 'TimeoutError'
+  );
+  return transient ? ERROR_CATEGORIES.RETRYABLE : ERROR_CATEGORIES.FATAL;
+}
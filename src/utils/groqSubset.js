@@ -0,0 +1,510 @@
+/**
+ * Evaluates the part of GROQ this tool sends to Sanity, for the in-memory
+ * client: `*`, filters, `[n]` and `[a...b]` / `[a..b]`, attribute access,
+ * projections, `| order(...)`, `^` and `@`, `$params`, the operators `==`,
+ * `!=`, `<`, `<=`, `>`, `>=`, `in`, `match`, `&&`, `||` and `!`, and the
+ * functions `count`, `defined`, `lower`, `upper`, `path`, `references` and
+ * `string::startsWith`.
+ * Anything else throws a `QueryError`, like a query the API cannot parse.
+ */
+
+export class QueryError extends Error {
+  constructor(message, query) {
+    super(message);
+    this.name = 'QueryError';
+    this.statusCode = 400;
+    this.query = query;
+  }
+}
+
+const PUNCTUATION = ['...', '..', '::', '==', '!=', '<=', '>=', '&&', '||', '->',
+  '*', '[', ']', '(', ')', '{', '}', ',', '.', '|', '^', '@', ':', '<', '>', '!'];
+
+const COMPARISONS = ['==', '!=', '<', '<=', '>', '>=', 'in', 'match'];
+
+function tokenize(query) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < query.length) {
+    const rest = query.slice(index);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      index += space[0].length;
+      continue;
+    }
+
+    const string = rest.match(/^"((?:[^"\\]|\\.)*)"|^'((?:[^'\\]|\\.)*)'/);
+    if (string) {
+      const raw = string[1] ?? string[2];
+      tokens.push({ kind: 'string', value: raw.replace(/\\(.)/g, '$1') });
+      index += string[0].length;
+      continue;
+    }
+
+    const number = rest.match(/^\d+(?:\.\d+)?/);
+    if (number) {
+      tokens.push({ kind: 'number', value: Number(number[0]) });
+      index += number[0].length;
+      continue;
+    }
+
+    const word = rest.match(/^\$?[A-Za-z_][A-Za-z0-9_]*/);
+    if (word) {
+      tokens.push(word[0].startsWith('$')
+        ? { kind: 'param', value: word[0].slice(1) }
+        : { kind: 'ident', value: word[0] });
+      index += word[0].length;
+      continue;
+    }
+
+    const symbol = PUNCTUATION.find(candidate => rest.startsWith(candidate));
+    if (!symbol) {
+      throw new QueryError(`Unexpected character "${rest[0]}" at position ${index}`, query);
+    }
+    tokens.push({ kind: 'symbol', value: symbol });
+    index += symbol.length;
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(query) {
+    this.query = query;
+    this.tokens = tokenize(query);
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  isSymbol(value, offset = 0) {
+    const token = this.peek(offset);
+    return token?.kind === 'symbol' && token.value === value;
+  }
+
+  isWord(value) {
+    const token = this.peek();
+    return token?.kind === 'ident' && token.value === value;
+  }
+
+  next() {
+    const token = this.tokens[this.position++];
+    if (!token) {
+      throw new QueryError('Unexpected end of query', this.query);
+    }
+    return token;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token.kind !== 'symbol' || token.value !== value) {
+      throw new QueryError(`Expected "${value}" but found "${token.value}"`, this.query);
+    }
+  }
+
+  parse() {
+    const node = this.parsePipeline();
+    if (this.peek()) {
+      throw new QueryError(`Unexpected "${this.peek().value}"`, this.query);
+    }
+    return node;
+  }
+
+  parsePipeline() {
+    let node = this.parseOr();
+
+    while (this.isSymbol('|')) {
+      this.next();
+      const name = this.next();
+      if (name.value !== 'order') {
+        throw new QueryError(`Unsupported pipe function: ${name.value}`, this.query);
+      }
+
+      this.expect('(');
+      const orderings = [];
+      while (!this.isSymbol(')')) {
+        const expression = this.parseOr();
+        let descending = false;
+        if (this.isWord('desc') || this.isWord('asc')) {
+          descending = this.next().value === 'desc';
+        }
+        orderings.push({ expression, descending });
+        if (!this.isSymbol(')')) this.expect(',');
+      }
+      this.expect(')');
+
+      node = this.parsePostfixOperations({ type: 'order', base: node, orderings });
+    }
+
+    return node;
+  }
+
+  parseOr() {
+    let node = this.parseAnd();
+    while (this.isSymbol('||')) {
+      this.next();
+      node = { type: 'or', left: node, right: this.parseAnd() };
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseComparison();
+    while (this.isSymbol('&&')) {
+      this.next();
+      node = { type: 'and', left: node, right: this.parseComparison() };
+    }
+    return node;
+  }
+
+  parseComparison() {
+    const left = this.parseUnary();
+    const token = this.peek();
+
+    if (token && ['symbol', 'ident'].includes(token.kind) && COMPARISONS.includes(token.value)) {
+      this.next();
+      return { type: 'compare', operator: token.value, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isSymbol('!')) {
+      this.next();
+      return { type: 'not', operand: this.parseUnary() };
+    }
+    return this.parsePostfixOperations(this.parsePrimary());
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.kind) {
+      case 'string':
+      case 'number':
+        return { type: 'literal', value: token.value };
+      case 'param':
+        return { type: 'param', name: token.value };
+      case 'ident':
+        if (token.value === 'true' || token.value === 'false') {
+          return { type: 'literal', value: token.value === 'true' };
+        }
+        if (token.value === 'null') {
+          return { type: 'literal', value: null };
+        }
+        // Namespaced functions like string::startsWith
+        if (this.isSymbol('::')) {
+          this.next();
+          const name = `${token.value}::${this.next().value}`;
+          if (!this.isSymbol('(')) {
+            throw new QueryError(`Expected "(" after ${name}`, this.query);
+          }
+          return { type: 'call', name, args: this.parseArguments() };
+        }
+        if (this.isSymbol('(')) {
+          return { type: 'call', name: token.value, args: this.parseArguments() };
+        }
+        return { type: 'attribute', name: token.value };
+      default:
+        break;
+    }
+
+    switch (token.value) {
+      case '*':
+        return { type: 'everything' };
+      case '@':
+        return { type: 'this' };
+      case '^':
+        return { type: 'parent' };
+      case '(': {
+        const node = this.parsePipeline();
+        this.expect(')');
+        return node;
+      }
+      default:
+        throw new QueryError(`Unexpected "${token.value}"`, this.query);
+    }
+  }
+
+  parseArguments() {
+    this.expect('(');
+    const args = [];
+    while (!this.isSymbol(')')) {
+      args.push(this.parsePipeline());
+      if (!this.isSymbol(')')) this.expect(',');
+    }
+    this.expect(')');
+    return args;
+  }
+
+  parsePostfixOperations(base) {
+    let node = base;
+
+    for (;;) {
+      if (this.isSymbol('[')) {
+        this.next();
+        if (this.isSymbol(']')) {
+          this.next();
+          continue;
+        }
+
+        const expression = this.parseOr();
+        if (this.isSymbol('...') || this.isSymbol('..')) {
+          const inclusive = this.next().value === '..';
+          node = { type: 'slice', base: node, start: expression, end: this.parseOr(), inclusive };
+        } else if (expression.type === 'literal' && typeof expression.value === 'number') {
+          node = { type: 'index', base: node, index: expression.value };
+        } else {
+          node = { type: 'filter', base: node, expression };
+        }
+        this.expect(']');
+      } else if (this.isSymbol('.')) {
+        this.next();
+        const name = this.next();
+        if (name.kind !== 'ident') {
+          throw new QueryError(`Expected an attribute name after "." but found "${name.value}"`, this.query);
+        }
+        node = { type: 'access', base: node, name: name.value };
+      } else if (this.isSymbol('{')) {
+        node = { type: 'projection', base: node, fields: this.parseProjection() };
+      } else if (this.isSymbol('->')) {
+        throw new QueryError('Dereferencing with -> is not supported', this.query);
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseProjection() {
+    this.expect('{');
+    const fields = [];
+
+    while (!this.isSymbol('}')) {
+      const token = this.peek();
+      if (token.kind === 'string' && this.isSymbol(':', 1)) {
+        this.next();
+        this.next();
+        fields.push({ key: token.value, expression: this.parsePipeline() });
+      } else if (token.kind === 'ident') {
+        const expression = this.parsePipeline();
+        fields.push({ key: token.value, expression });
+      } else {
+        throw new QueryError(`Unsupported projection field "${token.value}"`, this.query);
+      }
+      if (!this.isSymbol('}')) this.expect(',');
+    }
+
+    this.expect('}');
+    return fields;
+  }
+}
+
+function isEqual(left, right) {
+  if (left === right) return true;
+  if (left === null || right === null || typeof left !== 'object' || typeof right !== 'object') {
+    return false;
+  }
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function compareValues(left, right) {
+  if (typeof left !== typeof right || !['number', 'string'].includes(typeof left)) {
+    return null;
+  }
+  if (left < right) return -1;
+  return left > right ? 1 : 0;
+}
+
+// `*` stays within one path segment, `**` spans segments
+function matchesPath(value, pattern) {
+  const expression = pattern
+    .split(/(\*\*|\*)/)
+    .map(part => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^.]*';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return typeof value === 'string' && new RegExp(`^${expression}$`).test(value);
+}
+
+// Text and patterns are compared word by word, `*` matches within a word
+function matchesText(text, pattern) {
+  const words = value => String(value).toLowerCase().split(/[^\p{L}\p{N}*]+/u).filter(Boolean);
+  const texts = [].concat(text).filter(value => typeof value === 'string').flatMap(words);
+  if (texts.length === 0) return false;
+
+  return [].concat(pattern).flatMap(words).every(term => {
+    const expression = new RegExp(`^${term.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*+/g, '.*')}$`);
+    return texts.some(word => expression.test(word));
+  });
+}
+
+function referencesAny(value, ids) {
+  if (Array.isArray(value)) {
+    return value.some(item => referencesAny(item, ids));
+  }
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  if (typeof value._ref === 'string' && ids.includes(value._ref)) {
+    return true;
+  }
+  return Object.values(value).some(item => referencesAny(item, ids));
+}
+
+function getAttribute(value, name) {
+  if (Array.isArray(value)) {
+    return value.map(item => getAttribute(item, name));
+  }
+  if (!value || typeof value !== 'object') {
+    return null;
+  }
+  return value[name] ?? null;
+}
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'param':
+      if (!(node.name in scope.params)) {
+        throw new QueryError(`param $${node.name} referenced, but not provided`, scope.query);
+      }
+      return scope.params[node.name] ?? null;
+    case 'everything':
+      return scope.documents;
+    case 'this':
+      return scope.value ?? null;
+    case 'parent':
+      return scope.parent?.value ?? null;
+    case 'attribute':
+      return getAttribute(scope.value, node.name);
+    case 'access':
+      return getAttribute(evaluate(node.base, scope), node.name);
+
+    case 'filter': {
+      const base = evaluate(node.base, scope);
+      if (!Array.isArray(base)) return null;
+      return base.filter(item => evaluate(node.expression, { ...scope, value: item, parent: scope }) === true);
+    }
+    case 'index': {
+      const base = evaluate(node.base, scope);
+      if (!Array.isArray(base)) return null;
+      return base.at(node.index) ?? null;
+    }
+    case 'slice': {
+      const base = evaluate(node.base, scope);
+      if (!Array.isArray(base)) return null;
+      const end = evaluate(node.end, scope);
+      return base.slice(evaluate(node.start, scope), node.inclusive ? end + 1 : end);
+    }
+    case 'projection': {
+      const project = item => {
+        if (!item || typeof item !== 'object') return null;
+        const itemScope = { ...scope, value: item, parent: scope };
+        return Object.fromEntries(node.fields.map(({ key, expression }) => [key, evaluate(expression, itemScope)]));
+      };
+      const base = evaluate(node.base, scope);
+      return Array.isArray(base) ? base.map(project) : project(base);
+    }
+    case 'order': {
+      const base = evaluate(node.base, scope);
+      if (!Array.isArray(base)) return null;
+
+      const keyed = base.map(item => ({
+        item,
+        keys: node.orderings.map(({ expression }) => evaluate(expression, { ...scope, value: item, parent: scope }))
+      }));
+      keyed.sort((a, b) => {
+        for (const [index, { descending }] of node.orderings.entries()) {
+          const result = compareValues(a.keys[index], b.keys[index]) ?? 0;
+          if (result !== 0) return descending ? -result : result;
+        }
+        return 0;
+      });
+      return keyed.map(({ item }) => item);
+    }
+
+    case 'not': {
+      const operand = evaluate(node.operand, scope);
+      return typeof operand === 'boolean' ? !operand : null;
+    }
+    case 'and': {
+      const left = evaluate(node.left, scope);
+      if (left === false) return false;
+      const right = evaluate(node.right, scope);
+      if (right === false) return false;
+      return left === true && right === true ? true : null;
+    }
+    case 'or': {
+      const left = evaluate(node.left, scope);
+      if (left === true) return true;
+      const right = evaluate(node.right, scope);
+      if (right === true) return true;
+      return left === false && right === false ? false : null;
+    }
+    case 'compare':
+      return compare(node.operator, evaluate(node.left, scope), evaluate(node.right, scope));
+    case 'call':
+      return call(node, scope);
+    default:
+      throw new QueryError(`Unsupported expression: ${node.type}`, scope.query);
+  }
+}
+
+function compare(operator, left, right) {
+  switch (operator) {
+    case '==':
+      return isEqual(left, right);
+    case '!=':
+      return !isEqual(left, right);
+    case 'in':
+      if (right?.pathPattern !== undefined) return matchesPath(left, right.pathPattern);
+      return Array.isArray(right) ? right.some(item => isEqual(left, item)) : null;
+    case 'match':
+      return matchesText(left, right);
+    default: {
+      const result = compareValues(left, right);
+      if (result === null) return null;
+      return { '<': result < 0, '<=': result <= 0, '>': result > 0, '>=': result >= 0 }[operator];
+    }
+  }
+}
+
+function call(node, scope) {
+  const args = node.args.map(arg => evaluate(arg, scope));
+
+  switch (node.name) {
+    case 'count':
+      return Array.isArray(args[0]) ? args[0].length : null;
+    case 'defined':
+      return args[0] !== null && args[0] !== undefined;
+    case 'lower':
+      return typeof args[0] === 'string' ? args[0].toLowerCase() : null;
+    case 'upper':
+      return typeof args[0] === 'string' ? args[0].toUpperCase() : null;
+    case 'path':
+      return typeof args[0] === 'string' ? { pathPattern: args[0] } : null;
+    case 'references':
+      return referencesAny(scope.value, args.flat().filter(id => typeof id === 'string'));
+    case 'string::startsWith':
+      return typeof args[0] === 'string' && typeof args[1] === 'string' ? args[0].startsWith(args[1]) : null;
+    default:
+      throw new QueryError(`Unsupported function: ${node.name}()`, scope.query);
+  }
+}
+
+export function parseQuery(query) {
+  return new Parser(query).parse();
+}
+
+/**
+ * Runs `query` against `documents` with the given `$params`.
+ */
+export function evaluateQuery(query, params = {}, documents = []) {
+  return evaluate(parseQuery(query), { query, params, documents, value: null, parent: null });
+}
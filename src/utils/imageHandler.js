@@ -1,54 +1,286 @@
 import fetch from 'node-fetch';
+import fs from 'fs/promises';
 import path from 'path';
 import logger from './logger.js';
+import config from './config.js';
 import sanityClient from './sanityClient.js';
+import assetCache from './assetCache.js';
+import uploadQueue from './uploadQueue.js';
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif|svg|tiff?|bmp)$/i;
+
+// Recorded as the `source` of assets uploaded from a URL
+const ASSET_SOURCE = 'sanity-bulk-import';
 
 class ImageHandler {
   constructor() {
-    this.client = sanityClient.client;
+    this.pending = new Map();
+    this.uploaded = [];
+  }
+
+  /**
+   * Returns the IDs of assets uploaded since the last call, for run manifests.
+   */
+  takeUploads() {
+    return this.uploaded.splice(0);
+  }
+
+  /**
+   * Uploads content unless an asset with the same hash is already cached or
+   * present in the dataset, in which case that asset is returned.
+   */
+  async uploadBuffer(buffer, assetType, filename, options = {}, source) {
+    const hash = assetCache.hash(buffer);
+
+    // Identical content behind different sources is uploaded once
+    const key = `${assetType}#${hash}`;
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.uploadContent(buffer, hash, assetType, filename, options)
+        .finally(() => this.pending.delete(key)));
+    }
+
+    const asset = await this.pending.get(key);
+    await assetCache.set(source, hash, asset._id, assetType);
+    return asset;
+  }
+
+  async uploadContent(buffer, hash, assetType, filename, options) {
+    const existing = await assetCache.getByHash(hash, assetType);
+    if (existing) {
+      logger.debug('Reusing existing asset', { filename, assetId: existing.assetId });
+      return { _id: existing.assetId };
+    }
+
+    const asset = await sanityClient.uploadAsset(assetType, buffer, {
+      filename,
+      ...options
+    });
+    this.uploaded.push(asset._id);
+    return asset;
   }
 
   async uploadImageFromUrl(imageUrl, options = {}) {
+    return this.uploadAssetFromUrl(imageUrl, 'image', options);
+  }
+
+  async uploadAssetFromUrl(assetUrl, assetType = 'image', options = {}) {
+    // Records sharing an image within a run wait for the same upload
+    const key = `${assetType}:${assetUrl}`;
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.fetchAndUpload(assetUrl, assetType, options)
+        .finally(() => this.pending.delete(key)));
+    }
+    return this.pending.get(key);
+  }
+
+  async fetchAndUpload(assetUrl, assetType, options) {
+    try {
+      const cached = await assetCache.getBySource(assetUrl, assetType);
+      if (cached) {
+        logger.debug('Asset cache hit', { imageUrl: assetUrl, assetId: cached.assetId });
+        return { _id: cached.assetId };
+      }
+
+      return await uploadQueue.run(new URL(assetUrl).host, async () => {
+        const buffer = await this.download(assetUrl, assetType);
+        // The asset records its URL, so later runs find it without the cache
+        const source = { name: ASSET_SOURCE, id: assetUrl, url: assetUrl };
+        return this.uploadBuffer(buffer, assetType, path.basename(assetUrl), { ...options, source }, assetUrl);
+      });
+    } catch (error) {
+      logger.error('Image upload failed', { imageUrl: assetUrl, assetType, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Downloads an asset within `assets.fetchTimeout`, refusing bodies larger
+   * than `assets.maxDownloadSize` bytes.
+   */
+  async download(assetUrl, assetType) {
+    const { api, assets } = config.get();
+    const timeout = assets?.fetchTimeout || api?.timeout || 30000;
+    const maxSize = assets?.maxDownloadSize || 0;
+    const tooLarge = () => new Error(
+      `Failed to fetch ${assetType}: larger than the ${maxSize} byte download limit`
+    );
+
     try {
-      const response = await fetch(imageUrl);
+      const response = await fetch(assetUrl, {
+        signal: AbortSignal.timeout(timeout),
+        size: maxSize
+      });
       if (!response.ok) {
-        throw new Error(`Failed to fetch image: ${response.statusText}`);
+        throw new Error(`Failed to fetch ${assetType}: ${response.statusText}`);
       }
 
-      const buffer = await response.buffer();
-      const filename = path.basename(imageUrl);
+      const length = Number(response.headers.get('content-length'));
+      if (maxSize && length > maxSize) {
+        throw tooLarge();
+      }
+
+      return Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+      if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+        throw new Error(`Failed to fetch ${assetType}: timed out after ${timeout}ms`);
+      }
+      if (error.type === 'max-size') {
+        throw tooLarge();
+      }
+      throw error;
+    }
+  }
 
-      return await this.client.assets.upload('image', buffer, {
-        filename,
-        ...options
+  async uploadAssetFromFile(filePath, assetType = 'image', options = {}) {
+    try {
+      // Local files can change under the same path, so only their content is cached
+      return await uploadQueue.run(null, async () => {
+        const buffer = await fs.readFile(filePath);
+        return this.uploadBuffer(buffer, assetType, path.basename(filePath), options);
       });
     } catch (error) {
-      logger.error('Image upload failed', { imageUrl, error: error.message });
+      logger.error('Asset upload failed', { filePath, assetType, error: error.message });
       throw error;
     }
   }
 
-  async uploadMultipleImages(imageUrls, options = {}) {
+  isRemote(source) {
+    return /^https?:\/\//i.test(source);
+  }
+
+  globToRegExp(pattern) {
+    const expression = pattern
+      .split(/(\*\*\/?|\*|\?)/)
+      .map(part => {
+        if (part === '**/') return '(?:.*/)?';
+        if (part === '**') return '.*';
+        if (part === '*') return '[^/]*';
+        if (part === '?') return '[^/]';
+        return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    return new RegExp(`^${expression}$`);
+  }
+
+  async listFiles(dir, depth, prefix = '') {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+      const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isFile()) {
+        files.push(relative);
+      } else if (entry.isDirectory() && depth > 1) {
+        files.push(...await this.listFiles(path.join(dir, entry.name), depth - 1, relative));
+      }
+    }
+
+    return files;
+  }
+
+  async expandGlob(pattern, assetsDir) {
+    const absolute = path.resolve(assetsDir, pattern).split(path.sep).join('/');
+    const segments = absolute.split('/');
+    const firstWildcard = segments.findIndex(segment => /[*?]/.test(segment));
+
+    // Only walk below the last directory that has no wildcard in it
+    const baseDir = segments.slice(0, firstWildcard).join('/') || '/';
+    const rest = segments.slice(firstWildcard);
+    const depth = rest.includes('**') ? Infinity : rest.length;
+
+    let files;
+    try {
+      files = await this.listFiles(baseDir, depth);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const matcher = this.globToRegExp(rest.join('/'));
+    return files
+      .filter(file => matcher.test(file))
+      .sort()
+      .map(file => path.join(baseDir, file));
+  }
+
+  /**
+   * Expands one image source into the URLs or files to upload. Local paths,
+   * directories and glob patterns are resolved against `assetsDir`.
+   */
+  async expandSource(source, assetsDir = process.cwd()) {
+    const value = String(source).trim();
+    if (this.isRemote(value)) {
+      return [{ source: value, url: value }];
+    }
+
+    const localPath = value.startsWith('file://') ? value.slice('file://'.length) : value;
+
+    if (/[*?]/.test(localPath)) {
+      const files = await this.expandGlob(localPath, assetsDir);
+      if (files.length === 0) {
+        throw new Error(`No image files match ${value}`);
+      }
+      return files.map(file => ({ source: value, file }));
+    }
+
+    const filePath = path.resolve(assetsDir, localPath);
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Image file not found: ${filePath}`);
+      }
+      throw error;
+    }
+
+    if (!stats.isDirectory()) {
+      return [{ source: value, file: filePath }];
+    }
+
+    const files = (await this.listFiles(filePath, 1))
+      .filter(file => IMAGE_EXTENSIONS.test(file))
+      .sort();
+    if (files.length === 0) {
+      throw new Error(`No image files in directory ${filePath}`);
+    }
+    return files.map(file => ({ source: value, file: path.join(filePath, file) }));
+  }
+
+  /**
+   * Uploads images from URLs, local files, directories or glob patterns.
+   * Sources that cannot be found or uploaded are reported in `failed`.
+   */
+  async uploadMultipleImages(imageSources, options = {}) {
+    const { assetsDir, ...uploadOptions } = options;
+    const failed = [];
+    const targets = [];
+
+    for (const source of imageSources) {
+      try {
+        targets.push(...await this.expandSource(source, assetsDir));
+      } catch (error) {
+        failed.push({ url: source, error: error.message });
+      }
+    }
+
     const results = await Promise.allSettled(
-      imageUrls.map(url => this.uploadImageFromUrl(url, options))
+      targets.map(target => target.url
+        ? this.uploadImageFromUrl(target.url, uploadOptions)
+        : this.uploadAssetFromFile(target.file, 'image', uploadOptions))
     );
 
-    const successful = results
-      .filter(result => result.status === 'fulfilled')
-      .map(result => ({
-        _type: 'image',
-        asset: {
-          _type: 'reference',
-          _ref: result.value._id
-        }
-      }));
-
-    const failed = results
-      .filter(result => result.status === 'rejected')
-      .map(result => ({
-        url: imageUrls[results.indexOf(result)],
-        error: result.reason.message
-      }));
+    const successful = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        successful.push(this.imageReference(result.value._id));
+      } else {
+        failed.push({
+          url: targets[index].url || targets[index].file,
+          error: result.reason.message
+        });
+      }
+    });
 
     if (failed.length > 0) {
       logger.warn('Some images failed to upload', { failed });
@@ -56,6 +288,90 @@ class ImageHandler {
 
     return { successful, failed };
   }
+
+  imageReference(assetId) {
+    return {
+      _type: 'image',
+      asset: {
+        _type: 'reference',
+        _ref: assetId
+      }
+    };
+  }
+
+  /**
+   * Resolves image sources like `uploadMultipleImages` without downloading
+   * or uploading anything. Images already in the asset cache or the dataset
+   * are referenced, others become `_sanityAsset` placeholders that
+   * `uploadPlaceholders` uploads once the plan is applied. With
+   * `lookup: false` every image becomes a placeholder.
+   */
+  async planMultipleImages(imageSources, options = {}) {
+    const { assetsDir, lookup = true } = options;
+    const failed = [];
+    const successful = [];
+
+    for (const source of imageSources) {
+      let targets;
+      try {
+        targets = await this.expandSource(source, assetsDir);
+      } catch (error) {
+        failed.push({ url: source, error: error.message });
+        continue;
+      }
+
+      for (const target of targets) {
+        try {
+          let known;
+          if (lookup) {
+            known = target.url
+              ? await assetCache.getBySource(target.url)
+              : await assetCache.getByHash(assetCache.hash(await fs.readFile(target.file)));
+          }
+
+          successful.push(known
+            ? this.imageReference(known.assetId)
+            : { _type: 'image', _sanityAsset: `image@${target.url || `file://${target.file}`}` });
+        } catch (error) {
+          failed.push({ url: target.url || target.file, error: error.message });
+        }
+      }
+    }
+
+    return { successful, failed };
+  }
+
+  /**
+   * Uploads the assets behind `_sanityAsset` placeholders anywhere in a value
+   * and replaces them with references.
+   */
+  async uploadPlaceholders(value) {
+    if (Array.isArray(value)) {
+      return Promise.all(value.map(item => this.uploadPlaceholders(item)));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    if (typeof value._sanityAsset === 'string') {
+      const { _sanityAsset, ...rest } = value;
+      const [, assetType, location] = _sanityAsset.match(/^(image|file)@(.+)$/) || [];
+      if (!assetType) {
+        throw new Error(`Unsupported asset reference: ${_sanityAsset}`);
+      }
+
+      const asset = location.startsWith('file://')
+        ? await this.uploadAssetFromFile(location.slice('file://'.length), assetType)
+        : await this.uploadAssetFromUrl(location, assetType);
+      return { ...rest, asset: { _type: 'reference', _ref: asset._id } };
+    }
+
+    const entries = await Promise.all(
+      Object.entries(value).map(async ([key, item]) => [key, await this.uploadPlaceholders(item)])
+    );
+    return Object.fromEntries(entries);
+  }
 }
 
-export default new ImageHandler(); 
\ No newline at end of file
+export default new ImageHandler();
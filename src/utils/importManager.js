@@ -1,112 +1,301 @@
+import fs from 'fs/promises';
+import path from 'path';
 import logger from './logger.js';
 import config from './config.js';
-import recoverySystem from './recoverySystem.js';
-import categoryImporter from '../importers/categoryImporter.js';
-import listingImporter from '../importers/listingImporter.js';
+import recoverySystem, { CheckpointError } from './recoverySystem.js';
+import referenceResolver from './referenceResolver.js';
+import { validateMode } from './importModes.js';
+import { DeadLetterFile, loadDeadLetterMeta } from './deadLetter.js';
+import runHistory from './runHistory.js';
+import { OutputBundle, OutputError } from './outputBundle.js';
+import { getImporter, typeRegistry } from '../importers/index.js';
+import { transformer } from '../scripts/transform.js';
+import { backupTool } from '../scripts/backup.js';
 
+// Options that change what gets written, a resume must use the same ones
+const RESUME_OPTIONS = ['mode', 'idKey', 'onUnresolved', 'assetsDir', 'mapping'];
+
+/**
+ * The import engine behind the CLI: streams the input, hands it to the
+ * type's importer and checkpoints the source position so `--resume` can
+ * continue where an interrupted run stopped. Rejected records are written
+ * to a dead-letter file that `retryFailed()` imports again.
+ */
 class ImportManager {
   constructor() {
-    this.supportedTypes = ['category', 'listing'];
     this.checkpointInterval = 50; // Save checkpoint every 50 records
   }
 
-  // ... existing validateType and getImporter methods ...
+  validateType(type) {
+    typeRegistry.getDefinition(type);
+  }
 
-  async import(inputPath, type, options = {}) {
+  getImporter(type) {
+    return getImporter(type);
+  }
+
+  // Local image paths are relative to the input file unless an assets directory is given
+  resolveAssetsDir(options, inputPath) {
+    return path.resolve(options.assetsDir || path.dirname(inputPath));
+  }
+
+  resolveOptions(inputPath, type, options) {
+    const { import: importConfig } = config.get();
+
+    return {
+      mode: validateMode(options.mode || importConfig.mode),
+      idKey: typeRegistry.getIdKey(type, options.idKey),
+      onUnresolved: referenceResolver.getSettings({
+        onUnresolved: options.onMissingReference
+      }).onUnresolved,
+      assetsDir: this.resolveAssetsDir(options, inputPath),
+      mapping: options.mapping || null,
+      continueOnError: Boolean(options.continueOnError)
+    };
+  }
+
+  /**
+   * Loads the checkpoint to resume from, refusing one that was written for
+   * another input file, another project or dataset or with different write
+   * options.
+   */
+  async loadResumeCheckpoint(type, inputHash, resolved) {
+    const checkpoint = await recoverySystem.loadLatestCheckpoint(type);
+    if (!checkpoint) {
+      logger.info('No checkpoint found, starting from the beginning', { type });
+      return null;
+    }
+
+    if (checkpoint.inputHash !== inputHash) {
+      throw new CheckpointError(
+        `The latest ${type} checkpoint was created for a different input file (${checkpoint.inputPath}). ` +
+        'Run without --resume to start a new import.',
+        checkpoint
+      );
+    }
+
+    // Resuming elsewhere would skip records that were never written there
+    const { projectId, dataset } = config.get().sanity;
+    if (checkpoint.target?.projectId !== projectId || checkpoint.target?.dataset !== dataset) {
+      const target = checkpoint.target
+        ? `${checkpoint.target.projectId}/${checkpoint.target.dataset}`
+        : 'an unknown dataset';
+      throw new CheckpointError(
+        `The latest ${type} checkpoint was created for ${target}, not ${projectId}/${dataset}. ` +
+        'Run without --resume to start a new import.',
+        checkpoint
+      );
+    }
+
+    const changed = RESUME_OPTIONS.filter(key =>
+      JSON.stringify(checkpoint.options?.[key] ?? null) !== JSON.stringify(resolved[key] ?? null)
+    );
+    if (changed.length > 0) {
+      throw new CheckpointError(
+        `Cannot resume with different options than the interrupted import: ${changed.join(', ')}`,
+        checkpoint
+      );
+    }
+
+    if (checkpoint.completed) {
+      throw new CheckpointError(
+        `The import of ${path.basename(checkpoint.inputPath)} already completed. Run without --resume to import it again.`,
+        checkpoint
+      );
+    }
+
+    logger.info('Resuming from checkpoint', {
+      progress: checkpoint.progress,
+      row: checkpoint.position?.row
+    });
+    return checkpoint;
+  }
+
+  /**
+   * Streams the input through the type's importer, shared by imports and
+   * bundle output: rejected records go to a dead-letter file in the input's
+   * format, and the report and progress display follow along. `run.onBatch`
+   * is awaited after every batch and `run.onError` when the run fails,
+   * before the error is rethrown.
+   */
+  async runImporter(inputPath, type, resolved, options, run) {
+    logger.info('Transforming input data', { inputPath, type });
+    const records = transformer.stream(inputPath, type, {
+      mapping: resolved.mapping,
+      position: run.position
+    });
+
+    // Opened on the first rejected record, in the input's own format
+    const deadLetter = new DeadLetterFile(inputPath, transformer.getFormat(inputPath), {
+      type,
+      inputPath: path.resolve(inputPath),
+      options: resolved
+    });
+
+    const importer = this.getImporter(type);
+
+    options.report?.describe({
+      ...run.details,
+      type,
+      inputPath: path.resolve(inputPath),
+      options: resolved
+    });
+
+    // Progress is measured by how far into the input file the import got
+    const { size } = await fs.stat(inputPath);
+    options.progress?.start({
+      label: run.label,
+      totalBytes: size,
+      startBytes: run.position?.offset || 0
+    });
+
+    let results;
     try {
-      await recoverySystem.initialize();
-      
-      // Check for existing checkpoint if resume option is enabled
-      let startIndex = 0;
-      let transformedData;
-
-      if (options.resume) {
-        const checkpoint = await recoverySystem.loadLatestCheckpoint(type);
-        if (checkpoint) {
-          logger.info('Resuming from checkpoint', {
-            progress: checkpoint.progress,
-            total: checkpoint.totalCount
+      results = await importer.import(records, {
+        ...resolved,
+        ...run.importOptions,
+        report: options.report,
+        onBatch: async batch => {
+          const { processed, results: current, lastRecord, failedRecords } = batch;
+          await deadLetter.write(failedRecords);
+          options.progress?.update({
+            processed,
+            success: current.success,
+            failed: current.failed,
+            bytes: lastRecord.sourceOffset
           });
-          transformedData = checkpoint.remainingData;
-          startIndex = checkpoint.processedCount;
+          await run.onBatch?.(batch);
         }
+      });
+    } catch (error) {
+      options.progress?.stop();
+      await run.onError?.(error);
+      await deadLetter.close();
+      if (deadLetter.count > 0) {
+        error.deadLetter = deadLetter.filename;
       }
+      throw error;
+    }
+
+    options.progress?.stop();
+
+    await deadLetter.close();
+    if (deadLetter.count > 0) {
+      results.deadLetter = deadLetter.filename;
+    }
+    return results;
+  }
+
+  async import(inputPath, type, options = {}) {
+    if (options.output) {
+      return this.writeBundle(inputPath, type, options);
+    }
+
+    try {
+      this.validateType(type);
+      const resolved = this.resolveOptions(inputPath, type, options);
+
+      await recoverySystem.initialize();
+      const inputHash = await recoverySystem.hashFile(inputPath);
+
+      const checkpoint = options.resume
+        ? await this.loadResumeCheckpoint(type, inputHash, resolved)
+        : null;
 
-      // Transform data if not resuming
-      if (!transformedData) {
-        transformedData = await transformer.transform(inputPath, type);
+      // Create backup if requested
+      if (options.backup) {
+        logger.info('Creating backup before import');
+        await backupTool.backup();
       }
 
-      const importer = this.getImporter(type);
-      const results = {
-        success: 0,
-        failed: 0,
-        errors: [],
+      const startCount = checkpoint?.processedCount || 0;
+      const previous = checkpoint?.results || { success: 0, failed: 0 };
+      const state = {
+        processedCount: startCount,
+        position: checkpoint?.position,
+        results: { success: 0, failed: 0 },
+        sinceCheckpoint: 0,
         checkpoints: []
       };
 
-      // Process in batches
-      const { import: importConfig } = config.get();
-      for (let i = startIndex; i < transformedData.length; i += importConfig.batchSize) {
-        const batch = transformedData.slice(i, i + importConfig.batchSize);
-        
-        try {
-          // Validate batch
-          const validatedBatch = await Promise.all(
-            batch.map(item => importer.validate(item))
-          );
-
-          // Import batch with retry
-          await recoverySystem.retryOperation(
-            async () => {
-              const transaction = await importer.createTransaction();
-              validatedBatch.forEach(doc => transaction.create(doc));
-              await transaction.commit();
-            },
-            { batch: i / importConfig.batchSize, type }
-          );
-
-          results.success += batch.length;
-
-          // Save checkpoint at intervals
-          if (i > 0 && i % this.checkpointInterval === 0) {
-            const checkpointFile = await recoverySystem.saveCheckpoint(
-              type,
-              transformedData,
-              i + batch.length
-            );
-            results.checkpoints.push(checkpointFile);
+      const saveCheckpoint = async (results, completed = false) => {
+        const file = await recoverySystem.saveCheckpoint(type, {
+          inputPath,
+          inputHash,
+          options: resolved,
+          processedCount: state.processedCount,
+          position: state.position,
+          completed,
+          // Totals cover every run of this import, not only the current one
+          results: {
+            success: previous.success + results.success,
+            failed: previous.failed + results.failed
           }
+        });
+        state.checkpoints.push(file);
+        state.sinceCheckpoint = 0;
+      };
 
-        } catch (error) {
-          results.failed += batch.length;
-          results.errors.push({
-            batch: i / importConfig.batchSize,
-            error: error.message,
-            items: batch
-          });
+      // Records what this run writes so `rollback` can undo it
+      const manifest = await runHistory.begin('import', {
+        type,
+        inputPath: path.resolve(inputPath),
+        options: resolved
+      });
 
-          if (!options.continueOnError) {
-            throw error;
-          }
+      logger.info('Starting import process', { type, mode: resolved.mode, runId: manifest.runId });
 
-          logger.error('Batch failed, continuing with next batch', {
-            batch: i / importConfig.batchSize,
-            error: error.message
-          });
-        }
+      let results;
+      try {
+        results = await this.runImporter(inputPath, type, resolved, options, {
+          label: `Importing ${type}`,
+          // Stream records from the checkpointed offset instead of loading the file
+          position: checkpoint?.position,
+          details: { runId: manifest.runId },
+          importOptions: { manifest },
+          onBatch: async ({ processed, results: current, lastRecord }) => {
+            await manifest.save();
+
+            state.sinceCheckpoint += startCount + processed - state.processedCount;
+            state.processedCount = startCount + processed;
+            state.position = { row: lastRecord.sourceRow, offset: lastRecord.sourceOffset };
+            state.results = { success: current.success, failed: current.failed };
 
-        logger.info('Import progress', {
-          processed: i + batch.length,
-          total: transformedData.length,
-          success: results.success,
-          failed: results.failed
+            if (state.sinceCheckpoint >= this.checkpointInterval) {
+              await saveCheckpoint(current);
+            }
+          },
+          onError: async error => {
+            // Checkpoint where the run stopped: before a batch that failed as a whole,
+            // after one whose valid records were committed
+            if (error.results && state.processedCount > startCount) {
+              await saveCheckpoint(state.results);
+              error.checkpoints = state.checkpoints;
+            }
+          }
         });
+      } catch (error) {
+        await manifest.finish('failed', error.results || state.results);
+        error.runId = manifest.runId;
+        throw error;
       }
 
+      await manifest.finish('completed', results);
+      results.runId = manifest.runId;
+
+      await saveCheckpoint(results, true);
+      results.checkpoints = state.checkpoints;
+
       // Clean up old checkpoints
       await recoverySystem.cleanOldCheckpoints(type);
 
+      logger.info('Import completed', {
+        type,
+        success: results.success,
+        failed: results.failed,
+        total: results.success + results.failed
+      });
+
       return results;
     } catch (error) {
       logger.error('Import failed', {
@@ -117,6 +306,145 @@ class ImportManager {
       throw error;
     }
   }
+
+  /**
+   * Runs the import pipeline into the `options.output` bundle (e.g.
+   * `ndjson:listings.tar.gz`) for `sanity dataset import`, without calling
+   * the Sanity API. Rejected records still go to a dead-letter file; a run
+   * that fails or stops leaves no bundle behind.
+   */
+  async writeBundle(inputPath, type, options = {}) {
+    try {
+      this.validateType(type);
+      const resolved = this.resolveOptions(inputPath, type, options);
+
+      // Both need the dataset, and an archive cannot be appended to
+      if (options.resume || options.backup) {
+        throw new OutputError('An output bundle cannot be resumed or backed up, run without those options');
+      }
+
+      const bundle = new OutputBundle(options.output, {
+        type,
+        inputPath: path.resolve(inputPath),
+        mode: resolved.mode
+      });
+
+      logger.info('Starting bundle output', { type, mode: resolved.mode, output: bundle.file });
+      await bundle.open();
+
+      let results;
+      try {
+        results = await this.runImporter(inputPath, type, resolved, options, {
+          label: `Writing ${type}`,
+          details: { output: bundle.file },
+          importOptions: { output: bundle, deriveReferences: Boolean(options.deriveReferences) }
+        });
+        results.output = await bundle.close(config.get().sanity.dataset);
+      } catch (error) {
+        await bundle.abort();
+        throw error;
+      }
+
+      logger.info('Bundle output completed', {
+        type,
+        output: results.output.file,
+        success: results.success,
+        failed: results.failed
+      });
+
+      return results;
+    } catch (error) {
+      logger.error('Bundle output failed', {
+        error: error.message,
+        type,
+        inputPath
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Validates every record of the input without importing, looking up
+   * references and images but uploading nothing.
+   */
+  async validate(inputPath, type, options = {}) {
+    try {
+      this.validateType(type);
+
+      logger.info('Validating input data', { type, input: inputPath });
+      const transformedData = await transformer.transform(inputPath, type, { mapping: options.mapping });
+      const importer = this.getImporter(type);
+      await importer.prefetchReferences(transformedData);
+
+      const results = {
+        total: transformedData.length,
+        valid: 0,
+        invalid: 0,
+        errors: [],
+        failedImages: []
+      };
+
+      for (const [index, record] of transformedData.entries()) {
+        try {
+          const doc = await importer.validate(record, {
+            onUnresolved: options.onMissingReference,
+            assetsDir: this.resolveAssetsDir(options, inputPath),
+            plan: true,
+            failedImages: results.failedImages
+          });
+          results.valid++;
+          options.report?.recordOutcome({ row: record.sourceRow, _id: doc._id, status: 'success' });
+        } catch (error) {
+          const failure = importer.describeFailure(record, error);
+          results.invalid++;
+          results.errors.push({ index, ...failure });
+          options.report?.recordOutcome({ ...failure, status: 'failed' });
+        }
+      }
+
+      return results;
+    } catch (error) {
+      logger.error('Validation failed', {
+        error: error.message,
+        type,
+        inputPath
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Imports the records of a dead-letter file again with the type, mapping
+   * and write options of the import that rejected them. Only whether to stop
+   * on errors, back up first, resume, report, show progress or write to an
+   * output bundle (and derive its references) can be chosen anew.
+   */
+  async retryFailed(deadLetterPath, options = {}) {
+    const meta = await loadDeadLetterMeta(deadLetterPath);
+    const original = meta.options || {};
+
+    logger.info('Retrying failed records', {
+      file: path.basename(deadLetterPath),
+      type: meta.type,
+      records: meta.records,
+      originalInput: meta.inputPath
+    });
+
+    return this.import(deadLetterPath, meta.type, {
+      mode: original.mode,
+      idKey: original.idKey,
+      onMissingReference: original.onUnresolved,
+      assetsDir: original.assetsDir,
+      mapping: original.mapping,
+      continueOnError: options.continueOnError ?? original.continueOnError,
+      backup: options.backup,
+      resume: options.resume,
+      report: options.report,
+      progress: options.progress,
+      output: options.output,
+      deriveReferences: options.deriveReferences
+    });
+  }
 }
 
-export default new ImportManager(); 
\ No newline at end of file
+export default new ImportManager();
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import { ValidationError } from './validation.js';
+import sanityClient from './sanityClient.js';
+import { ERROR_CATEGORIES, classifyError, getStatusCode } from './errorClassifier.js';
+
+export const IMPORT_MODES = ['create', 'upsert', 'replace'];
+
+export class ImportModeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportModeError';
+  }
+}
+
+export function validateMode(mode = 'create') {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new ImportModeError(
+      `Unsupported import mode: ${mode}. Supported modes: ${IMPORT_MODES.join(', ')}`
+    );
+  }
+  return mode;
+}
+
+/**
+ * Reads the value used to derive a document ID. `slug` resolves to the
+ * generated slug and `id` to the source system's ID column; any other key
+ * is looked up on the validated document and then on the input record.
+ */
+export function getKeyValue(key, doc, data = {}) {
+  if (key === 'slug') {
+    return doc.slug?.current;
+  }
+  if (key === 'id') {
+    return data.sourceId;
+  }
+  return doc[key] ?? data[key];
+}
+
+export function generateDocumentId(type, key, value) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    throw new ValidationError(`Cannot derive document ID: ${key} is empty`, key, value);
+  }
+
+  // Hash the key so the ID only contains characters Sanity accepts
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${key}:${String(value).trim().toLowerCase()}`)
+    .digest('hex')
+    .slice(0, 24);
+
+  return `${type}-${hash}`;
+}
+
+export function addToTransaction(transaction, doc, mode = 'create') {
+  switch (mode) {
+    case 'create':
+      return transaction.create(doc);
+    case 'upsert': {
+      // Keep fields edited outside the import, update the ones we own
+      const { _id, _type, ...fields } = doc;
+      return transaction
+        .createIfNotExists(doc)
+        .patch(_id, { set: fields });
+    }
+    case 'replace':
+      return transaction.createOrReplace(doc);
+    default:
+      throw new ImportModeError(`Unsupported import mode: ${mode}`);
+  }
+}
+
+/**
+ * Commits items in one transaction, adding each with `addItem(transaction, item)`.
+ * When the API rejects it, the items are split in halves until the rejected
+ * ones are isolated, and the rest is still written. Other failures, such as
+ * rate limits, server or network errors, are not bisected: at the top level
+ * they fail the whole call, further down the half at hand.
+ */
+export async function commitItems(items, addItem, nested = false) {
+  try {
+    const transaction = sanityClient.createTransaction();
+    items.forEach(item => addItem(transaction, item));
+    await transaction.commit();
+    return { committed: items, failed: [] };
+  } catch (error) {
+    // Only a request the API rejected can be narrowed down to documents
+    const rejected = classifyError(error) === ERROR_CATEGORIES.FATAL &&
+      getStatusCode(error) !== undefined;
+
+    if (!rejected && !nested) throw error;
+    if (!rejected || items.length === 1) {
+      return { committed: [], failed: items.map(item => ({ ...item, error })) };
+    }
+
+    const middle = Math.ceil(items.length / 2);
+    const left = await commitItems(items.slice(0, middle), addItem, true);
+    const right = await commitItems(items.slice(middle), addItem, true);
+
+    return {
+      committed: [...left.committed, ...right.committed],
+      failed: [...left.failed, ...right.failed]
+    };
+  }
+}
+
+/**
+ * Commits `{ doc }` items with the given import mode, see `commitItems`.
+ * A run manifest, when given, records what was created and what replaced.
+ */
+export async function commitDocuments(items, mode = 'create', manifest) {
+  // Create mode never overwrites, so there is nothing to snapshot
+  const previous = manifest && mode !== 'create'
+    ? await manifest.snapshot(items.map(({ doc }) => doc._id))
+    : undefined;
+
+  const outcome = await commitItems(
+    items,
+    (transaction, { doc }) => addToTransaction(transaction, doc, mode)
+  );
+
+  manifest?.recordDocuments(outcome.committed.map(({ doc }) => doc._id), previous);
+  return outcome;
+}
@@ -0,0 +1,380 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+import config from './config.js';
+import sanityClient from './sanityClient.js';
+import recoverySystem from './recoverySystem.js';
+import referenceResolver from './referenceResolver.js';
+import imageHandler from './imageHandler.js';
+import assetCache from './assetCache.js';
+import uploadQueue from './uploadQueue.js';
+import importManager from './importManager.js';
+import runHistory from './runHistory.js';
+import { commitItems } from './importModes.js';
+import { batchRecords } from './batching.js';
+import { transformer } from '../scripts/transform.js';
+import { backupTool } from '../scripts/backup.js';
+
+const PLAN_VERSION = 1;
+
+// Maintained by Sanity, never part of a diff
+const SYSTEM_FIELDS = new Set(['_id', '_type', '_rev', '_createdAt', '_updatedAt']);
+
+export class PlanError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PlanError';
+  }
+}
+
+// Compares JSON values regardless of key order, treating missing as undefined
+function isEqual(a, b) {
+  if (a === b) return true;
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+      a.every((item, index) => isEqual(item, b[index]));
+  }
+
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => isEqual(a[key], b[key]));
+  }
+
+  return false;
+}
+
+/**
+ * Previews an import without writing anything: every record is validated,
+ * matched to the document its key derives and classified as create, update
+ * (with the changed fields), unchanged or conflict. A saved plan is applied
+ * later exactly as previewed, refusing documents edited in the meantime.
+ */
+class ImportPlanner {
+  /**
+   * Returns the fields an import in `mode` would change. `upsert` only sets
+   * the fields the import owns, `replace` also drops fields it does not set.
+   */
+  diff(existing, doc, mode) {
+    const fields = mode === 'replace'
+      ? new Set([...Object.keys(existing), ...Object.keys(doc)])
+      : Object.keys(doc).filter(field => doc[field] !== undefined);
+
+    return [...fields]
+      .filter(field => !SYSTEM_FIELDS.has(field) && !isEqual(existing[field], doc[field]))
+      .map(field => ({ field, before: existing[field], after: doc[field] }));
+  }
+
+  classify(row, doc, existing, mode) {
+    if (!existing) {
+      return { row, _id: doc._id, action: 'create', document: doc };
+    }
+
+    if (mode === 'create') {
+      return {
+        row,
+        _id: doc._id,
+        action: 'conflict',
+        error: 'Document already exists, import with --mode upsert or replace to update it'
+      };
+    }
+
+    const changes = this.diff(existing, doc, mode);
+    return changes.length > 0
+      ? { row, _id: doc._id, action: 'update', revision: existing._rev, changes }
+      : { row, _id: doc._id, action: 'unchanged' };
+  }
+
+  async fetchExisting(ids) {
+    const documents = await sanityClient.fetch('*[_id in $ids]', { ids });
+    return new Map(documents.map(doc => [doc._id, doc]));
+  }
+
+  async plan(inputPath, type, options = {}) {
+    try {
+      importManager.validateType(type);
+      const resolved = importManager.resolveOptions(inputPath, type, options);
+      const { sanity, import: importConfig } = config.get();
+
+      const plan = {
+        version: PLAN_VERSION,
+        createdAt: new Date().toISOString(),
+        projectId: sanity.projectId,
+        dataset: sanity.dataset,
+        type,
+        inputPath: path.resolve(inputPath),
+        inputHash: await recoverySystem.hashFile(inputPath),
+        options: resolved,
+        summary: { total: 0, create: 0, update: 0, unchanged: 0, conflict: 0, invalid: 0 },
+        actions: [],
+        errors: [],
+        failedImages: []
+      };
+
+      const importer = importManager.getImporter(type);
+      const records = transformer.stream(inputPath, type, { mapping: resolved.mapping });
+      const planned = new Map();
+
+      logger.info('Planning import', { type, mode: resolved.mode });
+      referenceResolver.reset();
+
+      let batchIndex = 0;
+      for await (const batch of batchRecords(records, importConfig.batchSize)) {
+        await importer.prefetchReferences(batch);
+
+        const validations = await Promise.allSettled(
+          batch.map(record => importer.validate(record, {
+            ...resolved,
+            plan: true,
+            failedImages: plan.failedImages
+          }))
+        );
+
+        const valid = [];
+        validations.forEach((validation, index) => {
+          if (validation.status === 'fulfilled') {
+            valid.push({ record: batch[index], doc: validation.value });
+          } else {
+            plan.errors.push({
+              batch: batchIndex,
+              ...importer.describeFailure(batch[index], validation.reason)
+            });
+            plan.summary.invalid++;
+          }
+        });
+
+        const existing = await this.fetchExisting(valid.map(({ doc }) => doc._id));
+
+        for (const { record, doc } of valid) {
+          const duplicate = planned.get(doc._id);
+          const action = duplicate !== undefined
+            ? { row: record.sourceRow, _id: doc._id, action: 'conflict', error: `Same document as row ${duplicate}` }
+            : this.classify(record.sourceRow, doc, existing.get(doc._id), resolved.mode);
+
+          planned.set(doc._id, record.sourceRow);
+          plan.actions.push(action);
+          plan.summary[action.action]++;
+
+          if (action.action === 'conflict') {
+            plan.errors.push({ batch: batchIndex, row: action.row, _id: action._id, error: action.error });
+          } else {
+            // Later records can reference what this one would write
+            referenceResolver.remember(doc);
+          }
+        }
+
+        plan.summary.total += batch.length;
+        batchIndex++;
+      }
+
+      logger.info('Import plan ready', { type, ...plan.summary });
+      return plan;
+    } catch (error) {
+      logger.error('Import planning failed', {
+        error: error.message,
+        type,
+        inputPath
+      });
+      throw error;
+    }
+  }
+
+  async save(plan, filename) {
+    await recoverySystem.writeAtomic(path.resolve(filename), JSON.stringify(plan, null, 2));
+    logger.info('Import plan saved', { file: filename, actions: plan.actions.length });
+    return filename;
+  }
+
+  /**
+   * Reads a saved plan, refusing one made for another project or dataset.
+   */
+  async load(filename) {
+    let plan;
+    try {
+      plan = JSON.parse(await fs.readFile(filename, 'utf-8'));
+    } catch (error) {
+      throw new PlanError(`Cannot read import plan ${filename}: ${error.message}`);
+    }
+
+    if (plan.version !== PLAN_VERSION || !Array.isArray(plan.actions)) {
+      throw new PlanError(`${path.basename(filename)} is not an import plan`);
+    }
+
+    const { sanity } = config.get();
+    if (plan.projectId !== sanity.projectId || plan.dataset !== sanity.dataset) {
+      throw new PlanError(
+        `The plan was made for ${plan.projectId}/${plan.dataset}, not ${sanity.projectId}/${sanity.dataset}`
+      );
+    }
+
+    return plan;
+  }
+
+  // Uploads the images the plan only referenced by source
+  async prepare(action) {
+    if (action.action === 'create') {
+      return { action, doc: await imageHandler.uploadPlaceholders(action.document) };
+    }
+
+    const changes = await Promise.all(action.changes.map(async change => ({
+      ...change,
+      after: await imageHandler.uploadPlaceholders(change.after)
+    })));
+    return { action, changes };
+  }
+
+  addToTransaction(transaction, { action, doc, changes }) {
+    if (action.action === 'create') {
+      return transaction.create(doc);
+    }
+
+    const set = {};
+    const unset = [];
+    for (const { field, after } of changes) {
+      if (after === undefined) {
+        unset.push(field);
+      } else {
+        set[field] = after;
+      }
+    }
+
+    // Fails when the document was edited after the plan was made
+    return transaction.patch(action._id, {
+      ifRevisionID: action.revision,
+      ...(Object.keys(set).length > 0 && { set }),
+      ...(unset.length > 0 && { unset })
+    });
+  }
+
+  /**
+   * Writes the creates and updates of a saved plan. Documents created or
+   * edited since the plan was made are reported as failures, not overwritten.
+   */
+  async apply(filename, options = {}) {
+    const { report } = options;
+    let manifest;
+    let results;
+
+    const fail = (batch, action, message) => {
+      results.failed++;
+      results.errors.push({ batch, row: action.row, _id: action._id, error: message });
+      report?.recordOutcome({ row: action.row, _id: action._id, status: 'failed', error: message });
+    };
+
+    try {
+      const plan = await this.load(filename);
+      const { import: importConfig } = config.get();
+      const writes = plan.actions.filter(action => ['create', 'update'].includes(action.action));
+      results = {
+        success: 0,
+        failed: 0,
+        skipped: plan.actions.length - writes.length,
+        errors: [],
+        failedImages: []
+      };
+
+      if (options.backup) {
+        logger.info('Creating backup before applying plan');
+        await backupTool.backup();
+      }
+
+      manifest = await runHistory.begin('import --plan', {
+        type: plan.type,
+        inputPath: path.resolve(filename),
+        options: plan.options
+      });
+
+      logger.info('Applying import plan', {
+        file: path.basename(filename),
+        type: plan.type,
+        writes: writes.length,
+        runId: manifest.runId
+      });
+      uploadQueue.resetStats();
+
+      report?.describe({
+        runId: manifest.runId,
+        type: plan.type,
+        inputPath: path.resolve(filename),
+        options: plan.options
+      });
+      plan.actions
+        .filter(action => !writes.includes(action))
+        .forEach(({ row, _id, action, error }) => report?.recordOutcome({ row, _id, status: action, error }));
+
+      options.progress?.start({ label: `Applying ${plan.type} plan`, total: writes.length });
+      let processed = 0;
+
+      let batchIndex = 0;
+      for await (const batch of batchRecords(writes, importConfig.batchSize)) {
+        const batchStarted = Date.now();
+        const prepared = await Promise.allSettled(batch.map(action => this.prepare(action)));
+
+        const items = [];
+        prepared.forEach((preparation, index) => {
+          if (preparation.status === 'fulfilled') {
+            items.push(preparation.value);
+          } else {
+            fail(batchIndex, batch[index], preparation.reason.message);
+          }
+        });
+
+        try {
+          const previous = await manifest.snapshot(
+            items.filter(({ action }) => action.action === 'update').map(({ action }) => action._id)
+          );
+          const { committed, failed } = await commitItems(
+            items,
+            (transaction, item) => this.addToTransaction(transaction, item)
+          );
+          manifest.recordDocuments(committed.map(({ action }) => action._id), previous);
+
+          results.success += committed.length;
+          committed.forEach(({ action }) => report?.recordOutcome({
+            row: action.row,
+            _id: action._id,
+            status: 'success'
+          }));
+          failed.forEach(({ action, error }) => fail(batchIndex, action, error.message));
+        } catch (error) {
+          items.forEach(({ action }) => fail(batchIndex, action, error.message));
+          logger.error('Plan batch failed', { batchIndex, error: error.message });
+        }
+
+        report?.recordBatch(batchIndex, batch.length, Date.now() - batchStarted);
+        processed += batch.length;
+        options.progress?.update({ processed, success: results.success, failed: results.failed });
+
+        await assetCache.save();
+        await manifest.save();
+        batchIndex++;
+      }
+
+      options.progress?.stop();
+      results.uploads = uploadQueue.getStats();
+      await manifest.finish('completed', results);
+      results.runId = manifest.runId;
+
+      logger.info('Import plan applied', {
+        type: plan.type,
+        success: results.success,
+        failed: results.failed,
+        skipped: results.skipped
+      });
+      return results;
+    } catch (error) {
+      options.progress?.stop();
+      logger.error('Applying import plan failed', {
+        error: error.message,
+        file: filename
+      });
+      if (manifest) {
+        await manifest.finish('failed', results);
+        error.runId = manifest.runId;
+      }
+      throw error;
+    }
+  }
+}
+
+export default new ImportPlanner();
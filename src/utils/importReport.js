@@ -0,0 +1,259 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+import config from './config.js';
+
+export const REPORT_FORMATS = {
+  '.json': 'json',
+  '.xml': 'junit',
+  '.html': 'html',
+  '.htm': 'html'
+};
+
+// Outcomes that count as failures in JUnit and the HTML summary
+const FAILED_STATUSES = new Set(['failed', 'conflict']);
+
+export class ReportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReportError';
+  }
+}
+
+export function getReportFormat(filename) {
+  const format = REPORT_FORMATS[path.extname(filename).toLowerCase()];
+  if (!format) {
+    throw new ReportError(
+      `Unsupported report file ${filename}, use one of: ${Object.keys(REPORT_FORMATS).join(', ')}`
+    );
+  }
+  return format;
+}
+
+function escapeXML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+
+/**
+ * Collects the outcome of every record of one command and writes it as a
+ * JSON report, JUnit XML for CI or a standalone HTML page for editors.
+ * Importers fill it through `options.report`.
+ */
+export class ImportReport {
+  constructor(command, details = {}) {
+    const { sanity } = config.get();
+
+    this.run = {
+      command,
+      runId: null,
+      projectId: sanity.projectId,
+      dataset: sanity.dataset,
+      ...details,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    this.records = [];
+    this.batches = [];
+    this.failedImages = [];
+    this.uploads = null;
+  }
+
+  describe(details) {
+    Object.assign(this.run, details);
+  }
+
+  recordBatch(index, size, durationMs) {
+    this.batches.push({ index, size, durationMs });
+  }
+
+  /**
+   * Adds one record's outcome: `success`, `failed`, or for dry runs the
+   * planned action (`create`, `update`, `unchanged`, `conflict`).
+   */
+  recordOutcome({ type, row, _id, status, field, error, errorType }) {
+    this.records.push({ type: type || this.run.type, row, _id, status, field, error, errorType });
+  }
+
+  finish(status, results = {}) {
+    this.run.status = status;
+    this.run.finishedAt = new Date().toISOString();
+    this.run.runId = results.runId || this.run.runId;
+    this.failedImages = results.failedImages || this.failedImages;
+    this.uploads = results.uploads || null;
+  }
+
+  getCounts() {
+    const counts = {};
+    for (const { type, status } of this.records) {
+      const key = type || 'unknown';
+      counts[key] = counts[key] || { total: 0 };
+      counts[key].total++;
+      counts[key][status] = (counts[key][status] || 0) + 1;
+    }
+    return counts;
+  }
+
+  getTimings() {
+    const durationMs = Date.parse(this.run.finishedAt || new Date().toISOString()) -
+      Date.parse(this.run.startedAt);
+    const batchMs = this.batches.reduce((sum, batch) => sum + batch.durationMs, 0);
+
+    return {
+      durationMs,
+      recordsPerSecond: durationMs > 0
+        ? Math.round((this.records.length / durationMs) * 1000 * 10) / 10
+        : this.records.length,
+      averageBatchMs: this.batches.length ? Math.round(batchMs / this.batches.length) : 0,
+      batches: this.batches
+    };
+  }
+
+  toJSON() {
+    return {
+      run: this.run,
+      counts: this.getCounts(),
+      timings: this.getTimings(),
+      uploads: this.uploads,
+      failedImages: this.failedImages,
+      records: this.records
+    };
+  }
+
+  toJUnit() {
+    const { durationMs } = this.getTimings();
+    const byType = new Map();
+    for (const record of this.records) {
+      const key = record.type || 'unknown';
+      if (!byType.has(key)) byType.set(key, []);
+      byType.get(key).push(record);
+    }
+
+    const testcase = (classname, name, failure) => {
+      const body = failure
+        ? `\n      <failure message="${escapeXML(failure.message)}" type="${escapeXML(failure.type)}">${escapeXML(failure.detail)}</failure>\n    `
+        : '';
+      return `    <testcase classname="${escapeXML(classname)}" name="${escapeXML(name)}" time="0">${body}</testcase>`;
+    };
+
+    const suites = [...byType].map(([type, records]) => {
+      const failures = records.filter(record => FAILED_STATUSES.has(record.status));
+      const cases = records.map(record => testcase(
+        type,
+        `row ${record.row ?? '?'}${record._id ? ` (${record._id})` : ''}`,
+        FAILED_STATUSES.has(record.status) && {
+          message: record.error,
+          type: record.errorType || record.status,
+          detail: record.field ? `${record.field}: ${record.error}` : record.error
+        }
+      ));
+      return `  <testsuite name="${escapeXML(type)}" tests="${records.length}" failures="${failures.length}" errors="0">\n${cases.join('\n')}\n  </testsuite>`;
+    });
+
+    // Images a record was imported without fail CI as well
+    if (this.failedImages.length > 0) {
+      const cases = this.failedImages.map(image => testcase(
+        `${image.type || this.run.type}.images`,
+        `row ${image.row ?? '?'} ${image.field || ''} ${image.url}`.replace(/\s+/g, ' '),
+        { message: image.error, type: 'ImageUploadError', detail: `${image.url}: ${image.error}` }
+      ));
+      suites.push(`  <testsuite name="images" tests="${cases.length}" failures="${cases.length}" errors="0">\n${cases.join('\n')}\n  </testsuite>`);
+    }
+
+    const tests = this.records.length + this.failedImages.length;
+    const failures = this.records.filter(record => FAILED_STATUSES.has(record.status)).length +
+      this.failedImages.length;
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      `<testsuites name="sanity-bulk-import ${escapeXML(this.run.command)}" tests="${tests}" failures="${failures}" ` +
+      `time="${seconds(durationMs)}" timestamp="${escapeXML(this.run.startedAt)}">\n` +
+      `${suites.join('\n')}\n</testsuites>\n`;
+  }
+
+  toHTML() {
+    const { run, uploads } = this;
+    const counts = this.getCounts();
+    const timings = this.getTimings();
+    const failed = this.records.filter(record => FAILED_STATUSES.has(record.status));
+    const statuses = [...new Set(this.records.map(record => record.status))];
+
+    const table = (headers, rows) => rows.length === 0
+      ? '<p class="empty">None</p>'
+      : `<table><thead><tr>${headers.map(header => `<th>${escapeXML(header)}</th>`).join('')}</tr></thead>` +
+        `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeXML(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+    const details = [
+      ['Command', run.command],
+      ['Run ID', run.runId],
+      ['Type', run.type],
+      ['Input', run.inputPath],
+      ['Dataset', `${run.projectId}/${run.dataset}`],
+      ['Mode', run.options?.mode],
+      ['Status', run.status],
+      ['Started', run.startedAt],
+      ['Finished', run.finishedAt],
+      ['Duration', `${seconds(timings.durationMs)}s`],
+      ['Records per second', timings.recordsPerSecond],
+      ...(uploads ? [['Asset uploads', `${uploads.completed} completed, ${uploads.failed} failed`]] : [])
+    ].filter(([, value]) => value !== undefined && value !== null);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Import report ${escapeXML(run.runId || run.startedAt)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2rem; color: #1f2328; }
+  h1 { font-size: 1.5rem; }
+  h2 { font-size: 1.15rem; margin-top: 2rem; }
+  table { border-collapse: collapse; margin-top: 0.5rem; }
+  th, td { border: 1px solid #d0d7de; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #f6f8fa; }
+  .status-failed, .status-conflict { color: #cf222e; font-weight: 600; }
+  .empty { color: #57606a; }
+</style>
+</head>
+<body>
+<h1>Import report: ${escapeXML(run.type || run.command)} <span class="status-${escapeXML(run.status)}">${escapeXML(run.status)}</span></h1>
+${table(['Field', 'Value'], details)}
+<h2>Records by type</h2>
+${table(['Type', 'Total', ...statuses], Object.entries(counts).map(([type, count]) => [type, count.total, ...statuses.map(status => count[status] || 0)]))}
+<h2>Failed records (${failed.length})</h2>
+${table(['Row', 'Type', 'Document', 'Field', 'Error'], failed.map(record => [record.row, record.type, record._id, record.field, record.error]))}
+<h2>Image failures (${this.failedImages.length})</h2>
+${table(['Row', 'Field', 'Source', 'Error'], this.failedImages.map(image => [image.row, image.field, image.url, image.error]))}
+<details>
+<summary>All records (${this.records.length})</summary>
+${table(['Row', 'Type', 'Document', 'Outcome'], this.records.map(record => [record.row, record.type, record._id, record.status]))}
+</details>
+</body>
+</html>
+`;
+  }
+
+  async write(filename) {
+    const format = getReportFormat(filename);
+    const content = {
+      json: () => JSON.stringify(this.toJSON(), null, 2),
+      junit: () => this.toJUnit(),
+      html: () => this.toHTML()
+    }[format]();
+
+    try {
+      await fs.mkdir(path.dirname(path.resolve(filename)), { recursive: true });
+      await fs.writeFile(filename, content);
+      logger.info('Report written', { file: filename, format, records: this.records.length });
+      return filename;
+    } catch (error) {
+      logger.error('Failed to write report', { file: filename, error: error.message });
+      throw error;
+    }
+  }
+}
@@ -3,8 +3,6 @@ import 'winston-daily-rotate-file';
 import path from 'path';
 import config from './config.js';
 
-const { logging, logLevel } = config.get();
-
 // Custom format for console output
 const consoleFormat = winston.format.combine(
   winston.format.colorize(),
@@ -24,90 +22,177 @@ const fileFormat = winston.format.combine(
   winston.format.json()
 );
 
-// Create rotating file transport for errors
-const errorFileTransport = new winston.transports.DailyRotateFile({
-  filename: path.join(logging.directory, 'error-%DATE%.log'),
-  datePattern: 'YYYY-MM-DD',
-  level: 'error',
-  maxSize: logging.maxSize,
-  maxFiles: logging.maxFiles,
-  format: fileFormat
-});
-
-// Create rotating file transport for combined logs
-const combinedFileTransport = new winston.transports.DailyRotateFile({
-  filename: path.join(logging.directory, 'combined-%DATE%.log'),
-  datePattern: 'YYYY-MM-DD',
-  maxSize: logging.maxSize,
-  maxFiles: logging.maxFiles,
-  format: fileFormat
-});
-
-// Create console transport
-const consoleTransport = new winston.transports.Console({
-  format: consoleFormat
-});
-
-// Handle transport errors
-[errorFileTransport, combinedFileTransport].forEach(transport => {
-  transport.on('rotate', function(oldFilename, newFilename) {
-    logger.info('Rotating log file', { oldFilename, newFilename });
+// Set up on first use; console logs can be sent to stderr and around a live display
+let logger = null;
+let consoleTransport = null;
+let consoleGuard = null;
+let consoleToStderr = false;
+
+function createConsoleTransport() {
+  const transport = new winston.transports.Console({
+    format: consoleFormat,
+    stderrLevels: consoleToStderr ? Object.keys(winston.config.npm.levels) : []
+  });
+
+  // Lets a live display on the terminal (see progress.js) step aside for a message
+  const writeToConsole = transport.log.bind(transport);
+  transport.log = (info, callback) => {
+    if (!consoleGuard) {
+      return writeToConsole(info, callback);
+    }
+
+    consoleGuard.clear();
+    writeToConsole(info, callback);
+    consoleGuard.redraw();
+  };
+
+  return transport;
+}
+
+function createDefaultLogger() {
+  let settings;
+  try {
+    settings = config.get();
+  } catch (error) {
+    // The configuration error is what gets logged, to the console only
+    consoleTransport = createConsoleTransport();
+    return winston.createLogger({
+      levels: winston.config.npm.levels,
+      transports: [consoleTransport],
+      defaultMeta: { service: 'sanity-bulk-import' }
+    });
+  }
+  const { logging, logLevel } = settings;
+
+  // Create rotating file transport for errors
+  const errorFileTransport = new winston.transports.DailyRotateFile({
+    filename: path.join(logging.directory, 'error-%DATE%.log'),
+    datePattern: 'YYYY-MM-DD',
+    level: 'error',
+    maxSize: logging.maxSize,
+    maxFiles: logging.maxFiles,
+    format: fileFormat
+  });
+
+  // Create rotating file transport for combined logs
+  const combinedFileTransport = new winston.transports.DailyRotateFile({
+    filename: path.join(logging.directory, 'combined-%DATE%.log'),
+    datePattern: 'YYYY-MM-DD',
+    maxSize: logging.maxSize,
+    maxFiles: logging.maxFiles,
+    format: fileFormat
+  });
+
+  // Create console transport
+  consoleTransport = createConsoleTransport();
+
+  // Handle transport errors
+  [errorFileTransport, combinedFileTransport].forEach(transport => {
+    transport.on('rotate', function(oldFilename, newFilename) {
+      logger.info('Rotating log file', { oldFilename, newFilename });
+    });
+
+    transport.on('error', function(error) {
+      console.error('Error in log transport:', error);
+    });
+  });
+
+  const created = winston.createLogger({
+    level: logLevel,
+    levels: winston.config.npm.levels,
+    transports: [
+      errorFileTransport,
+      combinedFileTransport,
+      consoleTransport
+    ],
+    // Prevent logger from exiting on error
+    exitOnError: false,
+    // Handle uncaught exceptions
+    handleExceptions: true,
+    handleRejections: true,
+    // Add default metadata to all logs
+    defaultMeta: { service: 'sanity-bulk-import' }
   });
 
-  transport.on('error', function(error) {
-    console.error('Error in log transport:', error);
+  // Log startup information
+  created.info('Logger initialized', {
+    timestamp: new Date(),
+    logLevel,
+    logDirectory: logging.directory,
+    maxFileSize: logging.maxSize,
+    maxFiles: logging.maxFiles
   });
-});
-
-const logger = winston.createLogger({
-  level: logLevel,
-  levels: winston.config.npm.levels,
-  transports: [
-    errorFileTransport,
-    combinedFileTransport,
-    consoleTransport
-  ],
-  // Prevent logger from exiting on error
-  exitOnError: false,
-  // Handle uncaught exceptions
-  handleExceptions: true,
-  handleRejections: true,
-  // Add default metadata to all logs
-  defaultMeta: { service: 'sanity-bulk-import' }
-});
+
+  return created;
+}
+
+function getLogger() {
+  if (!logger) {
+    logger = createDefaultLogger();
+  }
+  return logger;
+}
 
 // Create wrapper methods with metadata support
 const enhancedLogger = {
   error: (message, metadata = {}) => {
-    logger.error(message, { timestamp: new Date(), ...metadata });
+    getLogger().error(message, { timestamp: new Date(), ...metadata });
   },
   warn: (message, metadata = {}) => {
-    logger.warn(message, { timestamp: new Date(), ...metadata });
+    getLogger().warn(message, { timestamp: new Date(), ...metadata });
   },
   info: (message, metadata = {}) => {
-    logger.info(message, { timestamp: new Date(), ...metadata });
+    getLogger().info(message, { timestamp: new Date(), ...metadata });
   },
   debug: (message, metadata = {}) => {
-    logger.debug(message, { timestamp: new Date(), ...metadata });
+    getLogger().debug(message, { timestamp: new Date(), ...metadata });
   },
   // Add a method for logging operation results
   logOperation: (operation, success, details = {}) => {
     const level = success ? 'info' : 'error';
-    logger[level](`Operation ${operation} ${success ? 'succeeded' : 'failed'}`, {
+    getLogger()[level](`Operation ${operation} ${success ? 'succeeded' : 'failed'}`, {
       operation,
       success,
       timestamp: new Date(),
       ...details
     });
+  },
+  // Clears and redraws a live terminal display around console messages
+  setConsoleGuard: (guard) => {
+    consoleGuard = guard;
+  },
+  // Changes the console level only, log files keep theirs; returns the previous level
+  setConsoleLevel: (level) => {
+    getLogger();
+    if (!consoleTransport) return undefined;
+
+    const previous = consoleTransport.level;
+    consoleTransport.level = level;
+    return previous;
+  },
+  // Sends console logs to stderr, keeping stdout for a command's result
+  useStderr: () => {
+    consoleToStderr = true;
+    if (consoleTransport) {
+      consoleTransport.stderrLevels = Object.fromEntries(
+        Object.keys(winston.config.npm.levels).map(level => [level, true])
+      );
+    }
+  },
+  /**
+   * Logs through `target` instead, anything with winston's or the console's
+   * `error`, `warn`, `info` and `debug(message, metadata)`. Without one, the
+   * console and log files are set up from the configuration on the next log.
+   */
+  setLogger: (target) => {
+    logger = target || null;
+    consoleTransport = null;
+  },
+  // The current logger, for the API to swap between importers
+  getState: () => ({ logger, consoleTransport }),
+  setState: (state) => {
+    ({ logger, consoleTransport } = state);
   }
 };
 
-// Log startup information
-enhancedLogger.info('Logger initialized', {
-  logLevel,
-  logDirectory: logging.directory,
-  maxFileSize: logging.maxSize,
-  maxFiles: logging.maxFiles
-});
-
-export default enhancedLogger; 
\ No newline at end of file
+export default enhancedLogger;
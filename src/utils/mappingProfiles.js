@@ -0,0 +1,199 @@
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+
+export class MappingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MappingError';
+  }
+}
+
+// Column headers commonly used by partner exports, keyed by document field
+const FIELD_SYNONYMS = {
+  title: ['name', 'business name', 'company', 'company name', 'listing name'],
+  description: ['about', 'summary', 'details', 'bio', 'body'],
+  email: ['e-mail', 'mail', 'contact email', 'email address'],
+  websiteUrl: ['website', 'web', 'site', 'url', 'homepage', 'web address'],
+  instagramUrl: ['instagram', 'ig', 'insta', 'instagram handle'],
+  galleryImages: ['images', 'photos', 'gallery', 'pictures', 'image urls', 'photo urls'],
+  categories: ['category', 'category slugs', 'section', 'sections'],
+  tags: ['keywords', 'labels', 'tag list'],
+  color: ['colour', 'hex', 'color code'],
+  featuredListing: ['featured', 'featured listing', 'featured listing slug']
+};
+
+const LIST_DELIMITERS = ['|', ';', ','];
+const SOURCE_ID_HEADER = /^(external|source|partner|record)?id$/;
+
+class MappingProfiles {
+  normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  async load(file, profileName) {
+    let content;
+    try {
+      content = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      throw new MappingError(`Failed to load mapping file ${file}: ${error.message}`);
+    }
+
+    const profiles = content.profiles || {};
+    const names = Object.keys(profiles);
+    const name = profileName || (names.length === 1 ? names[0] : 'default');
+    const profile = profiles[name];
+
+    if (!profile) {
+      throw new MappingError(
+        `Mapping profile "${name}" not found in ${path.basename(file)}. Available profiles: ${names.join(', ') || 'none'}`
+      );
+    }
+
+    logger.info('Mapping profile loaded', { file: path.basename(file), profile: name });
+
+    return {
+      name,
+      type: profile.type,
+      columns: profile.columns || {},
+      defaults: profile.defaults || {},
+      delimiters: profile.delimiters || {},
+      constants: profile.constants || {}
+    };
+  }
+
+  validate(profile, definition) {
+    if (profile.type && profile.type !== definition.name) {
+      throw new MappingError(
+        `Mapping profile "${profile.name}" is for type ${profile.type}, not ${definition.name}`
+      );
+    }
+
+    const fieldNames = new Set(['id', ...definition.fields.map(field => field.name)]);
+    const targets = [
+      ...Object.values(profile.columns),
+      ...Object.keys(profile.defaults),
+      ...Object.keys(profile.delimiters),
+      ...Object.keys(profile.constants)
+    ];
+
+    const unknown = [...new Set(targets.filter(target => !fieldNames.has(target)))];
+    if (unknown.length > 0) {
+      throw new MappingError(
+        `Mapping profile "${profile.name}" targets unknown ${definition.name} fields: ${unknown.join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Rewrites a source record so each mapped value sits under the column the
+   * type definition reads, leaving unmapped columns untouched.
+   */
+  apply(rawItem, profile, definition) {
+    const sources = Object.fromEntries(
+      definition.fields.map(field => [field.name, field.source])
+    );
+    // `id` is the source-system key used for deterministic IDs
+    sources.id = 'id';
+
+    const mapped = { ...rawItem };
+
+    for (const [column, fieldName] of Object.entries(profile.columns)) {
+      if (column in rawItem) {
+        mapped[sources[fieldName]] = rawItem[column];
+      }
+    }
+
+    for (const [fieldName, value] of Object.entries(profile.defaults)) {
+      const current = mapped[sources[fieldName]];
+      if (current === undefined || current === null || current === '') {
+        mapped[sources[fieldName]] = value;
+      }
+    }
+
+    for (const [fieldName, value] of Object.entries(profile.constants)) {
+      mapped[sources[fieldName]] = value;
+    }
+
+    return mapped;
+  }
+
+  detectDelimiter(values) {
+    const samples = values.filter(value => typeof value === 'string' && value.length > 0);
+    return LIST_DELIMITERS.find(delimiter =>
+      samples.some(value => value.includes(delimiter))
+    );
+  }
+
+  matchField(header, definition, taken) {
+    const normalized = this.normalizeHeader(header);
+    const candidates = definition.fields.filter(field => !taken.has(field.name));
+
+    const exact = candidates.find(field =>
+      this.normalizeHeader(field.name) === normalized ||
+      this.normalizeHeader(field.source) === normalized
+    );
+    if (exact) return exact;
+
+    const synonym = candidates.find(field =>
+      (FIELD_SYNONYMS[field.name] || []).some(alias => this.normalizeHeader(alias) === normalized)
+    );
+    if (synonym) return synonym;
+
+    return candidates.find(field => {
+      const name = this.normalizeHeader(field.name);
+      return name.length > 3 && (normalized.includes(name) || name.includes(normalized));
+    });
+  }
+
+  suggest(headers, records, definition, profileName = 'default') {
+    const taken = new Set();
+    const columns = {};
+    const delimiters = {};
+    const unmapped = [];
+
+    for (const header of headers) {
+      if (SOURCE_ID_HEADER.test(this.normalizeHeader(header)) && !taken.has('id')) {
+        taken.add('id');
+        columns[header] = 'id';
+        continue;
+      }
+
+      const field = this.matchField(header, definition, taken);
+      if (!field) {
+        unmapped.push(header);
+        continue;
+      }
+
+      taken.add(field.name);
+      columns[header] = field.name;
+
+      if (field.array) {
+        const delimiter = this.detectDelimiter(records.map(record => record[header]));
+        if (delimiter && delimiter !== ',') {
+          delimiters[field.name] = delimiter;
+        }
+      }
+    }
+
+    const missingRequired = definition.fields
+      .filter(field => field.required && !taken.has(field.name))
+      .map(field => field.name);
+
+    return {
+      profiles: {
+        [profileName]: {
+          type: definition.name,
+          columns,
+          defaults: {},
+          delimiters,
+          constants: {}
+        }
+      },
+      unmapped,
+      missingRequired
+    };
+  }
+}
+
+export default new MappingProfiles();
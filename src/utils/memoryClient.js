@@ -0,0 +1,418 @@
+import crypto from 'crypto';
+import path from 'path';
+import { evaluateQuery } from './groqSubset.js';
+
+const ASSET_DOCUMENT_TYPES = {
+  image: 'sanity.imageAsset',
+  file: 'sanity.fileAsset'
+};
+
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Creates an error shaped like the ones `@sanity/client` throws for an API
+ * response, e.g. `createResponseError(429, 'Rate limited', { 'retry-after': '1' })`.
+ */
+export function createResponseError(statusCode, message, headers = {}) {
+  const error = new Error(message);
+  error.name = statusCode >= 500 ? 'ServerError' : 'ClientError';
+  error.statusCode = statusCode;
+  error.response = {
+    statusCode,
+    headers,
+    body: { error: { description: message } }
+  };
+  error.details = { description: message };
+  return error;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function collectReferences(value, references = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectReferences(item, references));
+  } else if (value && typeof value === 'object') {
+    if (typeof value._ref === 'string' && !value._weak) {
+      references.push(value._ref);
+    }
+    Object.values(value).forEach(item => collectReferences(item, references));
+  }
+  return references;
+}
+
+// Sets a value at a dotted path such as `slug.current`
+function setPath(doc, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (!target[key] || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function getPath(doc, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => value?.[key], doc);
+}
+
+function unsetPath(doc, fieldPath) {
+  const keys = fieldPath.split('.');
+  const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') {
+    delete parent[keys[keys.length - 1]];
+  }
+}
+
+class Patch {
+  constructor(id, operations = {}, client = null) {
+    this.id = id;
+    this.operations = { ...operations };
+    this.client = client;
+  }
+
+  set(fields) {
+    this.operations.set = { ...this.operations.set, ...fields };
+    return this;
+  }
+
+  setIfMissing(fields) {
+    this.operations.setIfMissing = { ...this.operations.setIfMissing, ...fields };
+    return this;
+  }
+
+  unset(paths) {
+    this.operations.unset = [...(this.operations.unset || []), ...paths];
+    return this;
+  }
+
+  serialize() {
+    return { id: this.id, ...this.operations };
+  }
+
+  async commit(options) {
+    const result = await this.client.mutate([{ patch: this.serialize() }], options);
+    return result.documents[0];
+  }
+}
+
+class Transaction {
+  constructor(client) {
+    this.client = client;
+    this.mutations = [];
+  }
+
+  create(doc) {
+    this.mutations.push({ create: doc });
+    return this;
+  }
+
+  createIfNotExists(doc) {
+    this.mutations.push({ createIfNotExists: doc });
+    return this;
+  }
+
+  createOrReplace(doc) {
+    this.mutations.push({ createOrReplace: doc });
+    return this;
+  }
+
+  delete(id) {
+    this.mutations.push({ delete: { id } });
+    return this;
+  }
+
+  // Takes patch operations, a Patch, or a function that builds on a Patch
+  patch(idOrPatch, operations) {
+    let patch;
+    if (idOrPatch instanceof Patch) {
+      patch = idOrPatch;
+    } else if (typeof operations === 'function') {
+      patch = operations(new Patch(idOrPatch));
+    } else {
+      patch = new Patch(idOrPatch, operations);
+    }
+    this.mutations.push({ patch: patch.serialize() });
+    return this;
+  }
+
+  async commit(options) {
+    const { transactionId, results } = await this.client.mutate(this.mutations, options);
+    return { transactionId, results };
+  }
+}
+
+/**
+ * A stand-in for a `@sanity/client` instance that keeps datasets in memory,
+ * for tests and trying out imports without a project. It supports what this
+ * tool uses: `fetch` with the GROQ subset in groqSubset.js, transactions,
+ * `create`, `createIfNotExists`, `createOrReplace`, `patch`, `delete`,
+ * `assets.upload` and `withConfig({ dataset })`.
+ *
+ * Like the API, a transaction is applied as a whole or not at all, `create`
+ * fails on an existing ID, and strong references must point at existing
+ * documents, which then cannot be deleted. Errors carry `statusCode` like
+ * the real client's. `onRequest(request)` runs before every request and can
+ * delay it or throw, e.g. a `createResponseError(429, ...)`. Asset URLs
+ * start with `assetBaseUrl`, so a test server can serve their content.
+ */
+export class MemoryClient {
+  constructor(options = {}, store = null) {
+    const { documents = [], onRequest, ...clientConfig } = options;
+
+    this.clientConfig = {
+      projectId: 'memory',
+      dataset: 'test',
+      apiVersion: '2024-01-01',
+      token: 'memory-token',
+      ...clientConfig
+    };
+    this.store = store || { datasets: new Map(), requests: [], onRequest };
+
+    if (!this.store.datasets.has(this.clientConfig.dataset)) {
+      this.store.datasets.set(this.clientConfig.dataset, new Map());
+    }
+    documents.forEach(doc => this.getDataset().set(doc._id, this.stamp(clone(doc))));
+
+    this.assets = {
+      upload: (assetType, body, uploadOptions) => this.uploadAsset(assetType, body, uploadOptions)
+    };
+  }
+
+  config() {
+    return { ...this.clientConfig };
+  }
+
+  // Another dataset of the same in-memory project
+  withConfig(newConfig = {}) {
+    return new MemoryClient({ ...this.clientConfig, ...newConfig }, this.store);
+  }
+
+  get requests() {
+    return this.store.requests;
+  }
+
+  getDataset() {
+    return this.store.datasets.get(this.clientConfig.dataset);
+  }
+
+  /**
+   * Returns copies of the documents in this client's dataset, sorted by ID.
+   */
+  getDocuments() {
+    return [...this.getDataset().values()]
+      .sort((a, b) => a._id.localeCompare(b._id))
+      .map(clone);
+  }
+
+  async getDocument(id) {
+    await this.handleRequest({ operation: 'getDocument', id });
+    return clone(this.getDataset().get(id));
+  }
+
+  async handleRequest(request) {
+    const entry = { ...request, dataset: this.clientConfig.dataset };
+    this.store.requests.push(entry);
+    await this.store.onRequest?.(entry);
+  }
+
+  stamp(doc, previous) {
+    const now = new Date().toISOString();
+    return {
+      ...doc,
+      _id: doc._id || crypto.randomUUID(),
+      _rev: crypto.randomBytes(11).toString('base64url'),
+      _createdAt: previous?._createdAt || doc._createdAt || now,
+      _updatedAt: now
+    };
+  }
+
+  async fetch(query, params = {}) {
+    await this.handleRequest({ operation: 'fetch', query, params });
+    return clone(evaluateQuery(query, params, [...this.getDataset().values()]));
+  }
+
+  applyMutation(documents, mutation) {
+    const [kind, payload] = Object.entries(mutation)[0];
+
+    switch (kind) {
+      case 'create': {
+        if (payload._id && documents.has(payload._id)) {
+          throw createResponseError(409, `Document by ID "${payload._id}" already exists`);
+        }
+        const doc = this.stamp(clone(payload));
+        documents.set(doc._id, doc);
+        return { id: doc._id, operation: 'create', document: doc };
+      }
+      case 'createIfNotExists': {
+        const existing = documents.get(payload._id);
+        if (existing) {
+          return { id: existing._id, operation: 'none', document: existing };
+        }
+        const doc = this.stamp(clone(payload));
+        documents.set(doc._id, doc);
+        return { id: doc._id, operation: 'create', document: doc };
+      }
+      case 'createOrReplace': {
+        const previous = documents.get(payload._id);
+        const doc = this.stamp(clone(payload), previous);
+        documents.set(doc._id, doc);
+        return { id: doc._id, operation: previous ? 'update' : 'create', document: doc };
+      }
+      case 'delete': {
+        const existed = documents.delete(payload.id);
+        return { id: payload.id, operation: existed ? 'delete' : 'none' };
+      }
+      case 'patch': {
+        const existing = documents.get(payload.id);
+        if (!existing) {
+          throw createResponseError(409, `Cannot patch missing document "${payload.id}"`);
+        }
+        if (payload.ifRevisionID && payload.ifRevisionID !== existing._rev) {
+          throw createResponseError(409, `Document "${payload.id}" has unexpected revision ID ("${existing._rev}")`);
+        }
+        const doc = clone(existing);
+        Object.entries(payload.setIfMissing || {}).forEach(([field, value]) => {
+          if (getPath(doc, field) === undefined) setPath(doc, field, clone(value));
+        });
+        Object.entries(payload.set || {}).forEach(([field, value]) => setPath(doc, field, clone(value)));
+        (payload.unset || []).forEach(field => unsetPath(doc, field));
+
+        const patched = this.stamp(doc, existing);
+        documents.set(patched._id, patched);
+        return { id: patched._id, operation: 'update', document: patched };
+      }
+      default:
+        throw createResponseError(400, `Unsupported mutation: ${kind}`);
+    }
+  }
+
+  // References are checked on the result of the whole transaction, like the API does
+  checkReferences(documents, results) {
+    for (const { id, operation } of results) {
+      if (operation === 'delete') {
+        const referrer = [...documents.values()].find(doc => collectReferences(doc).includes(id));
+        if (referrer) {
+          throw createResponseError(
+            409,
+            `Document "${id}" cannot be deleted as there are references to it from "${referrer._id}"`
+          );
+        }
+      } else if (operation !== 'none') {
+        const missing = collectReferences(documents.get(id)).find(ref => !documents.has(ref));
+        if (missing) {
+          throw createResponseError(409, `Document "${id}" references non-existent document "${missing}"`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Applies mutations in `{ create | createIfNotExists | createOrReplace |
+   * delete | patch }` form atomically.
+   */
+  async mutate(mutations, options = {}) {
+    await this.handleRequest({ operation: 'mutate', mutations: clone(mutations) });
+
+    const documents = new Map(this.getDataset());
+    const results = mutations.map(mutation => this.applyMutation(documents, mutation));
+    this.checkReferences(documents, results);
+
+    this.store.datasets.set(this.clientConfig.dataset, documents);
+
+    return {
+      transactionId: crypto.randomUUID(),
+      results: results.map(({ id, operation }) => ({ id, operation })),
+      documents: options.returnDocuments === false ? [] : results.map(({ document }) => clone(document))
+    };
+  }
+
+  transaction(mutations = []) {
+    const transaction = new Transaction(this);
+    transaction.mutations.push(...mutations);
+    return transaction;
+  }
+
+  patch(id, operations) {
+    return new Patch(id, operations, this);
+  }
+
+  async create(doc, options) {
+    return (await this.mutate([{ create: doc }], options)).documents[0];
+  }
+
+  async createIfNotExists(doc, options) {
+    return (await this.mutate([{ createIfNotExists: doc }], options)).documents[0];
+  }
+
+  async createOrReplace(doc, options) {
+    return (await this.mutate([{ createOrReplace: doc }], options)).documents[0];
+  }
+
+  async delete(id, options) {
+    return this.mutate([{ delete: { id } }], options);
+  }
+
+  async readBody(body) {
+    if (Buffer.isBuffer(body) || body instanceof Uint8Array || typeof body === 'string') {
+      return Buffer.from(body);
+    }
+
+    const chunks = [];
+    for await (const chunk of body) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Stores an asset document for the content; uploading the same content
+   * again returns the existing asset, as Sanity does.
+   */
+  async uploadAsset(assetType, body, options = {}) {
+    if (!ASSET_DOCUMENT_TYPES[assetType]) {
+      throw createResponseError(400, `Invalid asset type: ${assetType}`);
+    }
+    await this.handleRequest({ operation: 'upload', assetType, filename: options.filename });
+
+    const buffer = await this.readBody(body);
+    const sha1hash = crypto.createHash('sha1').update(buffer).digest('hex');
+    const extension = (path.extname(options.filename || '').slice(1) || 'bin').toLowerCase();
+    const _id = `${assetType}-${sha1hash}-${extension}`;
+
+    const documents = this.getDataset();
+    if (!documents.has(_id)) {
+      const { projectId, dataset, assetBaseUrl = 'https://cdn.sanity.io' } = this.clientConfig;
+      const folder = assetType === 'image' ? 'images' : 'files';
+      documents.set(_id, this.stamp({
+        _id,
+        _type: ASSET_DOCUMENT_TYPES[assetType],
+        assetId: sha1hash,
+        sha1hash,
+        extension,
+        mimeType: options.contentType || MIME_TYPES[extension] || 'application/octet-stream',
+        originalFilename: options.filename,
+        size: buffer.length,
+        path: `${folder}/${projectId}/${dataset}/${sha1hash}.${extension}`,
+        url: `${assetBaseUrl}/${folder}/${projectId}/${dataset}/${sha1hash}.${extension}`,
+        ...(options.source && { source: options.source })
+      }));
+    }
+
+    return clone(documents.get(_id));
+  }
+}
+
+export function createMemoryClient(options) {
+  return new MemoryClient(options);
+}
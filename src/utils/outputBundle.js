@@ -0,0 +1,359 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { create, extract } from 'tar';
+import logger from './logger.js';
+import assetCache from './assetCache.js';
+import { transformer } from '../scripts/transform.js';
+
+export const OUTPUT_FORMATS = ['ndjson'];
+
+const ARCHIVE_EXTENSION = /\.(tar\.gz|tgz)$/i;
+const ASSET_REFERENCE = /^(image|file)@(.+)$/;
+const MANIFEST_NAME = 'assets-manifest.json';
+const BUNDLE_ENTRY = /^[^/]+\/(data\.ndjson|assets-manifest\.json)$/;
+
+// `sanity dataset import` creates or replaces whole documents, it cannot merge fields
+const IMPORT_FLAGS = {
+  create: '',
+  replace: ' --replace'
+};
+
+export class OutputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutputError';
+  }
+}
+
+/**
+ * Parses an output target such as `ndjson:listings.tar.gz`.
+ */
+export function parseOutputTarget(target) {
+  const [, format, file] = String(target).match(/^([a-z]+):(.+)$/i) || [];
+
+  if (!format || !OUTPUT_FORMATS.includes(format.toLowerCase())) {
+    throw new OutputError(
+      `Unsupported output target: ${target}. Supported targets: ${OUTPUT_FORMATS.map(name => `${name}:<file>`).join(', ')}`
+    );
+  }
+  if (!/\.ndjson$/i.test(file) && !ARCHIVE_EXTENSION.test(file)) {
+    throw new OutputError(`The ${format} output file must end in .ndjson, .tar.gz or .tgz: ${file}`);
+  }
+
+  return {
+    format: format.toLowerCase(),
+    file: path.resolve(file),
+    archive: ARCHIVE_EXTENSION.test(file)
+  };
+}
+
+/**
+ * Writes validated documents to a file that `sanity dataset import` reads,
+ * instead of committing them. Images stay `_sanityAsset` placeholders: remote
+ * ones keep their URL for the Sanity CLI to download, local files are copied
+ * into `images/` beside the data. An assets manifest lists every asset with
+ * its content hash and the documents that use it.
+ *
+ * A `.tar.gz` target bundles `data.ndjson`, `images/` and the manifest into
+ * one archive; an `.ndjson` target puts them next to the file.
+ */
+export class OutputBundle {
+  constructor(target, meta = {}) {
+    this.target = parseOutputTarget(target);
+    this.meta = meta;
+
+    if (meta.mode && !(meta.mode in IMPORT_FLAGS)) {
+      throw new OutputError(
+        `The ${meta.mode} mode keeps fields edited in the dataset, which an NDJSON import cannot do. ` +
+        `Use one of: ${Object.keys(IMPORT_FLAGS).join(', ')}`
+      );
+    }
+
+    this.handle = null;
+    this.stagingDir = null;
+    this.createdDir = null;
+    // Files and directories `close()` put beside the bundle so far
+    this.placed = [];
+    this.earlier = [];
+    this.assets = new Map();
+    this.count = 0;
+  }
+
+  get file() {
+    return this.target.file;
+  }
+
+  /**
+   * Starts writing into a staging directory: a temporary one for an archive,
+   * one beside the file otherwise, so `close()` can move it into place
+   * without copying and `abort()` removes everything this bundle wrote.
+   */
+  async open() {
+    const name = path.basename(this.file).replace(ARCHIVE_EXTENSION, '').replace(/\.ndjson$/i, '');
+    this.earlier = await this.readEarlierDocuments();
+
+    if (this.target.archive) {
+      this.stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sanity-bundle-'));
+      this.rootName = name;
+      this.baseDir = path.join(this.stagingDir, name);
+      this.dataFile = path.join(this.baseDir, 'data.ndjson');
+      this.manifestFile = path.join(this.baseDir, MANIFEST_NAME);
+    } else {
+      this.createdDir = await fs.mkdir(path.dirname(this.file), { recursive: true });
+      this.stagingDir = await fs.mkdtemp(path.join(path.dirname(this.file), `.${name}-`));
+      this.baseDir = this.stagingDir;
+      this.dataFile = path.join(this.baseDir, path.basename(this.file));
+      this.manifestFile = path.join(this.baseDir, `${name}.${MANIFEST_NAME}`);
+    }
+
+    await fs.mkdir(this.baseDir, { recursive: true });
+    this.handle = await fs.open(this.dataFile, 'w');
+
+    logger.info('Writing NDJSON bundle', { file: path.basename(this.file) });
+  }
+
+  /**
+   * Returns `_id`, `_type`, slug and title of the documents in the other
+   * bundles beside this one, so references can point at them. A `.ndjson`
+   * file is a bundle when its assets manifest is next to it, an archive when
+   * it holds one.
+   */
+  async readEarlierDocuments() {
+    const dir = path.dirname(this.file);
+    const names = (await fs.readdir(dir).catch(() => [])).sort();
+    const documents = [];
+
+    for (const name of names) {
+      const file = path.join(dir, name);
+      if (file === this.file) continue;
+
+      let dataFile;
+      let tempDir;
+      try {
+        if (/\.ndjson$/i.test(name) && names.includes(name.replace(/\.ndjson$/i, `.${MANIFEST_NAME}`))) {
+          dataFile = file;
+        } else if (ARCHIVE_EXTENSION.test(name)) {
+          // Only the data and the manifest, at the root of the archive
+          tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sanity-bundle-'));
+          await extract({
+            file,
+            cwd: tempDir,
+            filter: entry => BUNDLE_ENTRY.test(entry)
+          });
+          const [root] = await fs.readdir(tempDir);
+          const files = root ? await fs.readdir(path.join(tempDir, root)) : [];
+          if (files.includes('data.ndjson') && files.includes(MANIFEST_NAME)) {
+            dataFile = path.join(tempDir, root, 'data.ndjson');
+          }
+        }
+
+        if (!dataFile) continue;
+
+        for await (const { raw } of transformer.streamNDJSON(dataFile)) {
+          const { _id, _type, title, slug } = raw;
+          documents.push({ _id, _type, title, slug });
+        }
+      } catch (error) {
+        logger.warn('Skipping unreadable bundle', { file: name, error: error.message });
+      } finally {
+        if (tempDir) {
+          await fs.rm(tempDir, { recursive: true, force: true });
+        }
+      }
+    }
+
+    if (documents.length > 0) {
+      logger.info('Read documents of earlier bundles', { directory: dir, documents: documents.length });
+    }
+    return documents;
+  }
+
+  // Copies a local file into images/ under its content hash, like an export does
+  async addAsset(reference, docId) {
+    const [, assetType, location] = reference.match(ASSET_REFERENCE) || [];
+    if (!assetType) {
+      throw new OutputError(`Unsupported asset reference: ${reference}`);
+    }
+
+    if (!this.assets.has(reference)) {
+      this.assets.set(reference, (async () => {
+        if (!location.startsWith('file://')) {
+          return { assetType, source: location, location, documents: new Set() };
+        }
+
+        const filePath = location.slice('file://'.length);
+        const buffer = await fs.readFile(filePath);
+        const sha1 = assetCache.hash(buffer);
+        const filename = `${sha1}${path.extname(filePath).toLowerCase()}`;
+        const directory = assetType === 'image' ? 'images' : 'files';
+
+        await fs.mkdir(path.join(this.baseDir, directory), { recursive: true });
+        await fs.writeFile(path.join(this.baseDir, directory, filename), buffer);
+
+        return {
+          assetType,
+          source: filePath,
+          location: `file://./${directory}/${filename}`,
+          sha1,
+          size: buffer.length,
+          documents: new Set()
+        };
+      })());
+    }
+
+    const asset = await this.assets.get(reference);
+    asset.documents.add(docId);
+    return `${assetType}@${asset.location}`;
+  }
+
+  async relinkAssets(value, docId) {
+    if (Array.isArray(value)) {
+      return Promise.all(value.map(item => this.relinkAssets(item, docId)));
+    }
+
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    if (typeof value._sanityAsset === 'string') {
+      return { ...value, _sanityAsset: await this.addAsset(value._sanityAsset, docId) };
+    }
+
+    const entries = await Promise.all(
+      Object.entries(value).map(async ([key, item]) => [key, await this.relinkAssets(item, docId)])
+    );
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Appends `{ record, doc }` items and returns them like `commitDocuments`
+   * does. Items whose local images cannot be read are returned as failed.
+   */
+  async write(items) {
+    const committed = [];
+    const failed = [];
+
+    for (const item of items) {
+      let doc;
+      try {
+        doc = await this.relinkAssets(item.doc, item.doc._id);
+      } catch (error) {
+        failed.push({ ...item, error });
+        continue;
+      }
+
+      await this.handle.write(`${JSON.stringify(doc)}\n`);
+      this.count++;
+      committed.push(item);
+    }
+
+    return { committed, failed };
+  }
+
+  getImportCommand(dataset) {
+    const file = path.relative(process.cwd(), this.file) || this.file;
+    return `sanity dataset import ${file} ${dataset || '<dataset>'}${IMPORT_FLAGS[this.meta.mode] || ''}`;
+  }
+
+  /**
+   * Finishes the data file, writes the manifest and, for an archive, packs
+   * everything. Returns where the bundle is and what it holds. When it fails,
+   * `abort()` still removes what it had put in place.
+   */
+  async close(dataset) {
+    await this.handle.close();
+    this.handle = null;
+
+    const assets = await Promise.all(this.assets.values());
+    const importCommand = this.getImportCommand(dataset);
+
+    await fs.writeFile(this.manifestFile, JSON.stringify({
+      ...this.meta,
+      createdAt: new Date().toISOString(),
+      documents: this.count,
+      importCommand,
+      assets: assets.map(({ documents, ...asset }) => ({ ...asset, documents: [...documents] }))
+    }, null, 2));
+
+    if (this.target.archive) {
+      this.createdDir = await fs.mkdir(path.dirname(this.file), { recursive: true });
+      // Packed beside the file and renamed, so a failure never leaves half an archive
+      const tempFile = path.join(path.dirname(this.file), `.${path.basename(this.file)}.${process.pid}.tmp`);
+      this.placed.push(tempFile);
+      await create({ gzip: true, file: tempFile, cwd: this.stagingDir, portable: true }, [this.rootName]);
+      await fs.rename(tempFile, this.file);
+    } else {
+      await this.moveIntoPlace();
+    }
+
+    await fs.rm(this.stagingDir, { recursive: true, force: true });
+    this.stagingDir = null;
+    this.placed = [];
+
+    logger.info('NDJSON bundle written', {
+      file: path.basename(this.file),
+      documents: this.count,
+      assets: assets.length
+    });
+
+    return {
+      file: this.file,
+      manifest: this.target.archive ? undefined : path.join(path.dirname(this.file), path.basename(this.manifestFile)),
+      documents: this.count,
+      assets: assets.length,
+      importCommand
+    };
+  }
+
+  /**
+   * Moves a staged `.ndjson` bundle next to its file. Assets join the
+   * `images/` and `files/` other bundles there share; being named by their
+   * hash, one that is already there has the same content and is kept.
+   */
+  async moveIntoPlace() {
+    const targetDir = path.dirname(this.file);
+
+    for (const directory of ['images', 'files']) {
+      const names = await fs.readdir(path.join(this.baseDir, directory)).catch(() => []);
+      if (names.length === 0) continue;
+
+      const created = await fs.mkdir(path.join(targetDir, directory), { recursive: true });
+      if (created) {
+        this.placed.push(created);
+      }
+      for (const name of names) {
+        const target = path.join(targetDir, directory, name);
+        if (await fs.access(target).then(() => true, () => false)) continue;
+
+        await fs.rename(path.join(this.baseDir, directory, name), target);
+        this.placed.push(target);
+      }
+    }
+
+    const manifestFile = path.join(targetDir, path.basename(this.manifestFile));
+    await fs.rename(this.manifestFile, manifestFile);
+    this.placed.push(manifestFile);
+    await fs.rename(this.dataFile, this.file);
+  }
+
+  // Removes what was written so a failed run leaves no partial bundle behind
+  async abort() {
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+
+    if (this.stagingDir) {
+      await fs.rm(this.stagingDir, { recursive: true, force: true });
+      this.stagingDir = null;
+    }
+    for (const placed of this.placed.splice(0)) {
+      await fs.rm(placed, { recursive: true, force: true });
+    }
+    // Only a directory this bundle created, which then holds nothing else
+    if (this.createdDir) {
+      await fs.rm(this.createdDir, { recursive: true, force: true });
+    }
+  }
+}
@@ -0,0 +1,172 @@
+import logger from './logger.js';
+import uploadQueue from './uploadQueue.js';
+
+// How often the view refreshes on a terminal, and prints a line elsewhere
+const TTY_INTERVAL = 1000;
+const LINE_INTERVAL = 10000;
+
+export function formatDuration(ms) {
+  if (!Number.isFinite(ms)) return '--';
+
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Shows how far an import got: records processed, successes and failures,
+ * throughput, the image upload queue and the time remaining. On a terminal
+ * it redraws one line and keeps informational console logs out of its way;
+ * otherwise it prints a plain line every few seconds.
+ *
+ * The estimate uses the share of the input file read so far, so it works for
+ * streamed input whose record count is unknown. Callers that know the number
+ * of records can pass `total` instead.
+ */
+export class ProgressDisplay {
+  constructor(options = {}) {
+    this.stream = options.stream || process.stderr;
+    this.interactive = options.interactive ?? Boolean(this.stream.isTTY);
+    this.interval = options.interval || (this.interactive ? TTY_INTERVAL : LINE_INTERVAL);
+    this.timer = null;
+    this.drawn = false;
+  }
+
+  start({ label, total, totalBytes, startBytes = 0 } = {}) {
+    this.label = label;
+    this.total = total;
+    this.totalBytes = totalBytes;
+    this.startBytes = startBytes;
+    this.bytes = startBytes;
+    this.processed = 0;
+    this.success = 0;
+    this.failed = 0;
+    this.startedAt = Date.now();
+
+    if (this.interactive) {
+      // Per-batch info logs would scroll the view away, the log files keep them
+      this.previousLevel = logger.setConsoleLevel('warn');
+      logger.setConsoleGuard({
+        clear: () => this.clear(),
+        redraw: () => this.render()
+      });
+    }
+
+    this.timer = setInterval(() => this.render(), this.interval);
+    this.timer.unref();
+    this.render();
+  }
+
+  /**
+   * Takes the counts of the current run; `bytes` is the input offset reached.
+   */
+  update({ processed, success, failed, bytes }) {
+    this.processed = processed;
+    this.success = success;
+    this.failed = failed;
+    if (bytes !== undefined) {
+      this.bytes = bytes;
+    }
+
+    if (this.interactive) {
+      this.render();
+    }
+  }
+
+  getSnapshot() {
+    const elapsedMs = Date.now() - this.startedAt;
+    const rate = elapsedMs > 0 ? (this.processed / elapsedMs) * 1000 : 0;
+
+    let fraction;
+    if (this.total) {
+      fraction = this.processed / this.total;
+    } else if (this.totalBytes) {
+      fraction = this.bytes / this.totalBytes;
+    }
+
+    // Only what this run read counts towards the speed of a resumed import
+    let etaMs;
+    if (this.total && rate > 0) {
+      etaMs = ((this.total - this.processed) / rate) * 1000;
+    } else if (this.totalBytes && this.bytes > this.startBytes) {
+      etaMs = ((this.totalBytes - this.bytes) / (this.bytes - this.startBytes)) * elapsedMs;
+    }
+
+    const { active, queued } = uploadQueue.getStats();
+
+    return {
+      processed: this.processed,
+      success: this.success,
+      failed: this.failed,
+      rate,
+      percent: fraction === undefined ? undefined : Math.min(100, fraction * 100),
+      elapsedMs,
+      etaMs,
+      uploadsActive: active,
+      uploadsQueued: queued
+    };
+  }
+
+  format(snapshot) {
+    const parts = [
+      `${snapshot.processed.toLocaleString('en-US')} records`,
+      `${snapshot.success.toLocaleString('en-US')} ok`,
+      `${snapshot.failed.toLocaleString('en-US')} failed`,
+      `${snapshot.rate.toFixed(1)}/s`
+    ];
+
+    if (snapshot.percent !== undefined) {
+      parts.push(`${snapshot.percent.toFixed(0)}%`);
+    }
+    parts.push(`ETA ${formatDuration(snapshot.etaMs)}`);
+    parts.push(`uploads ${snapshot.uploadsActive} active, ${snapshot.uploadsQueued} queued`);
+
+    return `${this.label ? `${this.label}: ` : ''}${parts.join(' | ')}`;
+  }
+
+  clear() {
+    if (this.interactive && this.drawn) {
+      this.stream.write('\r\x1b[K');
+      this.drawn = false;
+    }
+  }
+
+  render() {
+    if (!this.startedAt) return;
+
+    const line = this.format(this.getSnapshot());
+    if (this.interactive) {
+      const width = this.stream.columns || 120;
+      this.stream.write(`\r\x1b[K${line.slice(0, width - 1)}`);
+      this.drawn = true;
+    } else {
+      this.stream.write(`[progress] ${line}\n`);
+    }
+  }
+
+  /**
+   * Prints the final state on its own line and gives the console back to
+   * the logger.
+   */
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.interactive) {
+      this.render();
+      this.stream.write('\n');
+      this.drawn = false;
+      logger.setConsoleGuard(null);
+      logger.setConsoleLevel(this.previousLevel);
+    } else {
+      this.render();
+    }
+  }
+}
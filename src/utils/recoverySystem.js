@@ -1,12 +1,47 @@
 import fs from 'fs/promises';
+import { createReadStream } from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
 import logger from './logger.js';
+import config from './config.js';
+import { ERROR_CATEGORIES, classifyError, getRetryAfter } from './errorClassifier.js';
+
+// Upper bound for a single backoff delay
+const MAX_RETRY_DELAY = 60000;
+
+export class CheckpointError extends Error {
+  constructor(message, checkpoint) {
+    super(message);
+    this.name = 'CheckpointError';
+    this.checkpoint = checkpoint;
+  }
+}
 
 class RecoverySystem {
-  constructor() {
-    this.checkpointDir = path.join(process.cwd(), 'checkpoints');
-    this.maxRetries = 3;
-    this.retryDelay = 1000;
+  // Resolved on use, relative to where the tool runs like runs/ and dead-letters/
+  get checkpointDir() {
+    return path.join(process.cwd(), 'checkpoints');
+  }
+
+  getRetrySettings() {
+    const { import: importConfig } = config.get();
+    return {
+      maxRetries: importConfig.maxRetries ?? 3,
+      retryDelay: importConfig.retryDelay ?? 1000
+    };
+  }
+
+  /**
+   * Exponential backoff with jitter, never shorter than what the server asked
+   * for through `Retry-After`.
+   */
+  getRetryDelay(attempt, error, retryDelay) {
+    const backoff = Math.min(MAX_RETRY_DELAY, retryDelay * 2 ** (attempt - 1));
+    const jittered = backoff / 2 + Math.random() * (backoff / 2);
+    const retryAfter = getRetryAfter(error);
+
+    return Math.round(retryAfter === undefined ? jittered : Math.max(retryAfter, jittered));
   }
 
   async initialize() {
@@ -20,28 +55,74 @@ class RecoverySystem {
     );
   }
 
-  async saveCheckpoint(type, data, progress) {
+  async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(createReadStream(filePath), hash);
+    return hash.digest('hex');
+  }
+
+  /**
+   * Writes next to the target and renames, so a crash mid-write never leaves
+   * a truncated checkpoint behind.
+   */
+  async writeAtomic(filename, content) {
+    const tempFile = path.join(
+      path.dirname(filename),
+      `.${path.basename(filename)}.${process.pid}.tmp`
+    );
+
+    try {
+      await fs.writeFile(tempFile, content);
+      await fs.rename(tempFile, filename);
+    } catch (error) {
+      await fs.rm(tempFile, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Records how far an import got in its source file. Only the position is
+   * stored, never the records themselves, so checkpoints stay small. The
+   * input hash, options and the project and dataset written to let a resume
+   * check it continues the same import.
+   */
+  async saveCheckpoint(type, {
+    inputPath,
+    inputHash,
+    options,
+    processedCount,
+    position,
+    results,
+    completed = false
+  }) {
     try {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const filename = this.generateCheckpointFilename(type, timestamp);
+      const { projectId, dataset } = config.get().sanity;
 
       const checkpoint = {
         timestamp,
         type,
-        progress,
-        remainingData: data.slice(progress),
-        processedCount: progress,
-        totalCount: data.length
+        target: { projectId, dataset },
+        inputPath: inputPath && path.resolve(inputPath),
+        inputHash,
+        options,
+        progress: processedCount,
+        processedCount,
+        position,
+        completed,
+        results: results && {
+          success: results.success,
+          failed: results.failed
+        }
       };
 
-      await fs.writeFile(
-        filename,
-        JSON.stringify(checkpoint, null, 2)
-      );
+      await this.writeAtomic(filename, JSON.stringify(checkpoint, null, 2));
 
       logger.info('Checkpoint saved', {
         type,
-        progress,
+        progress: processedCount,
+        row: position?.row,
         filename: path.basename(filename)
       });
 
@@ -56,7 +137,7 @@ class RecoverySystem {
     try {
       const files = await fs.readdir(this.checkpointDir);
       const checkpointFiles = files
-        .filter(file => file.startsWith(`checkpoint_${type}_`))
+        .filter(file => file.startsWith(`checkpoint_${type}_`) && file.endsWith('.json'))
         .sort()
         .reverse();
 
@@ -111,32 +192,44 @@ class RecoverySystem {
   }
 
   async retryOperation(operation, context) {
+    const { maxRetries, retryDelay } = this.getRetrySettings();
     let lastError;
-    
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         return await operation();
       } catch (error) {
         lastError = error;
-        logger.warn('Operation failed, retrying', {
-          attempt,
-          maxRetries: this.maxRetries,
-          error: error.message,
-          context
-        });
-
-        if (attempt < this.maxRetries) {
-          await new Promise(resolve => 
-            setTimeout(resolve, this.retryDelay * attempt)
-          );
+        const category = classifyError(error);
+
+        // Rejected requests fail the same way every time
+        if (category === ERROR_CATEGORIES.FATAL) {
+          throw error;
+        }
+
+        if (attempt < maxRetries) {
+          const delay = this.getRetryDelay(attempt, error, retryDelay);
+          logger.warn('Operation failed, retrying', {
+            attempt,
+            maxRetries,
+            category,
+            delay,
+            error: error.message,
+            context
+          });
+
+          await new Promise(resolve => setTimeout(resolve, delay));
         }
       }
     }
 
-    throw new Error(
-      `Operation failed after ${this.maxRetries} attempts: ${lastError.message}`
+    const error = new Error(
+      `Operation failed after ${maxRetries} attempts: ${lastError.message}`,
+      { cause: lastError }
     );
+    error.category = classifyError(lastError);
+    throw error;
   }
 }
 
-export default new RecoverySystem(); 
\ No newline at end of file
+export default new RecoverySystem();
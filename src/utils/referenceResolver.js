@@ -0,0 +1,256 @@
+import logger from './logger.js';
+import config from './config.js';
+import sanityClient from './sanityClient.js';
+import { ValidationError, validators } from './validation.js';
+import { generateDocumentId } from './importModes.js';
+import typeRegistry from '../importers/typeRegistry.js';
+
+export const UNRESOLVED_POLICIES = ['fail', 'warn'];
+const DEFAULT_MATCH_BY = ['id', 'key', 'slug', 'title'];
+
+// Keeps each query's parameters well below request size limits
+const MAX_VALUES_PER_QUERY = 500;
+
+/**
+ * Resolves reference values to document IDs. Values are looked up in bulk,
+ * one query per batch, and everything seen during a run is kept in an index
+ * together with the documents the run has written itself.
+ */
+class ReferenceResolver {
+  constructor() {
+    this.reset();
+  }
+
+  // Forget everything so the next run sees fresh data
+  reset() {
+    this.index = {
+      ids: new Map(),
+      slugs: new Map(),
+      titles: new Map()
+    };
+    this.checked = new Set();
+    this.pending = new Map();
+  }
+
+  getSettings(options = {}) {
+    const { import: importConfig } = config.get();
+    const settings = importConfig.references || {};
+    const onUnresolved = options.onUnresolved || settings.onUnresolved || 'fail';
+
+    if (!UNRESOLVED_POLICIES.includes(onUnresolved)) {
+      throw new ValidationError(
+        `Unsupported unresolved reference policy: ${onUnresolved}. Supported policies: ${UNRESOLVED_POLICIES.join(', ')}`,
+        'onUnresolved',
+        onUnresolved
+      );
+    }
+
+    return {
+      onUnresolved,
+      matchBy: settings.matchBy || DEFAULT_MATCH_BY
+    };
+  }
+
+  normalize(value) {
+    return String(value).trim().toLowerCase();
+  }
+
+  // Documents imported by this tool carry IDs derived from their key
+  getDerivedIds(type, value) {
+    const keys = new Set(['id', typeRegistry.getIdKey(type)]);
+    return [...keys].map(key => generateDocumentId(type, key, value));
+  }
+
+  /**
+   * The ID this tool gives a document of `type` whose ID key has `value`,
+   * for references that cannot be looked up. A slug key is slugified first,
+   * so a title resolves like the slug generated from it.
+   */
+  getOfflineId(type, value) {
+    const idKey = typeRegistry.getIdKey(type);
+    const key = idKey === 'slug' ? validators.generateSlug(value, 'slug').current : value;
+    return generateDocumentId(type, idKey, key);
+  }
+
+  // Offline, a value shaped like an ID of the type is taken as a document's `_id`
+  isDocumentId(type, value) {
+    return /^[\w][\w.-]*$/.test(value) && value.startsWith(`${type}-`);
+  }
+
+  /**
+   * Adds a document to the index, either from a query result or because the
+   * current run has just written it.
+   */
+  remember(doc) {
+    const { ids, slugs, titles } = this.index;
+    const slug = typeof doc.slug === 'object' ? doc.slug?.current : doc.slug;
+
+    ids.set(doc._id, doc._type);
+
+    if (slug) {
+      slugs.set(`${doc._type}:${this.normalize(slug)}`, doc._id);
+    }
+
+    if (doc.title) {
+      const key = `${doc._type}:${this.normalize(doc.title)}`;
+      const existing = titles.get(key);
+      // Titles are not unique, remember clashes so they never resolve silently
+      titles.set(key, existing === undefined || existing === doc._id ? doc._id : null);
+    }
+  }
+
+  /**
+   * Looks up every `{ type, value }` pair not seen before in this run, with
+   * one query per chunk of values.
+   */
+  async prefetch(references) {
+    const unchecked = new Map();
+    for (const { type, value } of references) {
+      if (value === undefined || value === null || value === '') continue;
+
+      const key = `${type}:${this.normalize(value)}`;
+      if (!this.checked.has(key)) {
+        unchecked.set(key, { type, value: String(value) });
+      }
+    }
+
+    const entries = [...unchecked.entries()];
+    for (let i = 0; i < entries.length; i += MAX_VALUES_PER_QUERY) {
+      await this.fetchChunk(entries.slice(i, i + MAX_VALUES_PER_QUERY));
+    }
+  }
+
+  async fetchChunk(entries) {
+    const ids = new Set();
+    const types = new Set();
+    const values = new Set();
+
+    for (const [, { type, value }] of entries) {
+      ids.add(value);
+      this.getDerivedIds(type, value).forEach(id => ids.add(id));
+      types.add(type);
+      values.add(this.normalize(value));
+    }
+
+    const documents = await sanityClient.fetch(
+      `*[!(_id in path("drafts.**")) && (
+        _id in $ids ||
+        (_type in $types && (lower(slug.current) in $values || lower(title) in $values))
+      )]{ _id, _type, title, "slug": slug.current }`,
+      { ids: [...ids], types: [...types], values: [...values] }
+    );
+
+    documents.forEach(doc => this.remember(doc));
+    entries.forEach(([key]) => this.checked.add(key));
+
+    logger.debug('Reference values looked up', {
+      values: entries.length,
+      documents: documents.length
+    });
+  }
+
+  async ensureChecked(type, value) {
+    const key = `${type}:${this.normalize(value)}`;
+    if (this.checked.has(key)) return;
+
+    // Values outside a prefetched batch share one query per value
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.prefetch([{ type, value }])
+        .finally(() => this.pending.delete(key)));
+    }
+    await this.pending.get(key);
+  }
+
+  findMatch(type, value, settings) {
+    const { ids, slugs, titles } = this.index;
+    const normalized = `${type}:${this.normalize(value)}`;
+
+    for (const strategy of settings.matchBy) {
+      switch (strategy) {
+        case 'id':
+          if (ids.get(value) === type) return { id: value };
+          break;
+        case 'key': {
+          const derivedId = this.getDerivedIds(type, value).find(id => ids.get(id) === type);
+          if (derivedId) return { id: derivedId };
+          break;
+        }
+        case 'slug':
+          if (slugs.has(normalized)) return { id: slugs.get(normalized) };
+          break;
+        case 'title':
+          if (titles.get(normalized) === null) {
+            return { ambiguous: true };
+          }
+          if (titles.has(normalized)) return { id: titles.get(normalized) };
+          break;
+        default:
+          throw new ValidationError(`Unknown reference match strategy: ${strategy}`, 'matchBy', strategy);
+      }
+    }
+
+    return {};
+  }
+
+  async resolve(type, value, field, options = {}) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const settings = this.getSettings(options);
+
+    // Offline nothing is looked up, only the documents of this run's and
+    // earlier bundles are known
+    if (!options.offline) {
+      await this.ensureChecked(type, value);
+    }
+    const match = this.findMatch(type, value, settings);
+
+    if (options.offline && !match.id && !match.ambiguous) {
+      if (settings.matchBy.includes('id') && this.isDocumentId(type, String(value))) {
+        // Expected to be in the dataset the bundle is imported into
+        match.id = String(value);
+      } else if (options.deriveReferences) {
+        // Expected to be imported by this tool under its derived ID
+        match.id = this.getOfflineId(type, value);
+      }
+    }
+
+    if (match.id) {
+      return {
+        _type: 'reference',
+        _ref: match.id
+      };
+    }
+
+    let message = `Referenced ${type} "${value}" not found`;
+    if (match.ambiguous) {
+      message = `Referenced ${type} "${value}" matches more than one document by title`;
+    } else if (options.offline) {
+      message += ' in this or an earlier bundle';
+    }
+
+    if (settings.onUnresolved === 'fail') {
+      throw new ValidationError(message, field, value);
+    }
+
+    logger.warn('Dropping unresolved reference', { type, field, value, reason: message });
+    return null;
+  }
+
+  async resolveMany(type, values, field, options = {}) {
+    if (!values || !values.length) return [];
+
+    const references = await Promise.all(
+      values.map(value => this.resolve(type, value, field, options))
+    );
+
+    // Array items need a unique _key, so listing the same target twice keeps one
+    const unique = new Map();
+    references.filter(Boolean).forEach(reference => {
+      unique.set(reference._ref, { _key: reference._ref, ...reference });
+    });
+
+    return [...unique.values()];
+  }
+}
+
+export default new ReferenceResolver();
@@ -0,0 +1,305 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import logger from './logger.js';
+import config from './config.js';
+import sanityClient from './sanityClient.js';
+import recoverySystem from './recoverySystem.js';
+import imageHandler from './imageHandler.js';
+import assetCache from './assetCache.js';
+import { commitItems } from './importModes.js';
+import { batchRecords } from './batching.js';
+
+export class RunError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RunError';
+  }
+}
+
+// Assigned by Sanity, a restored document gets new ones
+const SYSTEM_FIELDS = ['_rev', '_createdAt', '_updatedAt'];
+
+function getRunsDirectory() {
+  return path.join(process.cwd(), 'runs');
+}
+
+/**
+ * Records what one import run changed: the documents it created, the
+ * previous version of every document it replaced and the assets it uploaded.
+ * Saved after every batch, so an interrupted run can be rolled back too.
+ */
+export class RunManifest {
+  constructor(command, details = {}) {
+    const { sanity } = config.get();
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+
+    this.data = {
+      runId: `${timestamp}-${crypto.randomBytes(3).toString('hex')}`,
+      command,
+      projectId: sanity.projectId,
+      dataset: sanity.dataset,
+      ...details,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      results: null,
+      created: [],
+      replaced: [],
+      assets: []
+    };
+    this.recorded = new Set();
+  }
+
+  get runId() {
+    return this.data.runId;
+  }
+
+  get filename() {
+    return path.join(getRunsDirectory(), `${this.runId}.json`);
+  }
+
+  async start() {
+    // Only assets uploaded from here on belong to this run
+    imageHandler.takeUploads();
+    await this.save();
+
+    logger.info('Recording import run', { runId: this.runId });
+    return this;
+  }
+
+  /**
+   * Fetches the current version of documents about to be written, so a
+   * rollback can put them back.
+   */
+  async snapshot(ids) {
+    if (ids.length === 0) return new Map();
+
+    const documents = await sanityClient.fetch('*[_id in $ids]', { ids });
+    return new Map(documents.map(doc => [doc._id, doc]));
+  }
+
+  /**
+   * Records committed documents as replaced when `previous` has a version of
+   * them, created otherwise. The first write of a document in a run wins.
+   */
+  recordDocuments(ids, previous = new Map()) {
+    for (const id of ids) {
+      if (this.recorded.has(id)) continue;
+      this.recorded.add(id);
+
+      const document = previous.get(id);
+      if (document) {
+        this.data.replaced.push({ _id: id, revision: document._rev, document });
+      } else {
+        this.data.created.push(id);
+      }
+    }
+  }
+
+  async save() {
+    this.data.assets.push(...imageHandler.takeUploads());
+
+    await fs.mkdir(getRunsDirectory(), { recursive: true });
+    await recoverySystem.writeAtomic(this.filename, JSON.stringify(this.data, null, 2));
+  }
+
+  async finish(status, results) {
+    this.data.status = status;
+    this.data.finishedAt = new Date().toISOString();
+    if (results) {
+      this.data.results = { success: results.success, failed: results.failed };
+    }
+    await this.save();
+  }
+}
+
+/**
+ * Lists the manifests of past runs and rolls a run back.
+ */
+class RunHistory {
+  async begin(command, details) {
+    // A run writes to the dataset, so missing credentials fail before it starts
+    sanityClient.ensureClient();
+    return new RunManifest(command, details).start();
+  }
+
+  summarize(run) {
+    return {
+      runId: run.runId,
+      command: run.command,
+      type: run.type,
+      inputPath: run.inputPath,
+      dataset: run.dataset,
+      status: run.status,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      created: run.created.length,
+      replaced: run.replaced.length,
+      assets: run.assets.length
+    };
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(getRunsDirectory());
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const runs = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const run = JSON.parse(await fs.readFile(path.join(getRunsDirectory(), file), 'utf-8'));
+        runs.push(this.summarize(run));
+      } catch (error) {
+        logger.warn('Skipping unreadable run manifest', { file, error: error.message });
+      }
+    }
+
+    return runs.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  async load(runId) {
+    if (!/^[\w-]+$/.test(runId)) {
+      throw new RunError(`Invalid run ID: ${runId}`);
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(path.join(getRunsDirectory(), `${runId}.json`), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new RunError(`No run found with ID ${runId}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Commits `items` in batches, collecting what failed instead of stopping.
+   */
+  async commitAll(items, addItem, summary, counter) {
+    const { import: importConfig } = config.get();
+
+    for await (const batch of batchRecords(items, importConfig.batchSize)) {
+      try {
+        const { committed, failed } = await commitItems(batch, addItem);
+        summary[counter] += committed.length;
+        summary.failed += failed.length;
+        summary.errors.push(...failed.map(({ _id, error }) => ({ _id, error: error.message })));
+      } catch (error) {
+        summary.failed += batch.length;
+        summary.errors.push(...batch.map(({ _id }) => ({ _id, error: error.message })));
+      }
+    }
+  }
+
+  /**
+   * Undoes a run: restores the documents it replaced, deletes the ones it
+   * created and then the uploaded assets no document references any more.
+   * Documents edited after the run are overwritten with their version from
+   * before it. With `dryRun`, only reports what would be done.
+   */
+  async rollback(runId, options = {}) {
+    try {
+      const run = await this.load(runId);
+      const { sanity } = config.get();
+
+      if (run.projectId !== sanity.projectId || run.dataset !== sanity.dataset) {
+        throw new RunError(
+          `Run ${runId} wrote to ${run.projectId}/${run.dataset}, not ${sanity.projectId}/${sanity.dataset}`
+        );
+      }
+      if (run.status === 'rolled-back') {
+        throw new RunError(`Run ${runId} was already rolled back at ${run.rollback.finishedAt}`);
+      }
+      if (run.status === 'running') {
+        logger.warn('Rolling back a run that never finished', { runId });
+      }
+
+      const summary = { runId, restored: 0, deleted: 0, assetsDeleted: 0, failed: 0, errors: [] };
+
+      if (options.dryRun) {
+        return {
+          ...summary,
+          dryRun: true,
+          restored: run.replaced.length,
+          deleted: run.created.length,
+          assetsDeleted: run.assets.length
+        };
+      }
+
+      logger.info('Rolling back run', {
+        runId,
+        replaced: run.replaced.length,
+        created: run.created.length,
+        assets: run.assets.length
+      });
+
+      // Restore first, the previous versions may stop referencing created documents
+      await this.commitAll(
+        run.replaced.map(({ _id, document }) => ({
+          _id,
+          doc: Object.fromEntries(
+            Object.entries(document).filter(([key]) => !SYSTEM_FIELDS.includes(key))
+          )
+        })),
+        (transaction, { doc }) => transaction.createOrReplace(doc),
+        summary,
+        'restored'
+      );
+
+      await this.commitAll(
+        run.created.map(_id => ({ _id })),
+        (transaction, { _id }) => transaction.delete(_id),
+        summary,
+        'deleted'
+      );
+
+      const unreferenced = run.assets.length > 0
+        ? await sanityClient.fetch(
+          '*[_id in $ids && count(*[references(^._id)]) == 0]._id',
+          { ids: run.assets }
+        )
+        : [];
+
+      await this.commitAll(
+        unreferenced.map(_id => ({ _id })),
+        (transaction, { _id }) => transaction.delete(_id),
+        summary,
+        'assetsDeleted'
+      );
+
+      // Deleted assets must not be handed out from the cache again
+      const failed = new Set(summary.errors.map(({ _id }) => _id));
+      await assetCache.forgetAssets(unreferenced.filter(id => !failed.has(id)));
+      await assetCache.save();
+
+      // A partial rollback can be run again, restoring and deleting is idempotent
+      run.rollback = { ...summary, finishedAt: new Date().toISOString() };
+      if (summary.failed === 0) {
+        run.status = 'rolled-back';
+      }
+      await recoverySystem.writeAtomic(
+        path.join(getRunsDirectory(), `${runId}.json`),
+        JSON.stringify(run, null, 2)
+      );
+
+      logger.info('Rollback finished', {
+        runId,
+        restored: summary.restored,
+        deleted: summary.deleted,
+        assetsDeleted: summary.assetsDeleted,
+        failed: summary.failed
+      });
+      return summary;
+    } catch (error) {
+      logger.error('Rollback failed', { runId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+export default new RunHistory();
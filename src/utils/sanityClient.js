@@ -1,37 +1,119 @@
 import { createClient } from '@sanity/client';
 import config from './config.js';
 import logger from './logger.js';
+import recoverySystem from './recoverySystem.js';
+import {
+  ERROR_CATEGORIES,
+  classifyError,
+  getStatusCode,
+  getRetryAfter
+} from './errorClassifier.js';
 
-class SanityClientError extends Error {
-  constructor(message) {
-    super(message);
+export class SanityClientError extends Error {
+  constructor(message, cause) {
+    super(message, cause ? { cause } : undefined);
     this.name = 'SanityClientError';
+    if (cause) {
+      this.statusCode = getStatusCode(cause);
+      this.category = classifyError(cause);
+    }
+  }
+}
+
+// Spacing between request starts grows on 429s and shrinks again on success
+const MAX_REQUEST_INTERVAL = 5000;
+const MIN_BACKOFF_INTERVAL = 100;
+
+class AdaptiveThrottle {
+  constructor() {
+    this.interval = 0;
+    this.nextSlot = 0;
+    this.pausedUntil = 0;
+  }
+
+  async wait() {
+    const now = Date.now();
+    const start = Math.max(now, this.nextSlot, this.pausedUntil);
+    this.nextSlot = start + this.interval;
+
+    if (start > now) {
+      await new Promise(resolve => setTimeout(resolve, start - now));
+    }
+  }
+
+  onSuccess() {
+    if (this.interval === 0) return;
+
+    this.interval = Math.floor(this.interval * 0.9);
+    if (this.interval < MIN_BACKOFF_INTERVAL / 2) {
+      this.interval = 0;
+      logger.info('Request throttle lifted');
+    }
+  }
+
+  onRateLimited(retryAfter) {
+    this.interval = Math.min(
+      MAX_REQUEST_INTERVAL,
+      Math.max(MIN_BACKOFF_INTERVAL, this.interval * 2)
+    );
+    if (retryAfter) {
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + retryAfter);
+    }
+
+    logger.warn('Rate limited by Sanity, slowing down requests', {
+      interval: this.interval,
+      retryAfter
+    });
   }
 }
 
 class SanityClientManager {
   constructor() {
-    this.initializeClient();
+    this.throttle = new AdaptiveThrottle();
+    this.instance = null;
+  }
+
+  // Created from the configuration on first use, unless one was set
+  get client() {
+    if (!this.instance) {
+      this.initializeClient();
+    }
+    return this.instance;
+  }
+
+  /**
+   * Sends requests through an existing `@sanity/client` instance, still
+   * throttled and retried. Without one, the next request creates a client
+   * from the configuration again.
+   */
+  setClient(client) {
+    this.instance = client || null;
+    this.throttle = new AdaptiveThrottle();
+  }
+
+  // The client and its rate limit state, for the API to swap between importers
+  getState() {
+    return { instance: this.instance, throttle: this.throttle };
+  }
+
+  setState({ instance, throttle }) {
+    this.instance = instance;
+    this.throttle = throttle;
+  }
+
+  // Creates the client now, so missing credentials fail before any work is done
+  ensureClient() {
+    return this.client;
   }
 
   initializeClient() {
+    // A missing token is a configuration problem, reported as such
+    config.requireCredentials();
+
     try {
       const { sanity } = config.get();
       
-      // Validate required configuration
-      this.validateConfig(sanity);
-
-      this.client = createClient({
-        projectId: sanity.projectId,
-        dataset: sanity.dataset,
-        token: sanity.token,
-        apiVersion: sanity.apiVersion,
-        useCdn: false,
-        timeout: 60000
-      });
-
-      // Test the connection
-      this.validateConnection();
+      this.instance = this.createClientFor(sanity);
 
       logger.info('Sanity client initialized successfully');
     } catch (error) {
@@ -40,6 +122,27 @@ class SanityClientManager {
     }
   }
 
+  /**
+   * Creates a client from Sanity settings other than the configured ones,
+   * such as the source project of a copy. Send its requests through
+   * `request()` to have them throttled and retried too.
+   */
+  createClientFor(sanity) {
+    // Validate required configuration
+    this.validateConfig(sanity);
+
+    return createClient({
+      projectId: sanity.projectId,
+      dataset: sanity.dataset,
+      token: sanity.token,
+      apiVersion: sanity.apiVersion,
+      useCdn: false,
+      timeout: 60000,
+      // Retries are handled by request() so they can be classified and throttled
+      maxRetries: 0
+    });
+  }
+
   validateConfig(config) {
     const requiredFields = {
       projectId: 'SANITY_PROJECT_ID',
@@ -64,57 +167,105 @@ class SanityClientManager {
       logger.debug('Successfully validated Sanity connection');
     } catch (error) {
       throw new SanityClientError(
-        `Failed to connect to Sanity: ${error.message}. Please check your credentials and network connection.`
+        `Failed to connect to Sanity: ${error.message}. Please check your credentials and network connection.`,
+        error
       );
     }
   }
 
-  async createTransaction() {
-    return this.client.transaction();
+  /**
+   * Runs a Sanity API call through the adaptive throttle, retrying rate
+   * limits and server errors with backoff. Other errors fail immediately.
+   */
+  async request(operation, context = {}) {
+    return recoverySystem.retryOperation(async () => {
+      await this.throttle.wait();
+
+      try {
+        const result = await operation();
+        this.throttle.onSuccess();
+        return result;
+      } catch (error) {
+        if (classifyError(error) === ERROR_CATEGORIES.RATE_LIMITED) {
+          this.throttle.onRateLimited(getRetryAfter(error));
+        }
+        throw error;
+      }
+    }, context);
+  }
+
+  createTransaction() {
+    const transaction = this.client.transaction();
+    const commit = transaction.commit.bind(transaction);
+
+    transaction.commit = options => this.request(
+      () => commit(options),
+      { operation: 'commit' }
+    );
+
+    return transaction;
+  }
+
+  async uploadAsset(assetType, body, options = {}) {
+    try {
+      return await this.request(
+        () => this.client.assets.upload(assetType, body, options),
+        { operation: 'upload', filename: options.filename }
+      );
+    } catch (error) {
+      logger.error('Failed to upload asset:', { assetType, filename: options.filename, error: error.message });
+      throw new SanityClientError(`Failed to upload asset: ${error.message}`, error);
+    }
   }
 
   async fetch(query, params) {
     try {
-      return await this.client.fetch(query, params);
+      return await this.request(() => this.client.fetch(query, params), { operation: 'fetch' });
     } catch (error) {
       logger.error('Sanity query failed:', { query, params, error: error.message });
-      throw new SanityClientError(`Failed to execute Sanity query: ${error.message}`);
+      throw new SanityClientError(`Failed to execute Sanity query: ${error.message}`, error);
     }
   }
 
   async create(document, options = {}) {
     try {
-      return await this.client.create(document, options);
+      return await this.request(() => this.client.create(document, options), { operation: 'create' });
     } catch (error) {
       logger.error('Failed to create document:', { document, error: error.message });
-      throw new SanityClientError(`Failed to create document: ${error.message}`);
+      throw new SanityClientError(`Failed to create document: ${error.message}`, error);
     }
   }
 
   async createOrReplace(document, options = {}) {
     try {
-      return await this.client.createOrReplace(document, options);
+      return await this.request(
+        () => this.client.createOrReplace(document, options),
+        { operation: 'createOrReplace' }
+      );
     } catch (error) {
       logger.error('Failed to create or replace document:', { document, error: error.message });
-      throw new SanityClientError(`Failed to create or replace document: ${error.message}`);
+      throw new SanityClientError(`Failed to create or replace document: ${error.message}`, error);
     }
   }
 
   async patch(documentId, operations) {
     try {
-      return await this.client.patch(documentId).set(operations).commit();
+      return await this.request(
+        () => this.client.patch(documentId).set(operations).commit(),
+        { operation: 'patch' }
+      );
     } catch (error) {
       logger.error('Failed to patch document:', { documentId, operations, error: error.message });
-      throw new SanityClientError(`Failed to patch document: ${error.message}`);
+      throw new SanityClientError(`Failed to patch document: ${error.message}`, error);
     }
   }
 
   async delete(documentId) {
     try {
-      return await this.client.delete(documentId);
+      return await this.request(() => this.client.delete(documentId), { operation: 'delete' });
     } catch (error) {
       logger.error('Failed to delete document:', { documentId, error: error.message });
-      throw new SanityClientError(`Failed to delete document: ${error.message}`);
+      throw new SanityClientError(`Failed to delete document: ${error.message}`, error);
     }
   }
 }
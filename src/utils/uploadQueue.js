@@ -0,0 +1,108 @@
+import config from './config.js';
+
+/**
+ * Shared queue for asset downloads and uploads. A batch validates its records
+ * in parallel, so without it every image of every record would start at once.
+ *
+ * Jobs run when fewer than `api.concurrentRequests` are active overall and
+ * fewer than `assets.perHostConcurrency` are active for the job's host.
+ */
+class UploadQueue {
+  constructor() {
+    this.active = 0;
+    this.hostActive = new Map();
+    this.waiting = [];
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      peakActive: 0,
+      peakQueued: 0,
+      totalWaitMs: 0
+    };
+  }
+
+  getStats() {
+    const { completed, failed, totalWaitMs, ...stats } = this.stats;
+    const finished = completed + failed;
+
+    return {
+      completed,
+      failed,
+      ...stats,
+      averageWaitMs: finished ? Math.round(totalWaitMs / finished) : 0,
+      active: this.active,
+      queued: this.waiting.length
+    };
+  }
+
+  getLimits() {
+    const { api, assets } = config.get();
+    return {
+      concurrency: api?.concurrentRequests || 5,
+      perHost: assets?.perHostConcurrency || 2
+    };
+  }
+
+  /**
+   * Runs `task` once a slot is free. Jobs without a host, such as local files,
+   * only count towards the global limit.
+   */
+  run(host, task) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ host, task, resolve, reject, queuedAt: Date.now() });
+      this.stats.peakQueued = Math.max(this.stats.peakQueued, this.waiting.length);
+      this.next();
+    });
+  }
+
+  canStart(job, limits) {
+    return !job.host || (this.hostActive.get(job.host) || 0) < limits.perHost;
+  }
+
+  next() {
+    const limits = this.getLimits();
+
+    while (this.active < limits.concurrency) {
+      const index = this.waiting.findIndex(job => this.canStart(job, limits));
+      if (index === -1) break;
+
+      const [job] = this.waiting.splice(index, 1);
+      this.start(job);
+    }
+  }
+
+  async start(job) {
+    this.active++;
+    if (job.host) {
+      this.hostActive.set(job.host, (this.hostActive.get(job.host) || 0) + 1);
+    }
+    this.stats.peakActive = Math.max(this.stats.peakActive, this.active);
+    this.stats.totalWaitMs += Date.now() - job.queuedAt;
+
+    try {
+      const result = await job.task();
+      this.stats.completed++;
+      job.resolve(result);
+    } catch (error) {
+      this.stats.failed++;
+      job.reject(error);
+    } finally {
+      this.active--;
+      if (job.host) {
+        const remaining = this.hostActive.get(job.host) - 1;
+        if (remaining > 0) {
+          this.hostActive.set(job.host, remaining);
+        } else {
+          this.hostActive.delete(job.host);
+        }
+      }
+      this.next();
+    }
+  }
+}
+
+export default new UploadQueue();
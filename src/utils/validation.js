@@ -62,6 +62,38 @@ export const validators = {
     return value;
   },
 
+  number: (value, field) => {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (Number.isNaN(number)) {
+      throw new ValidationError(
+        `${field} must be a number`,
+        field,
+        value
+      );
+    }
+    return number;
+  },
+
+  boolean: (value, field) => {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(normalized)) return true;
+    if (['false', 'no', '0'].includes(normalized)) return false;
+    throw new ValidationError(
+      `${field} must be a boolean (true/false, yes/no or 1/0)`,
+      field,
+      value
+    );
+  },
+
   array: (value, field) => {
     if (value && !Array.isArray(value)) {
       throw new ValidationError(
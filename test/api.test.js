@@ -0,0 +1,77 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createImporter, createMemoryClient, getConfig } from '../src/api.js';
+import { createSandbox } from './helpers/sandbox.js';
+
+const silent = { error() {}, warn() {}, info() {}, debug() {} };
+
+describe('createImporter', () => {
+  let sandbox;
+
+  beforeEach(async () => {
+    sandbox = await createSandbox();
+  });
+
+  afterEach(async () => {
+    await sandbox.cleanup();
+  });
+
+  it('keeps each importer on the client it was created with', async () => {
+    const clients = ['api-first', 'api-second'].map(dataset => createMemoryClient({ dataset }));
+    const importers = clients.map(client => createImporter({
+      client,
+      logger: silent,
+      config: { import: { batchSize: 1 } }
+    }));
+    const inputs = await Promise.all([
+      sandbox.write('first.csv', 'title\nRestaurants\nNightlife\n'),
+      sandbox.write('second.csv', 'title\nShopping\n')
+    ]);
+
+    // Started together, so the second is created while the first still runs
+    const results = await Promise.all(
+      importers.map((importer, index) => importer.import(inputs[index], 'category'))
+    );
+
+    assert.deepEqual(results.map(({ success }) => success), [2, 1]);
+    assert.deepEqual(
+      await clients[0].fetch('*[_type == "category"] | order(title).title'),
+      ['Nightlife', 'Restaurants']
+    );
+    assert.deepEqual(await clients[1].fetch('*[_type == "category"].title'), ['Shopping']);
+
+    // The process-wide client is left alone
+    assert.deepEqual(await sandbox.client.fetch('*[_type == "category"]'), []);
+    assert.equal(getConfig().sanity.dataset, sandbox.client.config().dataset);
+  });
+
+  it('builds documents from the types each importer was created with', async () => {
+    const clients = ['api-builtin', 'api-custom'].map(dataset => createMemoryClient({ dataset }));
+    const [builtin, custom] = [
+      createImporter({ client: clients[0], logger: silent }),
+      createImporter({
+        client: clients[1],
+        logger: silent,
+        config: {
+          import: { idKeys: { category: 'code' } },
+          types: {
+            category: { fields: { title: { required: true }, code: { required: true } } }
+          }
+        }
+      })
+    ];
+    const input = await sandbox.write('categories.csv', 'title,code\nRestaurants,R1\n');
+
+    // In turn, so each importer's types are loaded after the other's
+    assert.equal((await builtin.import(input, 'category')).success, 1);
+    assert.equal((await custom.import(input, 'category')).success, 1);
+    assert.equal((await builtin.import(input, 'category', { mode: 'replace' })).success, 1);
+
+    const [first] = await clients[0].fetch('*[_type == "category"]');
+    const [second] = await clients[1].fetch('*[_type == "category"]');
+    assert.equal(first.slug.current, 'restaurants');
+    assert.equal(first.code, undefined);
+    assert.equal(second.code, 'R1');
+    assert.equal(second.slug, undefined);
+  });
+});
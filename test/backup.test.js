@@ -0,0 +1,89 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { backupTool } from '../src/scripts/backup.js';
+import { createSandbox } from './helpers/sandbox.js';
+
+const documents = [
+  { _id: 'c1', _type: 'category', title: 'Restaurants' },
+  { _id: 'c2', _type: 'category', title: 'Nightlife' },
+  { _id: 'l1', _type: 'listing', title: 'Cafe', categories: [{ _type: 'reference', _ref: 'c1', _key: 'a' }] },
+  { _id: 'l2', _type: 'listing', title: 'Bar', categories: [{ _type: 'reference', _ref: 'c2', _key: 'a' }] },
+  { _id: 'l3', _type: 'listing', title: 'Deli' },
+  { _id: 'system.group', _type: 'system.group' }
+];
+
+describe('SanityBackup', () => {
+  let sandbox;
+  const { batchSize } = backupTool;
+
+  beforeEach(async () => {
+    sandbox = await createSandbox({ documents });
+    // Pages through the dataset in several queries
+    backupTool.batchSize = 2;
+  });
+
+  afterEach(async () => {
+    backupTool.batchSize = batchSize;
+    await sandbox.cleanup();
+  });
+
+  it('backs up every document but system ones', async () => {
+    const { filename, documentCount } = await backupTool.backup();
+
+    assert.equal(path.dirname(filename), sandbox.path('backups'));
+    assert.equal(documentCount, 5);
+
+    const backedUp = [];
+    for await (const doc of backupTool.readBackupDocuments(filename)) backedUp.push(doc._id);
+    assert.deepEqual(backedUp, ['c1', 'c2', 'l1', 'l2', 'l3']);
+
+    const [listed] = await backupTool.listBackups();
+    assert.equal(listed.filename, path.basename(filename));
+  });
+
+  it('restores a backup into the dataset', async () => {
+    const { filename } = await backupTool.backup();
+    await sandbox.client.patch('l1').set({ title: 'Edited' }).commit();
+    await sandbox.client.delete('l3');
+
+    const summary = await backupTool.restore(path.basename(filename));
+
+    assert.equal(summary.restored, 5);
+    assert.deepEqual(summary.types, { category: 2, listing: 3 });
+    assert.equal((await sandbox.client.getDocument('l1')).title, 'Cafe');
+    assert.ok(await sandbox.client.getDocument('l3'));
+  });
+
+  it('restores chosen types into another dataset', async () => {
+    const { filename } = await backupTool.backup();
+
+    const summary = await backupTool.restore(filename, { dataset: 'staging', types: ['category'] });
+
+    assert.equal(summary.dataset, 'staging');
+    assert.equal(summary.restored, 2);
+    assert.equal(summary.skipped, 3);
+    const staging = sandbox.client.withConfig({ dataset: 'staging' });
+    assert.deepEqual(staging.getDocuments().map(doc => doc._id), ['c1', 'c2']);
+  });
+
+  it('reports what a restore would do in a dry run', async () => {
+    const { filename } = await backupTool.backup();
+    await sandbox.client.patch('l1').set({ title: 'Edited' }).commit();
+    await sandbox.client.delete('l3');
+    const before = sandbox.client.getDocuments();
+
+    const summary = await backupTool.restore(filename, { dryRun: true });
+
+    assert.deepEqual(
+      { create: summary.create, replace: summary.replace, unchanged: summary.unchanged, restored: summary.restored },
+      { create: 1, replace: 1, unchanged: 3, restored: 0 }
+    );
+    assert.deepEqual(sandbox.client.getDocuments(), before);
+  });
+
+  it('rejects invalid maximum ages', () => {
+    assert.equal(backupTool.parseMaxAge('2w'), 14 * 24 * 60 * 60 * 1000);
+    assert.throws(() => backupTool.parseMaxAge('2y'), /Invalid maxAge format/);
+  });
+});
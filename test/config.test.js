@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { PassThrough } from 'stream';
+import config, { ConfigurationError } from '../src/utils/config.js';
+import { confirmProtectedWrite, ProtectedProfileError } from '../src/utils/confirmation.js';
+import { configure, listProfiles } from '../src/api.js';
+import { createSandbox } from './helpers/sandbox.js';
+
+const PROFILES = {
+  staging: {
+    projectId: 'stage-project',
+    dataset: 'staging',
+    tokenEnv: 'TEST_STAGING_TOKEN',
+    import: { batchSize: 7 }
+  },
+  production: {
+    projectId: 'live-project',
+    dataset: 'production',
+    tokenEnv: 'TEST_PRODUCTION_TOKEN',
+    protected: true
+  }
+};
+
+// Collects what a prompt writes, and answers it when asked
+function terminal(answer) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let written = '';
+  output.on('data', chunk => {
+    written += chunk;
+    if (answer !== undefined && written.includes('to continue: ')) {
+      input.write(`${answer}\n`);
+      answer = undefined;
+    }
+  });
+  return { input, output, interactive: true, written: () => written };
+}
+
+describe('Config profiles', () => {
+  let sandbox;
+  let configFile;
+  const environment = { ...process.env };
+
+  beforeEach(async () => {
+    sandbox = await createSandbox();
+    const defaults = JSON.parse(await fs.readFile(new URL('../config/default.json', import.meta.url), 'utf-8'));
+    configFile = await sandbox.write('profiles.json', JSON.stringify({ ...defaults, profiles: PROFILES }));
+    process.env.TEST_STAGING_TOKEN = 'staging-token';
+    process.env.SANITY_AUTH_TOKEN = 'default-token';
+  });
+
+  afterEach(async () => {
+    process.env = { ...environment };
+    configure({ profile: null, configFile: null });
+    await sandbox.cleanup();
+  });
+
+  it('reads the project, dataset, token variable and settings of a profile', () => {
+    configure({ configFile, profile: 'staging' });
+
+    const { sanity, profile, import: importSettings } = config.get();
+    assert.equal(sanity.projectId, 'stage-project');
+    assert.equal(sanity.dataset, 'staging');
+    assert.equal(sanity.token, 'staging-token');
+    assert.equal(importSettings.batchSize, 7);
+    assert.equal(importSettings.mode, 'create');
+    assert.deepEqual(profile, { name: 'staging', tokenEnv: 'TEST_STAGING_TOKEN', protected: false });
+  });
+
+  it('never falls back to SANITY_AUTH_TOKEN', () => {
+    configure({ configFile, profile: 'production' });
+
+    assert.equal(config.get().sanity.token, undefined);
+    assert.throws(() => config.requireCredentials(), error =>
+      error instanceof ConfigurationError && /TEST_PRODUCTION_TOKEN, which is not set/.test(error.message)
+    );
+  });
+
+  it('picks the profile from SANITY_PROFILE and lists the others on a typo', () => {
+    process.env.SANITY_PROFILE = 'staging';
+    configure({ configFile });
+    assert.equal(config.get().profile.name, 'staging');
+
+    configure({ profile: 'prod' });
+    assert.throws(() => config.get(), /Profile "prod" not found in profiles\.json\. Available profiles: staging, production/);
+  });
+
+  it('reads another profile without selecting it', () => {
+    configure({ configFile, profile: 'production' });
+
+    assert.deepEqual(config.getProfileSanity('staging'), {
+      projectId: 'stage-project',
+      dataset: 'staging',
+      apiVersion: config.get().sanity.apiVersion,
+      token: 'staging-token'
+    });
+    assert.equal(config.get().profile.name, 'production');
+
+    delete process.env.TEST_STAGING_TOKEN;
+    assert.throws(() => config.getProfileSanity('staging'), /TEST_STAGING_TOKEN, which is not set/);
+  });
+
+  it('lists profiles with whether their token is set', () => {
+    const profiles = listProfiles({ configFile, profile: 'production' });
+
+    assert.deepEqual(profiles.map(({ name, tokenSet, protected: isProtected, active }) => ({ name, tokenSet, isProtected, active })), [
+      { name: 'staging', tokenSet: true, isProtected: false, active: false },
+      { name: 'production', tokenSet: false, isProtected: true, active: true }
+    ]);
+  });
+
+  describe('protected profiles', () => {
+    beforeEach(() => {
+      // The in-memory client stands in for the profile's project
+      configure({ configFile, profile: 'production', client: sandbox.client });
+    });
+
+    it('does not ask for unprotected profiles', async () => {
+      configure({ profile: 'staging', client: sandbox.client });
+      const prompt = terminal();
+
+      await confirmProtectedWrite('import', prompt);
+      assert.equal(prompt.written(), '');
+    });
+
+    it('writes once the dataset name is typed', async () => {
+      const prompt = terminal(sandbox.client.config().dataset);
+
+      await confirmProtectedWrite('import', prompt);
+      assert.match(prompt.written(), /PROTECTED PROFILE "PRODUCTION"/);
+      assert.match(prompt.written(), /import will write to project memory, dataset test-\d+/);
+    });
+
+    it('refuses a wrong answer, and asks nothing without a terminal', async () => {
+      await assert.rejects(confirmProtectedWrite('import', terminal('production')), ProtectedProfileError);
+
+      const prompt = { ...terminal(), interactive: false };
+      await assert.rejects(confirmProtectedWrite('import', prompt), /pass --confirm test-\d+/);
+    });
+
+    it('takes the dataset name from --confirm', async () => {
+      const { dataset } = sandbox.client.config();
+
+      await confirmProtectedWrite('restore', { ...terminal(), confirm: 'staging', dataset: 'staging' });
+      await assert.rejects(
+        confirmProtectedWrite('import', { ...terminal(), confirm: 'production' }),
+        new RegExp(`does not match the dataset ${dataset}`)
+      );
+    });
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import datasetCopier, { CopyError } from '../src/importers/datasetCopier.js';
+import runHistory from '../src/utils/runHistory.js';
+import { backupTool } from '../src/scripts/backup.js';
+import { CheckpointError } from '../src/utils/recoverySystem.js';
+import { createMemoryClient, createResponseError } from '../src/utils/memoryClient.js';
+import { createSandbox, fakeImage } from './helpers/sandbox.js';
+import { startHttpStub } from './helpers/httpStub.js';
+
+const image = assetId => ({ _type: 'image', asset: { _type: 'reference', _ref: assetId } });
+const reference = (id, key) => ({ _type: 'reference', _ref: id, _key: key });
+
+describe('DatasetCopier', () => {
+  let sandbox;
+  let stub;
+  let source;
+  let cafeImage;
+  let failCommits;
+
+  before(async () => {
+    stub = await startHttpStub();
+  });
+
+  after(async () => {
+    await stub.close();
+  });
+
+  beforeEach(async () => {
+    failCommits = false;
+    sandbox = await createSandbox({
+      onRequest: ({ operation }) => {
+        if (failCommits && operation === 'mutate') throw createResponseError(503, 'Unavailable');
+      }
+    });
+
+    // Another project, whose asset URLs the stub serves
+    source = createMemoryClient({ projectId: 'staging-project', dataset: 'staging', assetBaseUrl: stub.url('') });
+    const content = fakeImage('cafe');
+    const sha1 = crypto.createHash('sha1').update(content).digest('hex');
+    stub.setRoute(`/images/staging-project/staging/${sha1}.jpg`, { body: content });
+    cafeImage = (await source.assets.upload('image', content, { filename: 'cafe.jpg' }))._id;
+
+    // Listings sort before the venues they reference
+    await source.transaction()
+      .create({ _id: 'c1', _type: 'category', title: 'Restaurants' })
+      .create({ _id: 'c2', _type: 'category', title: 'Nightlife' })
+      .create({ _id: 'v1', _type: 'venue', title: 'Market Hall' })
+      .create({ _id: 'l1', _type: 'listing', title: 'Cafe', featured: true, galleryImages: [image(cafeImage)], categories: [reference('c1', 'a')], venue: reference('v1') })
+      .create({ _id: 'l2', _type: 'listing', title: 'Bar', featured: false, categories: [reference('c2', 'a')] })
+      .create({ _id: 'drafts.l1', _type: 'listing', title: 'Cafe (draft)' })
+      .commit();
+  });
+
+  afterEach(async () => {
+    await sandbox.cleanup();
+  });
+
+  it('copies documents with their assets, writing referenced ones first', async () => {
+    const summary = await datasetCopier.copy({ source });
+
+    assert.equal(summary.total, 5);
+    assert.equal(summary.success, 5);
+    assert.equal(summary.failed, 0);
+    assert.equal(summary.assets, 1);
+    assert.ok(summary.runId);
+
+    const ids = sandbox.client.getDocuments().map(doc => doc._id);
+    assert.deepEqual(ids.filter(id => !id.startsWith('image-')), ['c1', 'c2', 'l1', 'l2', 'v1']);
+    const cafe = await sandbox.client.getDocument('l1');
+    assert.ok(await sandbox.client.getDocument(cafe.galleryImages[0].asset._ref));
+    assert.equal(stub.hits(new URL((await source.getDocument(cafeImage)).url).pathname), 1);
+  });
+
+  it('copies only matching documents and skips unchanged ones', async () => {
+    const options = { source, types: ['category', 'listing'], filter: '_type == "category" || featured == true' };
+    await datasetCopier.copy({ source, types: ['venue'] });
+    const first = await datasetCopier.copy(options);
+    assert.equal(first.total, 3);
+    assert.equal(first.success, 3);
+
+    await source.patch('c1').set({ title: 'Food' }).commit();
+    const mutations = sandbox.client.requests.filter(({ operation }) => operation === 'mutate').length;
+    const second = await datasetCopier.copy(options);
+
+    assert.deepEqual({ replace: second.replace, unchanged: second.unchanged, success: second.success }, { replace: 1, unchanged: 2, success: 1 });
+    assert.equal(second.assetsReused, 1);
+    assert.equal(sandbox.client.requests.filter(({ operation }) => operation === 'mutate').length, mutations + 1);
+    assert.equal((await sandbox.client.getDocument('c1')).title, 'Food');
+  });
+
+  it('reports a dry run without writing', async () => {
+    const summary = await datasetCopier.copy({ source, dryRun: true });
+
+    assert.deepEqual({ create: summary.create, assets: summary.assets, success: summary.success }, { create: 5, assets: 1, success: 0 });
+    assert.equal(sandbox.client.getDocuments().length, 0);
+  });
+
+  it('prefixes IDs and references, and only copies within a dataset with a prefix', async () => {
+    await datasetCopier.copy({ source, idPrefix: 'staging.' });
+
+    const cafe = await sandbox.client.getDocument('staging.l1');
+    assert.deepEqual([cafe.categories[0]._ref, cafe.venue._ref], ['staging.c1', 'staging.v1']);
+    assert.match(cafe.galleryImages[0].asset._ref, /^image-/);
+
+    await assert.rejects(datasetCopier.copy({ source: sandbox.client }), CopyError);
+    await assert.rejects(datasetCopier.copy({ source, idPrefix: 'no spaces' }), CopyError);
+  });
+
+  it('copies within a dataset without copying its own output', async () => {
+    await sandbox.client.transaction()
+      .create({ _id: 'c1', _type: 'category', title: 'Restaurants' })
+      .create({ _id: 'c2', _type: 'category', title: 'Nightlife' })
+      .create({ _id: 'c3', _type: 'category', title: 'Shops' })
+      .create({ _id: 'l1', _type: 'listing', title: 'Cafe', categories: [reference('c1', 'a')] })
+      .create({ _id: 'l2', _type: 'listing', title: 'Bar', categories: [reference('c2', 'a')] })
+      .commit();
+    // Copies written between pages sort among the documents still to read
+    const { batchSize } = backupTool;
+    backupTool.batchSize = 2;
+
+    try {
+      const summary = await datasetCopier.copy({ source: sandbox.client, idPrefix: 'zz.' });
+      const again = await datasetCopier.copy({ source: sandbox.client, idPrefix: 'zz.' });
+
+      assert.equal(summary.total, 5);
+      assert.equal(summary.success, 5);
+      assert.equal(again.unchanged, 5);
+      assert.deepEqual(
+        sandbox.client.getDocuments().map(({ _id }) => _id),
+        ['c1', 'c2', 'c3', 'l1', 'l2', 'zz.c1', 'zz.c2', 'zz.c3', 'zz.l1', 'zz.l2']
+      );
+    } finally {
+      backupTool.batchSize = batchSize;
+    }
+  });
+
+  it('resumes an interrupted copy from its checkpoint', async () => {
+    await source.transaction()
+      .create({ _id: 'c3', _type: 'category', title: 'Shops' })
+      .create({ _id: 'c4', _type: 'category', title: 'Parks' })
+      .commit();
+    // Pages of two, the second one fails after its retries
+    const { batchSize } = backupTool;
+    backupTool.batchSize = 2;
+    let pages = 0;
+
+    try {
+      const failing = datasetCopier.copy({
+        source,
+        progress: { start() {}, stop() {}, update: () => { if (++pages === 1) failCommits = true; } }
+      });
+      await assert.rejects(failing, error => error.checkpoints.length === 1 && Boolean(error.runId));
+
+      failCommits = false;
+      await assert.rejects(datasetCopier.copy({ source, resume: true, mode: 'upsert' }), CheckpointError);
+      const resumed = await datasetCopier.copy({ source, resume: true });
+
+      assert.equal(resumed.resumedFrom, 2);
+      assert.equal(resumed.total, 5);
+      assert.equal(sandbox.client.getDocuments().filter(doc => !doc._id.startsWith('image-')).length, 7);
+    } finally {
+      backupTool.batchSize = batchSize;
+    }
+  });
+
+  it('records the run so it can be rolled back', async () => {
+    const { runId } = await datasetCopier.copy({ source, types: ['category'] });
+
+    const rollback = await runHistory.rollback(runId);
+
+    assert.equal(rollback.deleted, 2);
+    assert.equal(sandbox.client.getDocuments().length, 0);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getImporter } from '../src/importers/index.js';
+import { ImportStoppedError } from '../src/importers/documentImporter.js';
+import { ValidationError } from '../src/utils/validation.js';
+import assetCache from '../src/utils/assetCache.js';
+import { createSandbox, fakeImage } from './helpers/sandbox.js';
+import { startHttpStub } from './helpers/httpStub.js';
+
+const listing = (title, extra = {}) => ({
+  title,
+  email: `${title.toLowerCase()}@example.com`,
+  ...extra
+});
+
+describe('DocumentImporter', () => {
+  let sandbox;
+  let stub;
+  let importer;
+
+  before(async () => {
+    stub = await startHttpStub({
+      '/cafe.jpg': { body: fakeImage('cafe') },
+      '/copy-of-cafe.jpg': { body: fakeImage('cafe') },
+      '/slow.jpg': { body: fakeImage('slow'), delay: 50 }
+    });
+  });
+
+  after(async () => {
+    await stub.close();
+  });
+
+  beforeEach(async () => {
+    sandbox = await createSandbox();
+    importer = getImporter('listing');
+  });
+
+  afterEach(async () => {
+    await sandbox.cleanup();
+  });
+
+  it('uploads remote images once per source and content', async () => {
+    const results = await importer.import([
+      listing('Cafe', { galleryImages: [stub.url('/cafe.jpg'), stub.url('/slow.jpg')], sourceRow: 1 }),
+      listing('Bar', { galleryImages: [stub.url('/cafe.jpg')], sourceRow: 2 }),
+      listing('Deli', { galleryImages: [stub.url('/copy-of-cafe.jpg')], sourceRow: 3 })
+    ]);
+
+    assert.equal(results.success, 3);
+    assert.equal(stub.hits('/cafe.jpg'), 1);
+
+    const assets = await sandbox.client.fetch('*[_type == "sanity.imageAsset"]._id');
+    const uploads = sandbox.client.requests.filter(({ operation }) => operation === 'upload');
+    assert.equal(assets.length, 2);
+    assert.equal(uploads.length, 2);
+
+    const [cafe, bar, deli] = await sandbox.client.fetch(
+      '*[_type == "listing"] | order(_createdAt) {title, "refs": galleryImages[].asset._ref}'
+    ).then(docs => ['Cafe', 'Bar', 'Deli'].map(title => docs.find(doc => doc.title === title)));
+    assert.equal(cafe.refs.length, 2);
+    assert.deepEqual(bar.refs, [cafe.refs[0]]);
+    assert.deepEqual(deli.refs, [cafe.refs[0]]);
+  });
+
+  it('reuses cached assets on the next run', async () => {
+    const records = [listing('Cafe', { galleryImages: [stub.url('/cafe.jpg')] })];
+    const hits = stub.hits('/cafe.jpg');
+
+    await importer.import(records);
+    await importer.import(records, { mode: 'replace' });
+
+    assert.equal(stub.hits('/cafe.jpg'), hits + 1);
+    const cached = await assetCache.getBySource(stub.url('/cafe.jpg'));
+    assert.match(cached.assetId, /^image-/);
+    // Recorded on the asset too, for machines without this cache
+    assert.equal((await sandbox.client.getDocument(cached.assetId)).source.url, stub.url('/cafe.jpg'));
+  });
+
+  it('imports records whose images fail, reporting the images', async () => {
+    const results = await importer.import([
+      listing('Cafe', { galleryImages: [stub.url('/missing.jpg'), stub.url('/cafe.jpg')], sourceRow: 4 })
+    ]);
+
+    assert.equal(results.success, 1);
+    assert.equal(results.failedImages.length, 1);
+    assert.equal(results.failedImages[0].row, 4);
+    assert.match(results.failedImages[0].error, /Not Found/);
+
+    const [doc] = sandbox.client.getDocuments().filter(({ _type }) => _type === 'listing');
+    assert.equal(doc.galleryImages.length, 1);
+  });
+
+  it('uploads local files, directories and globs from the assets directory', async () => {
+    await sandbox.write('photos/a.jpg', fakeImage('a'));
+    await sandbox.write('photos/b.png', fakeImage('b'));
+    await sandbox.write('photos/notes.txt', 'not an image');
+
+    const results = await importer.import([
+      listing('Cafe', { galleryImages: ['photos/a.jpg'] }),
+      listing('Bar', { galleryImages: ['photos'] }),
+      listing('Deli', { galleryImages: ['photos/*.png', 'photos/none-*.jpg'] })
+    ], { assetsDir: sandbox.dir });
+
+    assert.equal(results.success, 3);
+    assert.deepEqual(results.failedImages.map(({ url }) => url), ['photos/none-*.jpg']);
+
+    const counts = await sandbox.client.fetch('*[_type == "listing"] | order(title) {title, "images": count(galleryImages)}');
+    assert.deepEqual(counts, [
+      { title: 'Bar', images: 2 },
+      { title: 'Cafe', images: 1 },
+      { title: 'Deli', images: 1 }
+    ]);
+  });
+
+  it('rejects invalid records on their own', async () => {
+    const results = await importer.import([
+      listing('Cafe', { sourceRow: 1 }),
+      { title: 'No email', sourceRow: 2 },
+      listing('Bar', { websiteUrl: 'not a url', sourceRow: 3 })
+    ], { continueOnError: true });
+
+    assert.equal(results.success, 1);
+    assert.deepEqual(results.errors.map(({ row, field }) => [row, field]), [[2, 'email'], [3, 'websiteUrl']]);
+    assert.ok(results.errors.every(({ errorType }) => errorType === ValidationError.name));
+  });
+
+  it('stops after a batch with failures unless told to continue', async () => {
+    const records = ['A', 'B', 'C', 'D', 'E'].map((title, index) => listing(title, { sourceRow: index + 1 }));
+    records[1].email = 'broken';
+
+    await assert.rejects(importer.import(records), error =>
+      error instanceof ImportStoppedError && error.results.success === 2
+    );
+    assert.equal(sandbox.client.getDocuments().length, 2);
+  });
+
+  it('fails unresolved references or leaves them out with the warn policy', async () => {
+    const records = [listing('Cafe', { categories: ['Unknown'] })];
+
+    const failed = await importer.import(records, { continueOnError: true });
+    assert.equal(failed.failed, 1);
+    assert.equal(failed.errors[0].field, 'categories');
+
+    const warned = await importer.import(records, { onUnresolved: 'warn' });
+    assert.equal(warned.success, 1);
+    assert.ok(sandbox.logs.some(({ level, message }) => level === 'warn' && /reference/i.test(message)));
+  });
+});
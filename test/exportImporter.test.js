@@ -0,0 +1,123 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { create } from 'tar';
+import exportImporter from '../src/importers/exportImporter.js';
+import { createSandbox, fakeImage } from './helpers/sandbox.js';
+import { startHttpStub } from './helpers/httpStub.js';
+
+const toNDJSON = documents => documents.map(doc => JSON.stringify(doc)).join('\n') + '\n';
+
+describe('SanityExportImporter', () => {
+  let sandbox;
+  let stub;
+
+  before(async () => {
+    stub = await startHttpStub({ '/remote.jpg': { body: fakeImage('remote') } });
+  });
+
+  after(async () => {
+    await stub.close();
+  });
+
+  beforeEach(async () => {
+    sandbox = await createSandbox();
+  });
+
+  afterEach(async () => {
+    await sandbox.cleanup();
+  });
+
+  it('imports an export archive with its assets', async () => {
+    await sandbox.write('export/images/abc.jpg', fakeImage('local'));
+    await sandbox.write('export/data.ndjson', toNDJSON([
+      { _id: 'c1', _type: 'category', _rev: 'old', title: 'Restaurants' },
+      {
+        _id: 'l1',
+        _type: 'listing',
+        title: 'Cafe',
+        categories: [{ _type: 'reference', _ref: 'c1', _key: 'k' }],
+        galleryImages: [
+          { _type: 'image', _key: 'a', _sanityAsset: 'image@file://./images/abc.jpg' },
+          { _type: 'image', _key: 'b', _sanityAsset: `image@${stub.url('/remote.jpg')}` }
+        ]
+      },
+      { _id: 'image-old-jpg', _type: 'sanity.imageAsset' },
+      { _id: 'system.group', _type: 'system.group' }
+    ]));
+    await create({ gzip: true, file: sandbox.path('export.tar.gz'), cwd: sandbox.dir }, ['export']);
+
+    const summary = await exportImporter.import(sandbox.path('export.tar.gz'));
+
+    assert.equal(summary.total, 4);
+    assert.equal(summary.success, 2);
+    assert.equal(summary.skipped, 2);
+    assert.equal(summary.assets, 2);
+
+    const cafe = await sandbox.client.getDocument('l1');
+    assert.equal(cafe.categories[0]._ref, 'c1');
+    assert.ok(cafe.galleryImages.every(image => /^image-/.test(image.asset._ref) && !image._sanityAsset));
+    assert.notEqual((await sandbox.client.getDocument('c1'))._rev, 'old');
+  });
+
+  it('imports a bare data file and only the chosen types', async () => {
+    const file = await sandbox.write('data.ndjson', toNDJSON([
+      { _id: 'c1', _type: 'category', title: 'Restaurants' },
+      { _id: 'l1', _type: 'listing', title: 'Cafe' },
+      { title: 'No ID' }
+    ]));
+
+    const summary = await exportImporter.import(file, { types: ['category'] });
+
+    assert.equal(summary.success, 1);
+    assert.equal(summary.skipped, 1);
+    assert.equal(summary.failed, 1);
+    assert.match(summary.errors[0].error, /missing _id or _type/);
+    assert.deepEqual(sandbox.client.getDocuments().map(doc => doc._id), ['c1']);
+  });
+
+  it('rejects asset paths outside the export', async () => {
+    await sandbox.write('secret.jpg', fakeImage('secret'));
+    const file = await sandbox.write('export/data.ndjson', toNDJSON([
+      { _id: 'l1', _type: 'listing', image: { _type: 'image', _sanityAsset: 'image@file://../secret.jpg' } }
+    ]));
+
+    const summary = await exportImporter.import(file);
+
+    assert.equal(summary.failed, 1);
+    assert.match(summary.errors[0].error, /escapes the export directory/);
+    assert.equal(sandbox.client.getDocuments().length, 0);
+  });
+
+  it('isolates documents the dataset rejects', async () => {
+    await sandbox.client.create({ _id: 'c1', _type: 'category', title: 'Existing' });
+    const file = await sandbox.write('data.ndjson', toNDJSON([
+      { _id: 'c1', _type: 'category', title: 'Restaurants' },
+      { _id: 'c2', _type: 'category', title: 'Nightlife' }
+    ]));
+
+    const created = await exportImporter.import(file);
+    assert.equal(created.success, 1);
+    assert.equal(created.failed, 1);
+
+    const replaced = await exportImporter.import(file, { mode: 'replace' });
+    assert.equal(replaced.success, 2);
+    assert.equal((await sandbox.client.getDocument('c1')).title, 'Restaurants');
+  });
+
+  it('imports documents before the ones they reference once those are in', async () => {
+    const file = await sandbox.write('data.ndjson', toNDJSON([
+      { _id: 'l1', _type: 'listing', title: 'Cafe', category: { _type: 'reference', _ref: 'c1' } },
+      { _id: 'c2', _type: 'category', title: 'Nightlife' },
+      { _id: 'c3', _type: 'category', title: 'Shopping' },
+      { _id: 'l2', _type: 'listing', title: 'Club', category: { _type: 'reference', _ref: 'missing' } },
+      { _id: 'c1', _type: 'category', title: 'Restaurants' }
+    ]));
+
+    const summary = await exportImporter.import(file);
+
+    assert.equal(summary.success, 4);
+    assert.equal(summary.failed, 1);
+    assert.deepEqual(summary.errors.map(({ _id }) => _id), ['l2']);
+    assert.equal((await sandbox.client.getDocument('l1')).category._ref, 'c1');
+  });
+});
@@ -0,0 +1,44 @@
+import http from 'http';
+
+/**
+ * Serves fixed responses on 127.0.0.1 for image URLs, e.g.
+ * `{ '/a.jpg': { body: buffer }, '/slow.jpg': { status: 503, delay: 50 } }`.
+ * Unknown paths get a 404. Every request is counted per path.
+ */
+export async function startHttpStub(routes = {}) {
+  const table = new Map(Object.entries(routes));
+  const hits = new Map();
+
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://127.0.0.1');
+    hits.set(pathname, (hits.get(pathname) || 0) + 1);
+
+    const route = table.get(pathname) || { status: 404, body: 'Not Found' };
+    const send = () => {
+      response.writeHead(route.status || 200, {
+        'content-type': 'image/jpeg',
+        ...route.headers
+      });
+      response.end(route.body);
+    };
+
+    if (route.delay) {
+      setTimeout(send, route.delay);
+    } else {
+      send();
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: pathname => `http://127.0.0.1:${port}${pathname}`,
+    hits: pathname => hits.get(pathname) || 0,
+    setRoute: (pathname, route) => table.set(pathname, route),
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
@@ -0,0 +1,76 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { configure } from '../../src/api.js';
+import { createMemoryClient } from '../../src/utils/memoryClient.js';
+
+// Small batches and near-instant retries keep the suite fast
+const TEST_CONFIG = {
+  import: { batchSize: 3, maxRetries: 3, retryDelay: 1 },
+  api: { timeout: 2000, concurrentRequests: 5 },
+  assets: { fetchTimeout: 2000 }
+};
+
+const originalDir = process.cwd();
+let datasets = 0;
+
+function createLogger(logs) {
+  const log = level => (message, metadata) => logs.push({ level, message, metadata });
+  return { error: log('error'), warn: log('warn'), info: log('info'), debug: log('debug') };
+}
+
+/**
+ * Runs the tool against a fresh in-memory dataset from a temporary working
+ * directory, where checkpoints, runs, dead letters and the asset cache go.
+ * `files` are written into it first.
+ */
+export async function createSandbox({ documents, files = {}, config: settings = {}, onRequest } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sanity-bulk-import-test-'));
+  process.chdir(dir);
+
+  const client = createMemoryClient({ dataset: `test-${++datasets}`, documents, onRequest });
+  const logs = [];
+  configure({
+    client,
+    logger: createLogger(logs),
+    // Each test picks its own config file and profile
+    profile: null,
+    configFile: null,
+    config: Object.fromEntries(
+      [...new Set([...Object.keys(TEST_CONFIG), ...Object.keys(settings)])].map(section => [
+        section,
+        { ...TEST_CONFIG[section], ...settings[section] }
+      ])
+    )
+  });
+
+  const sandbox = {
+    dir,
+    client,
+    logs,
+    path: (...segments) => path.join(dir, ...segments),
+    write: async (name, content) => {
+      const file = path.join(dir, name);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, content);
+      return file;
+    },
+    read: name => fs.readFile(path.join(dir, name), 'utf-8'),
+    list: async name => fs.readdir(path.join(dir, name)).catch(() => []),
+    cleanup: async () => {
+      process.chdir(originalDir);
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  };
+
+  for (const [name, content] of Object.entries(files)) {
+    await sandbox.write(name, content);
+  }
+
+  return sandbox;
+}
+
+// A few bytes are enough, images are stored without being decoded
+export function fakeImage(seed) {
+  return Buffer.from(`\xff\xd8\xff\xe0 fake image ${seed}`, 'latin1');
+}
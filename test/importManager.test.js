@@ -0,0 +1,218 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import importManager from '../src/utils/importManager.js';
+import runHistory from '../src/utils/runHistory.js';
+import { CheckpointError } from '../src/utils/recoverySystem.js';
+import { ImportStoppedError } from '../src/importers/documentImporter.js';
+import { generateDocumentId } from '../src/utils/importModes.js';
+import { createResponseError } from '../src/utils/memoryClient.js';
+import { configure, createMemoryClient } from '../src/api.js';
+import { createSandbox } from './helpers/sandbox.js';
+
+const CATEGORIES_CSV = 'title,description,color\nRestaurants,Local dining,FF5733\nNightlife,After dark,333333\n';
+
+function listingsCSV(rows) {
+  return ['title,email,categories', ...rows.map(row => row.join(','))].join('\n') + '\n';
+}
+
+const listingId = email => generateDocumentId('listing', 'email', email);
+
+describe('ImportManager', () => {
+  let sandbox;
+
+  beforeEach(async () => {
+    sandbox = await createSandbox({ files: { 'categories.csv': CATEGORIES_CSV } });
+  });
+
+  afterEach(async () => {
+    await sandbox.cleanup();
+  });
+
+  it('imports documents with derived IDs and resolved references', async () => {
+    await importManager.import(sandbox.path('categories.csv'), 'category');
+    const file = await sandbox.write('listings.csv', listingsCSV([
+      ['Cafe', 'cafe@example.com', 'Restaurants'],
+      ['Bar', 'bar@example.com', '"Restaurants,Nightlife"']
+    ]));
+
+    const results = await importManager.import(file, 'listing');
+
+    assert.equal(results.success, 2);
+    assert.equal(results.failed, 0);
+    assert.ok(results.runId);
+
+    const bar = await sandbox.client.getDocument(listingId('bar@example.com'));
+    const categories = await sandbox.client.fetch('*[_type == "category"] | order(title) {_id, title}');
+    assert.deepEqual(categories.map(category => category.title), ['Nightlife', 'Restaurants']);
+    assert.deepEqual(
+      bar.categories.map(reference => reference._ref).sort(),
+      categories.map(category => category._id).sort()
+    );
+    assert.equal(bar.slug.current, 'bar');
+  });
+
+  it('isolates records the API rejects and imports the rest of the batch', async () => {
+    await sandbox.client.create({ _id: listingId('taken@example.com'), _type: 'listing', title: 'Taken' });
+    const file = await sandbox.write('listings.csv', listingsCSV([
+      ['One', 'one@example.com', ''],
+      ['Taken', 'taken@example.com', ''],
+      ['Two', 'two@example.com', '']
+    ]));
+
+    const results = await importManager.import(file, 'listing', { continueOnError: true });
+
+    assert.equal(results.success, 2);
+    assert.equal(results.failed, 1);
+    assert.equal(results.errors[0].row, 3);
+    assert.match(results.errors[0].error, /already exists/);
+    assert.equal((await sandbox.client.getDocument(listingId('taken@example.com'))).title, 'Taken');
+  });
+
+  it('writes by mode: upsert keeps edited fields, replace overwrites them', async () => {
+    const file = await sandbox.write('listings.csv', listingsCSV([['Cafe', 'cafe@example.com', '']]));
+    const id = listingId('cafe@example.com');
+
+    await importManager.import(file, 'listing');
+    await sandbox.client.patch(id).set({ title: 'Edited', featured: true }).commit();
+
+    await importManager.import(file, 'listing', { mode: 'upsert' });
+    let doc = await sandbox.client.getDocument(id);
+    assert.equal(doc.title, 'Cafe');
+    assert.equal(doc.featured, true);
+
+    await importManager.import(file, 'listing', { mode: 'replace' });
+    doc = await sandbox.client.getDocument(id);
+    assert.equal(doc.featured, undefined);
+  });
+
+  it('retries rate limits and server errors', async () => {
+    const failures = [createResponseError(429, 'Rate limited', { 'retry-after': '0' }), createResponseError(503, 'Unavailable')];
+    await sandbox.cleanup();
+    sandbox = await createSandbox({
+      onRequest: ({ operation }) => {
+        if (operation === 'mutate' && failures.length > 0) throw failures.shift();
+      }
+    });
+    const file = await sandbox.write('listings.csv', listingsCSV([['Cafe', 'cafe@example.com', '']]));
+
+    const results = await importManager.import(file, 'listing');
+
+    assert.equal(results.success, 1);
+    assert.equal(sandbox.client.requests.filter(({ operation }) => operation === 'mutate').length, 3);
+  });
+
+  it('writes rejected records to a dead-letter file that can be retried', async () => {
+    const file = await sandbox.write('listings.csv', listingsCSV([
+      ['Cafe', 'cafe@example.com', 'Restaurants'],
+      ['Bar', 'bar@example.com', 'Nightlife']
+    ]));
+    await importManager.import(sandbox.path('categories.csv'), 'category');
+    await sandbox.client.delete(generateDocumentId('category', 'slug', 'nightlife'));
+
+    const results = await importManager.import(file, 'listing', { continueOnError: true });
+
+    assert.equal(results.success, 1);
+    assert.ok(results.deadLetter);
+    const deadLetter = await sandbox.read(`dead-letters/${results.deadLetter.split('/').pop()}`);
+    assert.match(deadLetter, /_error,_source_row/);
+    assert.match(deadLetter, /Bar,bar@example\.com,Nightlife,.*Nightlife.*,3/);
+
+    await sandbox.client.create({ _id: 'nightlife', _type: 'category', title: 'Nightlife' });
+    const retried = await importManager.retryFailed(results.deadLetter);
+
+    assert.equal(retried.success, 1);
+    assert.equal((await sandbox.client.getDocument(listingId('bar@example.com'))).categories[0]._ref, 'nightlife');
+  });
+
+  it('stops on failed records and resumes from the checkpoint', async () => {
+    const file = await sandbox.write('listings.csv', listingsCSV([
+      ['One', 'one@example.com', ''],
+      ['Two', 'two@example.com', ''],
+      ['Three', 'not-an-email', ''],
+      ['Four', 'four@example.com', ''],
+      ['Five', 'five@example.com', '']
+    ]));
+
+    const error = await importManager.import(file, 'listing').then(
+      () => assert.fail('expected the import to stop'),
+      stopped => stopped
+    );
+    assert.ok(error instanceof ImportStoppedError);
+    assert.equal(error.results.success, 2);
+    assert.equal(error.checkpoints.length, 1);
+    assert.equal(sandbox.client.getDocuments().length, 2);
+
+    const resumed = await importManager.import(file, 'listing', { resume: true });
+    assert.equal(resumed.success, 2);
+    assert.equal(sandbox.client.getDocuments().length, 4);
+
+    await assert.rejects(importManager.import(file, 'listing', { resume: true }), /already completed/);
+  });
+
+  it('refuses to resume with other options or another input', async () => {
+    const file = await sandbox.write('listings.csv', listingsCSV([['One', 'one@example.com', '']]));
+    const stopped = await sandbox.write('stopped.csv', listingsCSV([
+      ['One', 'one@example.com', ''],
+      ['Broken', 'broken', ''],
+      ['Two', 'two@example.com', ''],
+      ['Three', 'three@example.com', '']
+    ]));
+
+    await assert.rejects(importManager.import(stopped, 'listing'), ImportStoppedError);
+
+    await assert.rejects(importManager.import(stopped, 'listing', { resume: true, mode: 'replace' }), error =>
+      error instanceof CheckpointError && /options.*mode/.test(error.message)
+    );
+    await assert.rejects(importManager.import(file, 'listing', { resume: true }), error =>
+      error instanceof CheckpointError && /different input file/.test(error.message)
+    );
+  });
+
+  it('refuses to resume an import into another dataset', async () => {
+    const stopped = await sandbox.write('stopped.csv', listingsCSV([
+      ['One', 'one@example.com', ''],
+      ['Broken', 'broken', ''],
+      ['Two', 'two@example.com', '']
+    ]));
+    await assert.rejects(importManager.import(stopped, 'listing'), ImportStoppedError);
+
+    const production = createMemoryClient({ dataset: 'production' });
+    configure({ client: production });
+
+    await assert.rejects(importManager.import(stopped, 'listing', { resume: true }), error =>
+      error instanceof CheckpointError && /created for .*\/test-\d+, not .*\/production/.test(error.message)
+    );
+    assert.deepEqual(production.getDocuments(), []);
+  });
+
+  it('rolls a run back', async () => {
+    const id = listingId('cafe@example.com');
+    await sandbox.client.create({ _id: id, _type: 'listing', title: 'Before', email: 'cafe@example.com' });
+    const file = await sandbox.write('listings.csv', listingsCSV([
+      ['Cafe', 'cafe@example.com', ''],
+      ['Bar', 'bar@example.com', '']
+    ]));
+
+    const { runId } = await importManager.import(file, 'listing', { mode: 'replace' });
+    const summary = await runHistory.rollback(runId);
+
+    assert.equal(summary.restored, 1);
+    assert.equal(summary.deleted, 1);
+    assert.deepEqual(sandbox.client.getDocuments().map(doc => doc.title), ['Before']);
+    await assert.rejects(runHistory.rollback(runId), /already rolled back/);
+  });
+
+  it('validates without writing', async () => {
+    const file = await sandbox.write('listings.csv', listingsCSV([
+      ['Cafe', 'cafe@example.com', ''],
+      ['Broken', 'broken', '']
+    ]));
+
+    const result = await importManager.validate(file, 'listing');
+
+    assert.equal(result.valid, 1);
+    assert.equal(result.invalid, 1);
+    assert.equal(result.errors[0].field, 'email');
+    assert.equal(sandbox.client.requests.filter(({ operation }) => operation === 'mutate').length, 0);
+  });
+});
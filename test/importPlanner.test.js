@@ -0,0 +1,139 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import importPlanner, { PlanError } from '../src/utils/importPlanner.js';
+import { generateDocumentId } from '../src/utils/importModes.js';
+import { createSandbox, fakeImage } from './helpers/sandbox.js';
+import { startHttpStub } from './helpers/httpStub.js';
+
+const listingId = email => generateDocumentId('listing', 'email', email);
+
+describe('ImportPlanner', () => {
+  let sandbox;
+  let stub;
+
+  before(async () => {
+    stub = await startHttpStub({ '/cafe.jpg': { body: fakeImage('cafe') } });
+  });
+
+  after(async () => {
+    await stub.close();
+  });
+
+  beforeEach(async () => {
+    sandbox = await createSandbox({
+      documents: [
+        { _id: listingId('cafe@example.com'), _type: 'listing', title: 'Old Cafe', email: 'cafe@example.com' },
+        {
+          _id: listingId('bar@example.com'),
+          _type: 'listing',
+          title: 'Bar',
+          slug: { _type: 'slug', current: 'bar' },
+          email: 'bar@example.com',
+          galleryImages: [],
+          categories: [],
+          tags: []
+        }
+      ]
+    });
+  });
+
+  afterEach(async () => {
+    await sandbox.cleanup();
+  });
+
+  async function writeListings() {
+    return sandbox.write('listings.csv', [
+      'title,email,gallery_images',
+      `Cafe,cafe@example.com,${stub.url('/cafe.jpg')}`,
+      'Bar,bar@example.com,',
+      'Deli,deli@example.com,',
+      'Broken,broken,',
+      'Copy,deli@example.com,'
+    ].join('\n'));
+  }
+
+  it('classifies every record without writing or uploading', async () => {
+    const plan = await importPlanner.plan(await writeListings(), 'listing', { mode: 'upsert' });
+
+    assert.deepEqual(plan.summary, { total: 5, create: 1, update: 1, unchanged: 1, conflict: 1, invalid: 1 });
+    assert.deepEqual(plan.actions.map(({ action }) => action), ['update', 'unchanged', 'create', 'conflict']);
+    assert.deepEqual(
+      plan.actions[0].changes.map(({ field }) => field).sort(),
+      ['categories', 'galleryImages', 'slug', 'tags', 'title']
+    );
+    assert.equal(stub.hits('/cafe.jpg'), 0);
+    assert.equal(sandbox.client.requests.filter(({ operation }) => operation !== 'fetch').length, 0);
+  });
+
+  it('finds images by the URL they were uploaded from when the asset cache does not know it', async () => {
+    const listing = (name, assetId) => ({
+      _id: listingId(`${name}@example.com`),
+      _type: 'listing',
+      title: name[0].toUpperCase() + name.slice(1),
+      slug: { _type: 'slug', current: name },
+      email: `${name}@example.com`,
+      galleryImages: [{ _type: 'image', asset: { _type: 'reference', _ref: assetId } }],
+      categories: [],
+      tags: []
+    });
+    // As on a machine that has never imported the listings
+    await sandbox.client.transaction()
+      .create({ _id: 'image-bar-1x1-jpg', _type: 'sanity.imageAsset', source: { url: stub.url('/cafe.jpg') } })
+      .create({ _id: 'image-club-1x1-jpg', _type: 'sanity.imageAsset' })
+      .createOrReplace(listing('bar', 'image-bar-1x1-jpg'))
+      .createOrReplace(listing('club', 'image-club-1x1-jpg'))
+      .commit();
+    const input = await sandbox.write('listings.csv', [
+      'title,email,gallery_images',
+      `Bar,bar@example.com,${stub.url('/cafe.jpg')}`,
+      `Club,club@example.com,${stub.url('/club.jpg')}`
+    ].join('\n'));
+
+    const plan = await importPlanner.plan(input, 'listing', { mode: 'upsert' });
+
+    // Nothing tells which asset the club's URL became, so it may have changed
+    assert.deepEqual(plan.actions.map(({ action }) => action), ['unchanged', 'update']);
+    assert.deepEqual(plan.actions[1].changes.map(({ field }) => field), ['galleryImages']);
+    assert.equal(stub.hits('/cafe.jpg') + stub.hits('/club.jpg'), 0);
+  });
+
+  it('reports existing documents as conflicts in create mode', async () => {
+    const plan = await importPlanner.plan(await writeListings(), 'listing');
+
+    assert.equal(plan.summary.create, 1);
+    assert.equal(plan.summary.conflict, 3);
+  });
+
+  it('applies a saved plan, uploading the images it needs', async () => {
+    const plan = await importPlanner.plan(await writeListings(), 'listing', { mode: 'upsert' });
+    const file = await importPlanner.save(plan, sandbox.path('plan.json'));
+
+    const results = await importPlanner.apply(file);
+
+    assert.equal(results.success, 2);
+    const cafe = await sandbox.client.getDocument(listingId('cafe@example.com'));
+    assert.equal(cafe.title, 'Cafe');
+    assert.match(cafe.galleryImages[0].asset._ref, /^image-/);
+    assert.equal(stub.hits('/cafe.jpg'), 1);
+    assert.ok(await sandbox.client.getDocument(listingId('deli@example.com')));
+  });
+
+  it('skips documents edited after the plan was made', async () => {
+    const plan = await importPlanner.plan(await writeListings(), 'listing', { mode: 'upsert' });
+    const file = await importPlanner.save(plan, sandbox.path('plan.json'));
+    await sandbox.client.patch(listingId('cafe@example.com')).set({ title: 'Edited' }).commit();
+
+    const results = await importPlanner.apply(file);
+
+    assert.equal(results.success, 1);
+    assert.equal(results.failed, 1);
+    assert.equal((await sandbox.client.getDocument(listingId('cafe@example.com'))).title, 'Edited');
+  });
+
+  it('refuses plans for another dataset', async () => {
+    const plan = await importPlanner.plan(await writeListings(), 'listing');
+    await sandbox.write('plan.json', JSON.stringify({ ...plan, dataset: 'production' }));
+
+    await assert.rejects(importPlanner.apply(sandbox.path('plan.json')), PlanError);
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryClient, createResponseError } from '../src/utils/memoryClient.js';
+import { evaluateQuery, parseQuery, QueryError } from '../src/utils/groqSubset.js';
+
+const documents = [
+  { _id: 'c1', _type: 'category', title: 'Restaurants', slug: { current: 'restaurants' } },
+  { _id: 'drafts.c1', _type: 'category', title: 'Restaurants (draft)' },
+  { _id: 'c2', _type: 'category', title: 'Outdoor Gear', slug: { current: 'outdoor-gear' } },
+  {
+    _id: 'l1',
+    _type: 'listing',
+    title: 'Cafe',
+    email: 'cafe@example.com',
+    categories: [{ _type: 'reference', _ref: 'c1', _key: 'a' }]
+  },
+  { _id: 'system.group', _type: 'system.group' }
+];
+
+describe('GROQ subset', () => {
+  it('filters, orders and slices', () => {
+    assert.deepEqual(
+      evaluateQuery('*[_type == "category"] | order(_id desc) [0...2]._id', {}, documents),
+      ['drafts.c1', 'c2']
+    );
+    assert.deepEqual(
+      evaluateQuery('*[!(_type match "system.**")] | order(_type, _id) [1..2]._id', {}, documents),
+      ['c2', 'drafts.c1']
+    );
+  });
+
+  it('counts and reads single documents', () => {
+    assert.equal(evaluateQuery('count(*[!(_type match "system.**")])', {}, documents), 4);
+    assert.equal(evaluateQuery('*[_type == "nothing"][0]', {}, documents), null);
+    assert.equal(evaluateQuery('*[_id == $id][0].title', { id: 'c2' }, documents), 'Outdoor Gear');
+  });
+
+  it('supports parameters, in, lower and projections', () => {
+    const result = evaluateQuery(
+      '*[_type == $type && lower(slug.current) in $slugs]{_id, "slug": slug.current, "label": upper(title)}',
+      { type: 'category', slugs: ['outdoor-gear'] },
+      documents
+    );
+    assert.deepEqual(result, [{ _id: 'c2', slug: 'outdoor-gear', label: 'OUTDOOR GEAR' }]);
+  });
+
+  it('finds references from the enclosing scope', () => {
+    assert.deepEqual(
+      evaluateQuery('*[_type == "category" && count(*[references(^._id)]) == 0]._id', {}, documents),
+      ['drafts.c1', 'c2']
+    );
+  });
+
+  it('matches drafts by path', () => {
+    assert.deepEqual(evaluateQuery('*[_id in path("drafts.**")]._id', {}, documents), ['drafts.c1']);
+    assert.deepEqual(
+      evaluateQuery('*[string::startsWith(_id, $prefix)]._id', { prefix: 'drafts.' }, documents),
+      ['drafts.c1']
+    );
+  });
+
+  it('rejects missing parameters and unsupported syntax', () => {
+    assert.throws(() => evaluateQuery('*[_id == $id]', {}, documents), QueryError);
+    assert.throws(() => parseQuery('*[_type == "a"] -> title'), QueryError);
+  });
+});
+
+describe('MemoryClient', () => {
+  it('commits transactions and stamps system fields', async () => {
+    const client = createMemoryClient();
+    const result = await client.transaction()
+      .create({ _id: 'a', _type: 'category', title: 'A' })
+      .createOrReplace({ _id: 'b', _type: 'category', title: 'B' })
+      .commit();
+
+    assert.deepEqual(result.results.map(({ id, operation }) => [id, operation]), [
+      ['a', 'create'],
+      ['b', 'create']
+    ]);
+
+    const doc = await client.getDocument('a');
+    assert.ok(doc._rev);
+    assert.ok(doc._createdAt);
+    assert.equal(doc.title, 'A');
+  });
+
+  it('applies a failed transaction not at all', async () => {
+    const client = createMemoryClient({ documents: [{ _id: 'a', _type: 'category' }] });
+
+    await assert.rejects(
+      client.transaction()
+        .create({ _id: 'b', _type: 'category' })
+        .create({ _id: 'a', _type: 'category' })
+        .commit(),
+      error => error.statusCode === 409
+    );
+    assert.deepEqual(client.getDocuments().map(doc => doc._id), ['a']);
+  });
+
+  it('keeps strong references intact', async () => {
+    const client = createMemoryClient({ documents: [{ _id: 'c', _type: 'category' }] });
+
+    await assert.rejects(
+      client.create({ _id: 'l', _type: 'listing', category: { _ref: 'missing' } }),
+      error => error.statusCode === 409
+    );
+
+    await client.create({ _id: 'l', _type: 'listing', category: { _ref: 'c' } });
+    await assert.rejects(client.delete('c'), error => error.statusCode === 409);
+
+    await client.create({ _id: 'w', _type: 'listing', category: { _ref: 'missing', _weak: true } });
+  });
+
+  it('patches with set, setIfMissing, unset and ifRevisionID', async () => {
+    const client = createMemoryClient({
+      documents: [{ _id: 'a', _type: 'category', title: 'A', color: 'red' }]
+    });
+
+    await client.patch('a').setIfMissing({ title: 'Ignored', description: 'Kept' }).commit();
+    await client.patch('a').set({ 'slug.current': 'a' }).unset(['color']).commit();
+
+    const doc = await client.getDocument('a');
+    assert.equal(doc.title, 'A');
+    assert.equal(doc.description, 'Kept');
+    assert.deepEqual(doc.slug, { current: 'a' });
+    assert.equal(doc.color, undefined);
+
+    await assert.rejects(
+      client.transaction().patch('a', { ifRevisionID: 'stale', set: { title: 'B' } }).commit(),
+      error => error.statusCode === 409
+    );
+    await assert.rejects(client.patch('missing').set({ title: 'B' }).commit(), error => error.statusCode === 409);
+  });
+
+  it('deduplicates uploaded assets by content', async () => {
+    const client = createMemoryClient();
+    const first = await client.assets.upload('image', Buffer.from('pixels'), { filename: 'a.png' });
+    const second = await client.assets.upload('image', Buffer.from('pixels'), { filename: 'b.png' });
+
+    assert.equal(first._id, second._id);
+    assert.match(first._id, /^image-[0-9a-f]{40}-png$/);
+    assert.equal(first.mimeType, 'image/png');
+    assert.equal(
+      await client.fetch('*[_type == "sanity.imageAsset" && sha1hash == $hash][0]._id', { hash: first.sha1hash }),
+      first._id
+    );
+  });
+
+  it('shares the project between datasets', async () => {
+    const client = createMemoryClient({ documents: [{ _id: 'a', _type: 'category' }] });
+    const other = client.withConfig({ dataset: 'other' });
+
+    await other.create({ _id: 'b', _type: 'category' });
+
+    assert.equal(other.config().dataset, 'other');
+    assert.deepEqual(client.getDocuments().map(doc => doc._id), ['a']);
+    assert.deepEqual(other.getDocuments().map(doc => doc._id), ['b']);
+    assert.equal(client.withConfig({ dataset: 'other' }).getDocuments().length, 1);
+  });
+
+  it('lets onRequest fail requests like the API', async () => {
+    const client = createMemoryClient({
+      onRequest: ({ operation }) => {
+        if (operation === 'fetch') throw createResponseError(429, 'Rate limited', { 'retry-after': '1' });
+      }
+    });
+
+    await assert.rejects(client.fetch('*'), error =>
+      error.statusCode === 429 && error.response.headers['retry-after'] === '1'
+    );
+    assert.equal(client.requests.length, 1);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { OutputBundle, OutputError, parseOutputTarget } from '../src/utils/outputBundle.js';
+import importManager from '../src/utils/importManager.js';
+import exportImporter from '../src/importers/exportImporter.js';
+import { createMemoryClient } from '../src/utils/memoryClient.js';
+import { configure } from '../src/api.js';
+import { createSandbox, fakeImage } from './helpers/sandbox.js';
+import { startHttpStub } from './helpers/httpStub.js';
+
+describe('OutputBundle', () => {
+  let sandbox;
+  let stub;
+
+  before(async () => {
+    stub = await startHttpStub({ '/bar.jpg': { body: fakeImage('bar') } });
+  });
+
+  after(async () => {
+    await stub.close();
+  });
+
+  beforeEach(async () => {
+    sandbox = await createSandbox({
+      files: {
+        'categories.csv': 'title\nRestaurants\n',
+        'listings.csv': [
+          'title,email,gallery_images,categories',
+          'Cafe,cafe@example.com,photos/cafe.jpg,Restaurants',
+          `Bar,bar@example.com,${stub.url('/bar.jpg')},Restaurants`,
+          'Broken,broken,,'
+        ].join('\n'),
+        'photos/cafe.jpg': fakeImage('cafe')
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await sandbox.cleanup();
+  });
+
+  it('parses output targets', () => {
+    assert.deepEqual(parseOutputTarget('ndjson:out/listings.tar.gz'), {
+      format: 'ndjson',
+      file: path.resolve('out/listings.tar.gz'),
+      archive: true
+    });
+    assert.equal(parseOutputTarget('NDJSON:listings.ndjson').archive, false);
+    assert.throws(() => parseOutputTarget('csv:listings.csv'), OutputError);
+    assert.throws(() => parseOutputTarget('ndjson:listings.json'), OutputError);
+    assert.throws(() => new OutputBundle('ndjson:listings.ndjson', { mode: 'upsert' }), OutputError);
+  });
+
+  it('writes an NDJSON file with copied images and a manifest, without API calls', async () => {
+    await importManager.import(sandbox.path('categories.csv'), 'category', { output: 'ndjson:out/categories.ndjson' });
+    const results = await importManager.import(sandbox.path('listings.csv'), 'listing', {
+      output: 'ndjson:out/listings.ndjson',
+      mode: 'replace',
+      continueOnError: true
+    });
+
+    assert.equal(results.success, 2);
+    assert.equal(results.failed, 1);
+    assert.equal(results.output.documents, 2);
+    assert.match(results.output.importCommand, /^sanity dataset import out\/listings\.ndjson test-\d+ --replace$/);
+    assert.equal(sandbox.client.requests.length, 0);
+
+    const [category] = (await sandbox.read('out/categories.ndjson')).trim().split('\n').map(JSON.parse);
+    const [cafe, bar] = (await sandbox.read('out/listings.ndjson')).trim().split('\n').map(JSON.parse);
+    assert.equal(cafe.categories[0]._ref, category._id);
+    assert.match(cafe.galleryImages[0]._sanityAsset, /^image@file:\/\/\.\/images\/[0-9a-f]{40}\.jpg$/);
+    assert.equal(bar.galleryImages[0]._sanityAsset, `image@${stub.url('/bar.jpg')}`);
+    assert.equal(stub.hits('/bar.jpg'), 0);
+
+    const manifest = JSON.parse(await sandbox.read('out/listings.assets-manifest.json'));
+    assert.equal(manifest.assets.length, 2);
+    assert.deepEqual(manifest.assets.find(asset => asset.sha1).documents, [cafe._id]);
+    assert.equal((await sandbox.list('out/images')).length, 1);
+  });
+
+  it('writes an archive that imports into another dataset', async () => {
+    await importManager.import(sandbox.path('categories.csv'), 'category', { output: 'ndjson:categories.tar.gz' });
+    await importManager.import(sandbox.path('listings.csv'), 'listing', {
+      output: 'ndjson:listings.tgz',
+      continueOnError: true
+    });
+
+    const target = createMemoryClient({ dataset: 'production' });
+    configure({ client: target });
+
+    const categories = await exportImporter.import(sandbox.path('categories.tar.gz'));
+    const listings = await exportImporter.import(sandbox.path('listings.tgz'), { types: ['listing'] });
+
+    assert.equal(categories.success, 1);
+    assert.equal(listings.success, 2);
+    assert.equal(stub.hits('/bar.jpg'), 1);
+
+    const imported = await target.fetch('*[_type == "listing"]{categories, "image": galleryImages[0].asset._ref}');
+    for (const listing of imported) {
+      assert.match(listing.image, /^image-[0-9a-f]{40}-jpg$/);
+      assert.ok(await target.getDocument(listing.categories[0]._ref));
+    }
+  });
+
+  it('only references documents of the bundles or given by _id', async () => {
+    const input = await sandbox.write('refs.csv', [
+      'title,email,categories',
+      'Missing,missing@example.com,No Such Category',
+      'Raw,raw@example.com,category-abc123'
+    ].join('\n'));
+    const readListings = async file => Object.fromEntries(
+      (await sandbox.read(file)).trim().split('\n').map(JSON.parse).map(doc => [doc.title, doc])
+    );
+
+    const strict = await importManager.import(input, 'listing', {
+      output: 'ndjson:strict/listings.ndjson',
+      continueOnError: true
+    });
+    assert.equal(strict.success, 1);
+    assert.match(strict.errors[0].error, /"No Such Category" not found in this or an earlier bundle/);
+    assert.deepEqual((await readListings('strict/listings.ndjson')).Raw.categories.map(({ _ref }) => _ref), ['category-abc123']);
+
+    await importManager.import(input, 'listing', { output: 'ndjson:warn/listings.ndjson', onMissingReference: 'warn' });
+    assert.deepEqual((await readListings('warn/listings.ndjson')).Missing.categories, []);
+
+    await importManager.import(input, 'listing', { output: 'ndjson:derived/listings.ndjson', deriveReferences: true });
+    const derived = await readListings('derived/listings.ndjson');
+    assert.match(derived.Missing.categories[0]._ref, /^category-[0-9a-f]{24}$/);
+    assert.equal(derived.Raw.categories[0]._ref, 'category-abc123');
+  });
+
+  it('leaves nothing behind when a run fails', async () => {
+    await importManager.import(sandbox.path('categories.csv'), 'category', { output: 'ndjson:out/categories.ndjson' });
+    const before = await sandbox.list('out');
+
+    // Cafe's image is copied before the broken record stops the run
+    await assert.rejects(importManager.import(sandbox.path('listings.csv'), 'listing', {
+      output: 'ndjson:out/listings.ndjson'
+    }));
+
+    assert.deepEqual(await sandbox.list('out'), before);
+    assert.deepEqual(await sandbox.list('out/images'), []);
+
+    await assert.rejects(importManager.import(sandbox.path('listings.csv'), 'listing', {
+      output: 'ndjson:new/listings.ndjson'
+    }));
+    await assert.rejects(fs.access(sandbox.path('new')), { code: 'ENOENT' });
+  });
+
+  it('removes what it put in place when closing the bundle fails', async () => {
+    await importManager.import(sandbox.path('categories.csv'), 'category', { output: 'ndjson:out/categories.ndjson' });
+    // A directory in the way fails the last step, once images and manifest moved
+    await sandbox.write('out/listings.ndjson/keep.txt', 'kept');
+    await sandbox.write('archive.tar.gz/keep.txt', 'kept');
+    const before = await sandbox.list('out');
+
+    for (const output of ['ndjson:out/listings.ndjson', 'ndjson:archive.tar.gz']) {
+      await assert.rejects(importManager.import(sandbox.path('listings.csv'), 'listing', {
+        output,
+        continueOnError: true
+      }));
+    }
+
+    assert.deepEqual(await sandbox.list('out'), before);
+    assert.equal(await sandbox.read('out/listings.ndjson/keep.txt'), 'kept');
+    assert.equal(await sandbox.read('archive.tar.gz/keep.txt'), 'kept');
+    assert.deepEqual((await sandbox.list('.')).filter(name => name.startsWith('.')), []);
+  });
+
+  it('cannot resume or back up', async () => {
+    for (const options of [{ resume: true }, { backup: true }]) {
+      await assert.rejects(
+        importManager.import(sandbox.path('listings.csv'), 'listing', { output: 'ndjson:out.ndjson', ...options }),
+        OutputError
+      );
+    }
+  });
+});
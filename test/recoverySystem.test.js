@@ -0,0 +1,142 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import recoverySystem from '../src/utils/recoverySystem.js';
+import sanityClient from '../src/utils/sanityClient.js';
+import { ERROR_CATEGORIES, classifyError, getRetryAfter } from '../src/utils/errorClassifier.js';
+import { createResponseError } from '../src/utils/memoryClient.js';
+import { createSandbox } from './helpers/sandbox.js';
+
+// Fails with the given errors in turn, then returns 'done'
+function failing(...errors) {
+  let calls = 0;
+  const operation = async () => {
+    calls++;
+    if (errors.length > 0) throw errors.shift();
+    return 'done';
+  };
+  return Object.assign(operation, { calls: () => calls });
+}
+
+describe('RecoverySystem', () => {
+  let sandbox;
+
+  beforeEach(async () => {
+    sandbox = await createSandbox();
+  });
+
+  afterEach(async () => {
+    await sandbox.cleanup();
+  });
+
+  describe('errors', () => {
+    it('classifies rate limits, server errors, dropped connections and rejections', () => {
+      assert.equal(classifyError(createResponseError(429, 'Slow down')), ERROR_CATEGORIES.RATE_LIMITED);
+      assert.equal(classifyError(createResponseError(502, 'Bad gateway')), ERROR_CATEGORIES.RETRYABLE);
+      assert.equal(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), ERROR_CATEGORIES.RETRYABLE);
+      assert.equal(classifyError(createResponseError(400, 'Bad request')), ERROR_CATEGORIES.FATAL);
+      assert.equal(
+        classifyError(new Error('wrapped', { cause: createResponseError(503, 'Unavailable') })),
+        ERROR_CATEGORIES.RETRYABLE
+      );
+    });
+
+    it('reads Retry-After in seconds or as a date', () => {
+      assert.equal(getRetryAfter(createResponseError(429, 'Slow down', { 'retry-after': '2' })), 2000);
+
+      const date = new Date(Date.now() + 60000).toUTCString();
+      const delay = getRetryAfter(createResponseError(429, 'Slow down', { 'retry-after': date }));
+      assert.ok(delay > 55000 && delay <= 60000);
+    });
+  });
+
+  describe('retryOperation', () => {
+    it('retries retryable errors until an attempt succeeds', async () => {
+      const operation = failing(createResponseError(500, 'Oops'), createResponseError(429, 'Slow down'));
+
+      assert.equal(await recoverySystem.retryOperation(operation), 'done');
+      assert.equal(operation.calls(), 3);
+    });
+
+    it('fails rejected requests at once', async () => {
+      const operation = failing(createResponseError(400, 'Bad request'));
+
+      await assert.rejects(recoverySystem.retryOperation(operation), error => error.statusCode === 400);
+      assert.equal(operation.calls(), 1);
+    });
+
+    it('gives up after the configured attempts, keeping the cause', async () => {
+      const operation = failing(...Array.from({ length: 5 }, () => createResponseError(503, 'Unavailable')));
+
+      await assert.rejects(recoverySystem.retryOperation(operation), error =>
+        /failed after 3 attempts/.test(error.message) &&
+        error.cause.statusCode === 503 &&
+        error.category === ERROR_CATEGORIES.RETRYABLE
+      );
+      assert.equal(operation.calls(), 3);
+    });
+
+    it('waits at least as long as Retry-After asks', () => {
+      const error = createResponseError(429, 'Slow down', { 'retry-after': '3' });
+
+      assert.equal(recoverySystem.getRetryDelay(1, error, 100), 3000);
+      const delay = recoverySystem.getRetryDelay(3, createResponseError(500, 'Oops'), 100);
+      assert.ok(delay >= 200 && delay <= 400);
+    });
+
+    it('retries client requests through the throttle', async () => {
+      const failures = [createResponseError(429, 'Slow down', { 'retry-after': '0' })];
+      await sandbox.cleanup();
+      sandbox = await createSandbox({
+        onRequest: () => {
+          if (failures.length > 0) throw failures.shift();
+        }
+      });
+
+      assert.equal(await sanityClient.fetch('count(*)'), 0);
+      assert.equal(sandbox.client.requests.length, 2);
+    });
+  });
+
+  describe('checkpoints', () => {
+    it('saves checkpoints in the working directory and loads the latest', async () => {
+      await recoverySystem.initialize();
+      const first = await recoverySystem.saveCheckpoint('listing', {
+        inputPath: 'listings.csv',
+        processedCount: 3,
+        position: { row: 4, offset: 120 },
+        results: { success: 3, failed: 0, errors: ['left out'] }
+      });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await recoverySystem.saveCheckpoint('listing', { processedCount: 6, position: { row: 7, offset: 240 } });
+      await recoverySystem.saveCheckpoint('category', { processedCount: 1 });
+
+      assert.ok(first.startsWith(sandbox.path('checkpoints')));
+      assert.deepEqual(JSON.parse(await fs.readFile(first, 'utf-8')).results, { success: 3, failed: 0 });
+
+      const latest = await recoverySystem.loadLatestCheckpoint('listing');
+      assert.equal(latest.processedCount, 6);
+      assert.deepEqual(latest.position, { row: 7, offset: 240 });
+      assert.equal(await recoverySystem.loadLatestCheckpoint('unknown'), null);
+    });
+
+    it('removes checkpoints older than the maximum age', async () => {
+      await recoverySystem.initialize();
+      const old = await recoverySystem.saveCheckpoint('listing', { processedCount: 1 });
+      const recent = await recoverySystem.saveCheckpoint('category', { processedCount: 1 });
+      const lastWeek = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+      await fs.utimes(old, lastWeek, lastWeek);
+
+      await recoverySystem.cleanOldCheckpoints('listing');
+      await recoverySystem.cleanOldCheckpoints('category');
+
+      assert.deepEqual(await sandbox.list('checkpoints'), [recent.split('/').pop()]);
+    });
+
+    it('parses maximum ages in days and weeks', () => {
+      assert.equal(recoverySystem.parseMaxAge('7d'), 7 * 24 * 60 * 60 * 1000);
+      assert.equal(recoverySystem.parseMaxAge('1w'), 7 * 24 * 60 * 60 * 1000);
+      assert.throws(() => recoverySystem.parseMaxAge('7h'), /Invalid maxAge format/);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { transformer } from '../src/scripts/transform.js';
+import mappingProfiles, { MappingError } from '../src/utils/mappingProfiles.js';
+import { ValidationError } from '../src/utils/validation.js';
+import { createSandbox } from './helpers/sandbox.js';
+
+const LISTINGS_CSV = [
+  'title,email,website_url,tags,categories',
+  'Cafe, CAFE@Example.com ,cafe.example.com,"Coffee; Cake",Restaurants',
+  '"Bar, Downtown",bar@example.com,https://bar.example.com,Drinks,"Restaurants,Nightlife"',
+  ''
+].join('\n');
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+describe('DataTransformer', () => {
+  let sandbox;
+
+  beforeEach(async () => {
+    sandbox = await createSandbox();
+  });
+
+  afterEach(async () => {
+    await sandbox.cleanup();
+  });
+
+  it('transforms CSV rows with the type definition', async () => {
+    const file = await sandbox.write('listings.csv', LISTINGS_CSV);
+    const [cafe, bar] = await transformer.transform(file, 'listing');
+
+    assert.equal(cafe.title, 'Cafe');
+    assert.equal(cafe.email, 'cafe@example.com');
+    assert.equal(cafe.websiteUrl, 'https://cafe.example.com');
+    assert.deepEqual(cafe.tags, ['coffee', 'cake']);
+    assert.deepEqual(cafe.categories, ['Restaurants']);
+    // CSV rows are numbered by line, after the header
+    assert.equal(cafe.sourceRow, 2);
+
+    assert.equal(bar.title, 'Bar, Downtown');
+    assert.deepEqual(bar.categories, ['Restaurants', 'Nightlife']);
+    assert.equal(bar.sourceRow, 3);
+  });
+
+  it('reads JSON and NDJSON, skipping other document types', async () => {
+    const records = [
+      { title: 'Cafe', email: 'cafe@example.com' },
+      { _type: 'category', title: 'Restaurants' },
+      { title: 'Bar', email: 'bar@example.com', tags: 'Drinks, Wine' }
+    ];
+    const json = await sandbox.write('listings.json', JSON.stringify(records, null, 2));
+    const ndjson = await sandbox.write('listings.ndjson', records.map(record => JSON.stringify(record)).join('\n'));
+
+    for (const file of [json, ndjson]) {
+      const transformed = await transformer.transform(file, 'listing');
+      assert.deepEqual(transformed.map(record => record.title), ['Cafe', 'Bar']);
+      assert.deepEqual(transformed.map(record => record.sourceRow), [1, 3]);
+      assert.deepEqual(transformed[1].tags, ['drinks', 'wine']);
+    }
+  });
+
+  it('resumes a stream from a recorded position', async () => {
+    for (const [name, content] of [
+      ['listings.csv', LISTINGS_CSV],
+      ['listings.ndjson', '{"title":"A","email":"a@example.com"}\n{"title":"B","email":"b@example.com"}\n'],
+      ['listings.json', '[{"title":"A","email":"a@example.com"},{"title":"B","email":"b@example.com"}]']
+    ]) {
+      const file = await sandbox.write(name, content);
+      const [first, second] = await collect(transformer.stream(file, 'listing'));
+      const resumed = await collect(transformer.stream(file, 'listing', {
+        position: { row: first.sourceRow, offset: first.sourceOffset }
+      }));
+
+      assert.equal(resumed.length, 1, name);
+      assert.equal(resumed[0].title, second.title, name);
+      assert.equal(resumed[0].sourceRow, second.sourceRow, name);
+    }
+  });
+
+  it('reports records missing required columns', async () => {
+    const file = await sandbox.write('listings.csv', 'title,email\nCafe,\n');
+
+    await assert.rejects(transformer.transform(file, 'listing'), error =>
+      error instanceof ValidationError && error.value[0].missingFields.includes('email')
+    );
+  });
+
+  it('rejects malformed input and unknown formats', async () => {
+    const ndjson = await sandbox.write('broken.ndjson', '{"title":"A"}\n{"title":\n');
+    const json = await sandbox.write('broken.json', '{"title":"A"}');
+    const text = await sandbox.write('listings.txt', 'title');
+
+    await assert.rejects(transformer.transform(ndjson, 'listing'), /Invalid NDJSON on line 2/);
+    await assert.rejects(transformer.transform(json, 'listing'), /Invalid JSON format/);
+    await assert.rejects(transformer.transform(text, 'listing'), /Unsupported file format: txt/);
+  });
+
+  it('applies mapping profiles', async () => {
+    const file = await sandbox.write('partner.csv', 'Business Name,Contact,Labels\nCafe,cafe@example.com,coffee|cake\n');
+    const mappingFile = await sandbox.write('mapping.json', JSON.stringify({
+      profiles: {
+        partner: {
+          type: 'listing',
+          columns: { 'Business Name': 'title', Contact: 'email', Labels: 'tags' },
+          delimiters: { tags: '|' },
+          defaults: { description: 'Imported' }
+        }
+      }
+    }));
+
+    const mapping = await mappingProfiles.load(mappingFile);
+    const [record] = await transformer.transform(file, 'listing', { mapping });
+
+    assert.equal(record.title, 'Cafe');
+    assert.equal(record.email, 'cafe@example.com');
+    assert.equal(record.description, 'Imported');
+    assert.deepEqual(record.tags, ['coffee', 'cake']);
+  });
+
+  it('refuses a mapping profile for another type', async () => {
+    const file = await sandbox.write('listings.csv', LISTINGS_CSV);
+    const mapping = { name: 'categories', type: 'category', columns: {}, defaults: {}, delimiters: {}, constants: {} };
+
+    await assert.rejects(transformer.transform(file, 'listing', { mapping }), MappingError);
+  });
+});